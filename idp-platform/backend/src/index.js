@@ -8,36 +8,91 @@ const clusterRoutes = require('./routes/clusters');
 const workflowRoutes = require('./routes/workflows');
 const azureRoutes = require('./routes/azure');
 const namespaceRoutes = require('./routes/namespaces');
+const auditRoutes = require('./routes/audit');
+const ClusterService = require('./services/clusterService');
+const NamespaceService = require('./services/namespaceService');
+const WorkflowService = require('./services/workflowService');
+const ReconciliationService = require('./services/reconciliationService');
+const AuditService = require('./services/auditService');
+const HealthService = require('./services/healthService');
+const ClusterHealthService = require('./services/clusterHealthService');
+const { initializeStorage, flushStorage } = require('./storage');
+const { authenticate, authenticateWebSocket } = require('./middleware/auth');
+const { recordRequestMetrics } = require('./middleware/metrics');
+const { assignRequestId, REQUEST_ID_HEADER } = require('./middleware/requestId');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
 
 const app = express();
 const server = http.createServer(app);
 const wss = new Server({ server, path: '/ws' });
 
+metrics.websocketClients.collect = (gauge) => gauge.set({}, wss.clients.size);
+
 // Middleware
+app.use(assignRequestId);
 app.use(helmet());
-app.use(cors());
+app.use(cors({ exposedHeaders: [REQUEST_ID_HEADER] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(recordRequestMetrics);
+
+// Health report: readiness plus every Argo/KRO/ASO dependency, for people and dashboards
+app.get('/health', async (req, res) => {
+  try {
+    res.json(await HealthService.getHealth());
+  } catch (error) {
+    logger.error('Error checking health', { error });
+    res.status(500).json({ error: 'Failed to check health' });
+  }
+});
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+// Liveness: the process is up and serving requests; no dependency is consulted
+app.get('/health/live', (req, res) => {
+  res.json(HealthService.getLiveness());
 });
 
-// API Routes
+// Readiness: only the Kubernetes API and the store, reported per check
+app.get('/health/ready', async (req, res) => {
+  try {
+    const readiness = await HealthService.getReadiness();
+    res.status(readiness.status === 'ready' ? 200 : 503).json(readiness);
+  } catch (error) {
+    logger.error('Error checking readiness', { error });
+    res.status(503).json({ status: 'not_ready', error: 'Failed to check readiness' });
+  }
+});
+
+// Prometheus scrape endpoint (unauthenticated, like /health)
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', metrics.registry.contentType);
+  res.send(metrics.registry.render());
+});
+
+// API Routes (all require a bearer token; roles are enforced per route)
+app.use('/api', authenticate);
 app.use('/api/clusters', clusterRoutes);
 app.use('/api/workflows', workflowRoutes);
 app.use('/api/azure', azureRoutes);
 app.use('/api/namespaces', namespaceRoutes);
+app.use('/api/audit', auditRoutes);
 
 // WebSocket connection handler
 wss.on('connection', (ws, req) => {
-  console.log('WebSocket connection established');
+  try {
+    ws.user = authenticateWebSocket(req);
+  } catch (error) {
+    logger.warn('Rejected WebSocket connection', { reason: error.message });
+    ws.close(1008, 'Unauthorized');
+    return;
+  }
+  
+  logger.info('WebSocket connection established', { userId: ws.user.id });
   
   ws.on('message', (message) => {
     try {
       const data = JSON.parse(message);
-      console.log('Received WebSocket message:', data);
+      logger.debug('Received WebSocket message', { type: data.type, workflowId: data.workflowId });
       
       // Handle different message types
       switch (data.type) {
@@ -47,21 +102,31 @@ wss.on('connection', (ws, req) => {
         case 'unsubscribe_workflow':
           delete ws.workflowId;
           break;
+        case 'subscribe_workflows':
+          ws.allWorkflows = true;
+          break;
+        case 'unsubscribe_workflows':
+          delete ws.allWorkflows;
+          break;
       }
     } catch (error) {
-      console.error('Error parsing WebSocket message:', error);
+      logger.warn('Error parsing WebSocket message', { error });
     }
   });
   
   ws.on('close', () => {
-    console.log('WebSocket connection closed');
+    logger.info('WebSocket connection closed', { userId: ws.user.id });
   });
 });
 
-// Broadcast workflow updates to connected clients
+// Broadcast workflow updates to connected clients. Status changes also go to
+// list subscribers (subscribe_workflows); steps and logs only to the workflow's own subscribers.
 const broadcastWorkflowUpdate = (workflowId, update) => {
+  const isStatusUpdate = update.event === 'status';
+  
   wss.clients.forEach((client) => {
-    if (client.workflowId === workflowId && client.readyState === client.OPEN) {
+    const subscribed = client.workflowId === workflowId || (isStatusUpdate && client.allWorkflows);
+    if (subscribed && client.readyState === client.OPEN) {
       client.send(JSON.stringify({
         type: 'workflow_update',
         workflowId,
@@ -71,9 +136,11 @@ const broadcastWorkflowUpdate = (workflowId, update) => {
   });
 };
 
+WorkflowService.on('workflow_update', broadcastWorkflowUpdate);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  logger.error('Unhandled error', { error: err, method: req.method, path: req.originalUrl });
   res.status(500).json({ 
     error: 'Something went wrong!', 
     message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
@@ -87,10 +154,48 @@ app.use((req, res) => {
 
 const PORT = process.env.PORT || 3001;
 
-server.listen(PORT, () => {
-  console.log(`IDP Backend server running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-  console.log(`WebSocket: ws://localhost:${PORT}/ws`);
+// Reload persisted state before accepting traffic
+const start = async () => {
+  await initializeStorage();
+  await Promise.all([
+    ClusterService.initialize(),
+    NamespaceService.initialize(),
+    WorkflowService.initialize(),
+    AuditService.initialize()
+  ]);
+  
+  server.listen(PORT, () => {
+    logger.info(`IDP Backend server running on port ${PORT}`, {
+      healthCheck: `http://localhost:${PORT}/health`,
+      webSocket: `ws://localhost:${PORT}/ws`
+    });
+  });
+  
+  // Recover anything Argo knows about that storage does not (e.g. lost volume)
+  ReconciliationService.reconcile().catch((error) => {
+    logger.error('Error reconciling workflow state from Argo', { error });
+  });
+  
+  // Keep cluster.health in line with the live ASO/KRO resources
+  ClusterHealthService.start();
+};
+
+// Let queued storage writes land before the pod goes away
+const shutdown = async (signal) => {
+  logger.info(`Received ${signal}, shutting down`);
+  server.close();
+  WorkflowService.stopWorkflowMonitoring();
+  ClusterHealthService.stop();
+  await flushStorage();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start().catch((error) => {
+  logger.error('Failed to start IDP backend', { error });
+  process.exit(1);
 });
 
 module.exports = { app, broadcastWorkflowUpdate };
\ No newline at end of file
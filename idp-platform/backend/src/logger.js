@@ -0,0 +1,74 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured JSON logging. Each line carries level, timestamp and message plus the
+// request id of the API call it happened under, so one request can be followed
+// through routes, services and the workflows it starts.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minimumLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+// { requestId } for the API request being handled, kept across awaits and timers
+const requestContext = new AsyncLocalStorage();
+
+const getRequestId = () => requestContext.getStore()?.requestId;
+
+// Errors do not survive JSON.stringify; Kubernetes client errors keep the API message in body
+const serializeError = (error) => {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  return {
+    name: error.name,
+    message: error.body?.message || error.message,
+    statusCode: error.statusCode || error.response?.statusCode,
+    stack: error.stack
+  };
+};
+
+class Logger {
+  log(level, message, fields = {}) {
+    if (LEVELS[level] < minimumLevel) {
+      return;
+    }
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      requestId: getRequestId(),
+      ...fields
+    };
+    if (entry.error) {
+      entry.error = serializeError(entry.error);
+    }
+
+    const line = `${JSON.stringify(entry)}\n`;
+    if (LEVELS[level] >= LEVELS.error) {
+      process.stderr.write(line);
+    } else {
+      process.stdout.write(line);
+    }
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+module.exports = {
+  logger: new Logger(),
+  requestContext,
+  getRequestId
+};
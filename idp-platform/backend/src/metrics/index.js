@@ -0,0 +1,63 @@
+const { Registry } = require('./registry');
+
+// Backend metrics served in Prometheus text format at GET /metrics
+const registry = new Registry();
+
+const clustersCreated = registry.counter({
+  name: 'idp_clusters_created_total',
+  help: 'Cluster provisioning requests accepted',
+  labelNames: ['dry_run']
+});
+
+const clustersDeleted = registry.counter({
+  name: 'idp_clusters_deleted_total',
+  help: 'Cluster deletion requests accepted',
+  labelNames: ['dry_run']
+});
+
+const namespacesCreated = registry.counter({
+  name: 'idp_namespaces_created_total',
+  help: 'Namespace provisioning workflows started'
+});
+
+const namespacesDeleted = registry.counter({
+  name: 'idp_namespaces_deleted_total',
+  help: 'Namespace deletion workflows started'
+});
+
+const workflowOutcomes = registry.counter({
+  name: 'idp_workflow_outcomes_total',
+  help: 'Workflows reaching a terminal status, by type, engine and status',
+  labelNames: ['type', 'engine', 'status']
+});
+
+const argoSyncErrors = registry.counter({
+  name: 'idp_argo_sync_errors_total',
+  help: 'Errors syncing Argo workflow status (sync: applying an update, watch: the informer failed)',
+  labelNames: ['reason']
+});
+
+const httpRequestDuration = registry.histogram({
+  name: 'idp_http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+});
+
+// Set by index.js once the WebSocket server exists
+const websocketClients = registry.gauge({
+  name: 'idp_websocket_clients',
+  help: 'Connected WebSocket clients'
+});
+
+module.exports = {
+  registry,
+  clustersCreated,
+  clustersDeleted,
+  namespacesCreated,
+  namespacesDeleted,
+  workflowOutcomes,
+  argoSyncErrors,
+  httpRequestDuration,
+  websocketClients
+};
@@ -0,0 +1,162 @@
+// Minimal Prometheus client: counters, gauges and histograms with labels,
+// rendered in the text exposition format (version 0.0.4).
+
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // label key -> { labels, ...state }
+    this.series = new Map();
+  }
+
+  // Only declared labels are kept, in declaration order, so series keys are stable
+  seriesFor(labels = {}) {
+    const picked = {};
+    this.labelNames.forEach(labelName => {
+      picked[labelName] = labels[labelName] === undefined ? '' : labels[labelName];
+    });
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) {
+      this.series.set(key, this.createSeries(picked));
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.renderSamples()
+    ].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  createSeries(labels) {
+    return { labels, value: 0 };
+  }
+
+  inc(labels, amount = 1) {
+    this.seriesFor(labels).value += amount;
+  }
+
+  renderSamples() {
+    return Array.from(this.series.values())
+      .map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+// collect(gauge), when given, runs before every scrape to refresh the values
+class Gauge extends Metric {
+  constructor({ collect, ...options }) {
+    super('gauge', options);
+    this.collect = collect;
+  }
+
+  createSeries(labels) {
+    return { labels, value: 0 };
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels).value = value;
+  }
+
+  renderSamples() {
+    if (this.collect) {
+      this.collect(this);
+    }
+    return Array.from(this.series.values())
+      .map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  createSeries(labels) {
+    return { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  renderSamples() {
+    const samples = [];
+    this.series.forEach(series => {
+      this.buckets.forEach((bound, index) => {
+        const labels = formatLabels({ ...series.labels, le: formatValue(bound) });
+        samples.push(`${this.name}_bucket${labels} ${series.counts[index]}`);
+      });
+      samples.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      samples.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      samples.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+    return samples;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+    this.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  render() {
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+module.exports = { Registry, Counter, Gauge, Histogram };
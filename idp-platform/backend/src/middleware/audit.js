@@ -0,0 +1,67 @@
+const AuditService = require('../services/auditService');
+const { logger } = require('../logger');
+
+const actorFromRequest = (req) => (req.user ? {
+  id: req.user.id,
+  name: req.user.name,
+  email: req.user.email,
+  role: req.user.role
+} : { id: 'anonymous' });
+
+// Record a mutating route in the audit log once the response has been sent.
+// Mount it before requireRole so denied attempts are captured too.
+//   target(req, responseBody, previous)  ids the call acted on (clusterId, namespaceName, workflowId)
+//   before(req)                          current record, used to diff the request payload
+const audit = (action, { target = () => ({}), before } = {}) => async (req, res, next) => {
+  let previous = null;
+  if (before) {
+    try {
+      // Snapshot: services hand out live records that the handler may mutate
+      const current = await before(req);
+      previous = current ? JSON.parse(JSON.stringify(current)) : null;
+    } catch (error) {
+      logger.error(`Error loading audit state for ${action}`, { error });
+    }
+  }
+
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    try {
+      const succeeded = res.statusCode < 400;
+      const targetIds = Object.fromEntries(
+        Object.entries(target(req, responseBody, previous) || {}).filter(([, value]) => value != null)
+      );
+
+      AuditService.record({
+        actor: actorFromRequest(req),
+        action,
+        target: targetIds,
+        request: {
+          id: req.id,
+          method: req.method,
+          path: req.originalUrl,
+          query: req.query,
+          body: req.body
+        },
+        changes: AuditService.computeChanges(req.method, previous, req.body),
+        outcome: {
+          status: succeeded ? 'success' : 'failure',
+          statusCode: res.statusCode,
+          error: succeeded ? undefined : responseBody?.error
+        }
+      });
+    } catch (error) {
+      logger.error(`Error recording audit entry for ${action}`, { error });
+    }
+  });
+
+  next();
+};
+
+module.exports = { audit };
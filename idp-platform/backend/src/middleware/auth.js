@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { logger } = require('../logger');
+
+// Roles are hierarchical: each role can do everything the roles before it can
+const ROLES = ['viewer', 'developer', 'platform-admin'];
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'];
+
+// Authentication configuration:
+//   AUTH_JWKS_FILE / AUTH_JWKS  JWKS document (path or inline JSON) used to verify bearer tokens
+//   AUTH_ISSUER, AUTH_AUDIENCE  expected iss/aud claims (optional)
+//   AUTH_ROLES_CLAIM            dotted path to the roles array in the token (default: roles)
+//   AUTH_DISABLED=true          local development only; every caller gets AUTH_DEV_ROLE
+const authConfig = {
+  disabled: process.env.AUTH_DISABLED === 'true',
+  devRole: process.env.AUTH_DEV_ROLE || 'platform-admin',
+  issuer: process.env.AUTH_ISSUER,
+  audience: process.env.AUTH_AUDIENCE,
+  rolesClaim: process.env.AUTH_ROLES_CLAIM || 'roles'
+};
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+let signingKeys = null;
+
+const loadSigningKeys = () => {
+  if (signingKeys) {
+    return signingKeys;
+  }
+
+  let jwks;
+  if (process.env.AUTH_JWKS) {
+    jwks = JSON.parse(process.env.AUTH_JWKS);
+  } else if (process.env.AUTH_JWKS_FILE) {
+    jwks = JSON.parse(fs.readFileSync(process.env.AUTH_JWKS_FILE, 'utf8'));
+  } else {
+    throw new AuthError('No JWKS configured (set AUTH_JWKS_FILE or AUTH_JWKS)');
+  }
+
+  signingKeys = new Map();
+  (jwks.keys || [])
+    .filter(jwk => !jwk.use || jwk.use === 'sig')
+    .forEach(jwk => {
+      signingKeys.set(jwk.kid || 'default', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    });
+
+  return signingKeys;
+};
+
+const getClaim = (payload, claimPath) =>
+  claimPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), payload);
+
+// Highest known role granted by the token, or null
+const resolveRole = (roles) => {
+  const granted = (Array.isArray(roles) ? roles : [roles]).filter(role => ROLES.includes(role));
+  if (granted.length === 0) {
+    return null;
+  }
+  return granted.reduce((highest, role) => (ROLES.indexOf(role) > ROLES.indexOf(highest) ? role : highest));
+};
+
+const verifyToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new AuthError('Malformed token');
+  }
+
+  const keys = loadSigningKeys();
+  const key = decoded.header.kid ? keys.get(decoded.header.kid) : keys.get('default') || keys.values().next().value;
+  if (!key) {
+    throw new AuthError('Unknown signing key');
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, key, {
+      algorithms: SUPPORTED_ALGORITHMS,
+      issuer: authConfig.issuer,
+      audience: authConfig.audience
+    });
+  } catch (error) {
+    throw new AuthError(error.message);
+  }
+
+  const roles = getClaim(payload, authConfig.rolesClaim) || [];
+  return {
+    id: payload.sub,
+    name: payload.name || payload.preferred_username || payload.sub,
+    email: payload.email,
+    roles: Array.isArray(roles) ? roles : [roles],
+    role: resolveRole(roles)
+  };
+};
+
+const developmentUser = () => ({
+  id: 'local-developer',
+  name: 'Local Developer',
+  roles: [authConfig.devRole],
+  role: authConfig.devRole
+});
+
+const extractBearerToken = (header = '') => {
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+};
+
+// Authenticate the caller from an Authorization: Bearer <jwt> header
+const authenticate = (req, res, next) => {
+  if (authConfig.disabled) {
+    req.user = developmentUser();
+    return next();
+  }
+
+  const token = extractBearerToken(req.headers.authorization);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    req.user = verifyToken(token);
+    next();
+  } catch (error) {
+    logger.warn('Rejected bearer token', { reason: error.message });
+    res.status(401).json({ error: 'Invalid or expired token' });
+  }
+};
+
+const hasRole = (user, requiredRole) =>
+  Boolean(user && user.role) && ROLES.indexOf(user.role) >= ROLES.indexOf(requiredRole);
+
+// requireRole('developer') or requireRole(req => ...) for request-dependent rules
+const requireRole = (requiredRole) => (req, res, next) => {
+  const role = typeof requiredRole === 'function' ? requiredRole(req) : requiredRole;
+
+  if (!hasRole(req.user, role)) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      requiredRole: role
+    });
+  }
+
+  next();
+};
+
+// WebSocket upgrades cannot carry headers from the browser, so accept ?access_token=
+const authenticateWebSocket = (req) => {
+  if (authConfig.disabled) {
+    return developmentUser();
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  const token = url.searchParams.get('access_token') || extractBearerToken(req.headers.authorization);
+  if (!token) {
+    throw new AuthError('Authentication required');
+  }
+
+  const user = verifyToken(token);
+  if (!hasRole(user, 'viewer')) {
+    throw new AuthError('Insufficient permissions');
+  }
+  return user;
+};
+
+module.exports = {
+  ROLES,
+  AuthError,
+  authenticate,
+  authenticateWebSocket,
+  requireRole,
+  hasRole
+};
@@ -0,0 +1,17 @@
+const { httpRequestDuration } = require('../metrics');
+
+// Time every request. The route label is the matched Express route pattern
+// (e.g. /api/workflows/:id), never the raw path, so ids do not explode cardinality.
+const recordRequestMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    httpRequestDuration.observe({ method: req.method, route, status_code: res.statusCode }, seconds);
+  });
+
+  next();
+};
+
+module.exports = { recordRequestMetrics };
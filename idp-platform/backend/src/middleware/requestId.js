@@ -0,0 +1,38 @@
+const { v4: uuidv4 } = require('uuid');
+const { logger, requestContext } = require('../logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Request ids end up as Argo Workflow label values, so only ids that are valid
+// label values (63 alphanumerics, '-', '_' or '.') are taken from the caller
+const VALID_REQUEST_ID = /^[A-Za-z0-9]([A-Za-z0-9._-]{0,61}[A-Za-z0-9])?$/;
+
+// Probes and scrapes would drown out the access log
+const UNLOGGED_PATHS = /^\/(health|metrics)(\/|$)/;
+
+// Adopt the caller's X-Request-Id (or mint one), echo it on the response and run
+// the rest of the request inside its logging context. Logs one line per request.
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : uuidv4();
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  const start = Date.now();
+  res.on('finish', () => {
+    if (UNLOGGED_PATHS.test(req.path)) {
+      return;
+    }
+    logger.info('Request completed', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      durationMs: Date.now() - start,
+      userId: req.user?.id
+    });
+  });
+
+  requestContext.run({ requestId: req.id }, next);
+};
+
+module.exports = { assignRequestId, REQUEST_ID_HEADER };
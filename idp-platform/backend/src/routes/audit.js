@@ -0,0 +1,39 @@
+const express = require('express');
+const Joi = require('joi');
+const AuditService = require('../services/auditService');
+const { requireRole } = require('../middleware/auth');
+const { logger } = require('../logger');
+
+const router = express.Router();
+
+const auditQuerySchema = Joi.object({
+  actor: Joi.string().optional(),
+  target: Joi.string().optional(),
+  action: Joi.string().optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+// GET /api/audit - List audit entries, newest first
+router.get('/', requireRole('platform-admin'), async (req, res) => {
+  try {
+    const { error, value } = auditQuerySchema.validate(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    const result = await AuditService.getEntries(value);
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error fetching audit log', { error });
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+module.exports = router;
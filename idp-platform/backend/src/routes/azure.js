@@ -1,10 +1,12 @@
 const express = require('express');
 const AzureService = require('../services/azureService');
+const { requireRole } = require('../middleware/auth');
+const { logger } = require('../logger');
 
 const router = express.Router();
 
 // GET /api/azure/locations - Get available Azure locations
-router.get('/locations', async (req, res) => {
+router.get('/locations', requireRole('viewer'), async (req, res) => {
   try {
     const locations = await AzureService.getAvailableLocations();
     
@@ -12,13 +14,13 @@ router.get('/locations', async (req, res) => {
       locations
     });
   } catch (error) {
-    console.error('Error fetching Azure locations:', error);
+    logger.error('Error fetching Azure locations', { error });
     res.status(500).json({ error: 'Failed to fetch Azure locations' });
   }
 });
 
 // GET /api/azure/node-pool-types - Get available node pool types with NAP info
-router.get('/node-pool-types', async (req, res) => {
+router.get('/node-pool-types', requireRole('viewer'), async (req, res) => {
   try {
     const nodePoolTypes = await AzureService.getNodePoolTypes();
     const recommendations = await AzureService.getNodePoolRecommendations();
@@ -28,13 +30,13 @@ router.get('/node-pool-types', async (req, res) => {
       recommendations
     });
   } catch (error) {
-    console.error('Error fetching node pool types:', error);
+    logger.error('Error fetching node pool types', { error });
     res.status(500).json({ error: 'Failed to fetch node pool types' });
   }
 });
 
 // GET /api/azure/vm-sizes - Get available VM sizes for location
-router.get('/vm-sizes', async (req, res) => {
+router.get('/vm-sizes', requireRole('viewer'), async (req, res) => {
   try {
     const { location } = req.query;
     
@@ -49,7 +51,7 @@ router.get('/vm-sizes', async (req, res) => {
       vmSizes
     });
   } catch (error) {
-    console.error('Error fetching VM sizes:', error);
+    logger.error('Error fetching VM sizes', { error });
     res.status(500).json({ error: 'Failed to fetch VM sizes' });
   }
 });
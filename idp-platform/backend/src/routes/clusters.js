@@ -3,6 +3,12 @@ const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
 const ClusterService = require('../services/clusterService');
 const WorkflowService = require('../services/workflowService');
+const ClusterHealthService = require('../services/clusterHealthService');
+const KubeconfigService = require('../services/kubeconfigService');
+const { requireRole } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { clustersCreated, clustersDeleted } = require('../metrics');
+const { logger } = require('../logger');
 
 const router = express.Router();
 
@@ -24,46 +30,143 @@ const createClusterSchema = Joi.object({
   }).optional()
 });
 
-// GET /api/clusters - List all clusters
-router.get('/', async (req, res) => {
+const clusterListQuerySchema = Joi.object({
+  view: Joi.string().valid('active', 'deleted', 'all').default('active')
+});
+
+const clusterQuerySchema = Joi.object({
+  refreshHealth: Joi.boolean().default(false)
+});
+
+// ttlSeconds asks for a short-lived token instead of the exported credentials;
+// Kubernetes will not issue service account tokens for less than 10 minutes
+const kubeconfigQuerySchema = Joi.object({
+  access: Joi.string().valid('user', 'admin').default('user'),
+  ttlSeconds: Joi.number().integer().min(600).max(86400).optional()
+});
+
+// Admin credentials, long-lived or not, are reserved for platform admins
+const kubeconfigRole = (req) => (req.query.access === 'admin' ? 'platform-admin' : 'developer');
+
+// Real (non dry-run) or forced deletions are reserved for platform admins
+const deletionRole = (req) =>
+  req.query.dryRun === 'false' || req.query.force === 'true' ? 'platform-admin' : 'developer';
+
+// GET /api/clusters - List clusters (?view=active|deleted|all; deleted clusters are tombstones)
+router.get('/', requireRole('viewer'), async (req, res) => {
   try {
-    const clusters = await ClusterService.getClusters();
+    const { error, value } = clusterListQuerySchema.validate(req.query);
+    
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details 
+      });
+    }
+    
+    const clusters = await ClusterService.getClusters(value);
     res.json({
       clusters,
       total: clusters.length
     });
   } catch (error) {
-    console.error('Error fetching clusters:', error);
+    logger.error('Error fetching clusters', { error });
     res.status(500).json({ error: 'Failed to fetch clusters' });
   }
 });
 
-// GET /api/clusters/:id - Get specific cluster details
-router.get('/:id', async (req, res) => {
+// GET /api/clusters/:id - Get specific cluster details with the health last recorded;
+// refreshHealth=true rechecks it first, at most once per CLUSTER_HEALTH_REFRESH_MIN_MS
+router.get('/:id', requireRole('viewer'), async (req, res) => {
   try {
+    const { error, value } = clusterQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+    
     const { id } = req.params;
-    const cluster = await ClusterService.getCluster(id);
+    const existing = await ClusterService.getCluster(id);
     
-    if (!cluster) {
+    if (!existing) {
       return res.status(404).json({ error: 'Cluster not found' });
     }
     
-    const workflow = await WorkflowService.getWorkflow(cluster.workflowId);
-    const resources = await ClusterService.getClusterResources(id);
+    const workflow = await WorkflowService.getWorkflow(existing.workflowId);
+    const refreshed = value.refreshHealth ? await ClusterHealthService.refreshCluster(existing) : null;
+    const resources = refreshed ? refreshed.resources : await ClusterService.getClusterResources(id);
     
     res.json({
-      cluster,
+      cluster: refreshed?.cluster || existing,
       workflow,
       resources
     });
   } catch (error) {
-    console.error('Error fetching cluster:', error);
+    logger.error('Error fetching cluster', { error, clusterId: req.params.id });
     res.status(500).json({ error: 'Failed to fetch cluster details' });
   }
 });
 
+// GET /api/clusters/:id/resources - The cluster's KRO, ASO and Karpenter objects as a tree
+router.get('/:id/resources', requireRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const cluster = await ClusterService.getCluster(id);
+    
+    if (!cluster) {
+      return res.status(404).json({ error: 'Cluster not found' });
+    }
+    
+    const resources = await ClusterService.getClusterResourceTree(id);
+    res.json({
+      clusterId: id,
+      resources
+    });
+  } catch (error) {
+    logger.error('Error fetching cluster resources', { error, clusterId: req.params.id });
+    res.status(500).json({ error: 'Failed to fetch cluster resources' });
+  }
+});
+
+// GET /api/clusters/:id/kubeconfig - Download credentials (?access=user|admin&ttlSeconds=)
+router.get('/:id/kubeconfig', audit('cluster.kubeconfig', {
+  target: req => ({ clusterId: req.params.id })
+}), requireRole(kubeconfigRole), async (req, res) => {
+  try {
+    const { error, value } = kubeconfigQuerySchema.validate(req.query);
+    
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details 
+      });
+    }
+    
+    const cluster = await ClusterService.getCluster(req.params.id);
+    if (!cluster) {
+      return res.status(404).json({ error: 'Cluster not found' });
+    }
+    
+    const { kubeconfig, expiresAt } = await KubeconfigService.getKubeconfig(cluster, value);
+    const expiry = expiresAt ? `# Expires at ${expiresAt.toISOString()}\n` : '';
+    
+    res.set('Content-Disposition', `attachment; filename="${cluster.name}-${value.access}.kubeconfig"`);
+    res.type('application/yaml').send(`${expiry}${kubeconfig}`);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error fetching kubeconfig', { error, clusterId: req.params.id });
+    res.status(500).json({ error: 'Failed to fetch kubeconfig' });
+  }
+});
+
 // POST /api/clusters - Create new cluster
-router.post('/', async (req, res) => {
+router.post('/', audit('cluster.create', {
+  target: (req, body) => ({ clusterId: body?.cluster?.id, workflowId: body?.workflow?.id })
+}), requireRole('developer'), async (req, res) => {
   try {
     const { error, value } = createClusterSchema.validate(req.body);
     
@@ -83,6 +186,7 @@ router.post('/', async (req, res) => {
       workflowId,
       ...value,
       status: 'provisioning',
+      requestId: req.id,
       createdAt: new Date()
     });
     
@@ -98,6 +202,8 @@ router.post('/', async (req, res) => {
       advancedConfig: value.advancedConfig || {}
     });
     
+    clustersCreated.inc({ dry_run: value.dryRun });
+    
     res.status(201).json({
       cluster,
       workflow,
@@ -105,24 +211,36 @@ router.post('/', async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error creating cluster:', error);
+    logger.error('Error creating cluster', { error });
     res.status(500).json({ error: 'Failed to create cluster' });
   }
 });
 
 // DELETE /api/clusters/:id - Delete cluster
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', audit('cluster.delete', {
+  target: (req, body) => ({ clusterId: req.params.id, workflowId: body?.workflow?.id }),
+  before: req => ClusterService.getCluster(req.params.id)
+}), requireRole(deletionRole), async (req, res) => {
   try {
     const { id } = req.params;
-    const { force = false, dryRun = true } = req.query;
+    const force = req.query.force === 'true';
+    const dryRun = req.query.dryRun !== 'false';
     
     const cluster = await ClusterService.getCluster(id);
     if (!cluster) {
       return res.status(404).json({ error: 'Cluster not found' });
     }
     
-    // Start deletion workflow
+    // A dry-run deletion of a real cluster only previews the deletion and leaves its
+    // state alone; a dry-run cluster has nothing in Azure, so any deletion removes it
+    const preview = dryRun && !cluster.dryRun;
     const deletionWorkflowId = uuidv4();
+    if (!preview) {
+      // Link the workflow before it starts so even an immediate failure reaches the cluster
+      await ClusterService.beginDeletion(id, deletionWorkflowId);
+    }
+    
+    // Start deletion workflow
     const deletionWorkflow = await WorkflowService.startClusterDeletionWorkflow({
       workflowId: deletionWorkflowId,
       clusterId: id,
@@ -131,13 +249,20 @@ router.delete('/:id', async (req, res) => {
       dryRun
     });
     
+    clustersDeleted.inc({ dry_run: dryRun });
+    
     res.json({
       message: dryRun ? 'Dry run deletion started' : 'Cluster deletion started',
-      workflow: deletionWorkflow
+      cluster: await ClusterService.getCluster(id),
+      workflow: deletionWorkflow,
+      preview
     });
     
   } catch (error) {
-    console.error('Error deleting cluster:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error deleting cluster', { error, clusterId: req.params.id });
     res.status(500).json({ error: 'Failed to delete cluster' });
   }
 });
@@ -3,6 +3,10 @@ const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
 const NamespaceService = require('../services/namespaceService');
 const WorkflowService = require('../services/workflowService');
+const { requireRole } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { namespacesCreated, namespacesDeleted } = require('../metrics');
+const { logger } = require('../logger');
 
 const router = express.Router();
 
@@ -50,8 +54,11 @@ const updateNamespaceSchema = Joi.object({
   }).optional()
 });
 
+// Forced deletions skip graceful cleanup and are reserved for platform admins
+const deletionRole = (req) => (req.query.force === 'true' ? 'platform-admin' : 'developer');
+
 // GET /api/namespaces - List all namespaces
-router.get('/', async (req, res) => {
+router.get('/', requireRole('viewer'), async (req, res) => {
   try {
     const namespaces = await NamespaceService.getNamespaces();
     res.json({
@@ -59,13 +66,13 @@ router.get('/', async (req, res) => {
       total: namespaces.length
     });
   } catch (error) {
-    console.error('Error fetching namespaces:', error);
+    logger.error('Error fetching namespaces', { error });
     res.status(500).json({ error: 'Failed to fetch namespaces' });
   }
 });
 
 // GET /api/namespaces/:name - Get specific namespace details
-router.get('/:name', async (req, res) => {
+router.get('/:name', requireRole('viewer'), async (req, res) => {
   try {
     const { name } = req.params;
     const namespace = await NamespaceService.getNamespace(name);
@@ -76,13 +83,15 @@ router.get('/:name', async (req, res) => {
     
     res.json({ namespace });
   } catch (error) {
-    console.error('Error fetching namespace:', error);
+    logger.error('Error fetching namespace', { error, namespaceName: req.params.name });
     res.status(500).json({ error: 'Failed to fetch namespace details' });
   }
 });
 
 // POST /api/namespaces - Create new namespace
-router.post('/', async (req, res) => {
+router.post('/', audit('namespace.create', {
+  target: (req, body) => ({ namespaceName: req.body.name, workflowId: body?.workflow?.id })
+}), requireRole('developer'), async (req, res) => {
   try {
     const { error, value } = createNamespaceSchema.validate(req.body);
     
@@ -125,6 +134,7 @@ router.post('/', async (req, res) => {
         resourceLimits: value.resourceLimits,
         networkIsolated: value.networkIsolated
       });
+      namespacesCreated.inc();
 
       res.status(202).json({
         namespace: result.namespace,
@@ -133,7 +143,7 @@ router.post('/', async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('Error creating namespace:', error);
+    logger.error('Error creating namespace', { error });
     
     if (error.message.includes('already exists')) {
       return res.status(409).json({ error: error.message });
@@ -144,7 +154,10 @@ router.post('/', async (req, res) => {
 });
 
 // PATCH /api/namespaces/:name - Update namespace
-router.patch('/:name', async (req, res) => {
+router.patch('/:name', audit('namespace.update', {
+  target: (req, body) => ({ namespaceName: req.params.name, workflowId: body?.workflow?.id }),
+  before: req => NamespaceService.getTrackedNamespace(req.params.name)
+}), requireRole('developer'), async (req, res) => {
   try {
     const { name } = req.params;
     const { error, value } = updateNamespaceSchema.validate(req.body);
@@ -187,13 +200,16 @@ router.patch('/:name', async (req, res) => {
       message: 'Namespace update started'
     });
   } catch (error) {
-    console.error('Error updating namespace:', error);
+    logger.error('Error updating namespace', { error, namespaceName: req.params.name });
     res.status(500).json({ error: 'Failed to update namespace' });
   }
 });
 
 // DELETE /api/namespaces/:name - Delete namespace
-router.delete('/:name', async (req, res) => {
+router.delete('/:name', audit('namespace.delete', {
+  target: (req, body) => ({ namespaceName: req.params.name, workflowId: body?.workflow?.id }),
+  before: req => NamespaceService.getTrackedNamespace(req.params.name)
+}), requireRole(deletionRole), async (req, res) => {
   try {
     const { name } = req.params;
     const { force = false, dryRun = false } = req.query;
@@ -224,6 +240,7 @@ router.delete('/:name', async (req, res) => {
       });
 
       const result = await NamespaceService.deleteNamespace(name, force === 'true');
+      namespacesDeleted.inc();
 
       res.json({
         ...result,
@@ -232,13 +249,13 @@ router.delete('/:name', async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('Error deleting namespace:', error);
+    logger.error('Error deleting namespace', { error, namespaceName: req.params.name });
     res.status(500).json({ error: 'Failed to delete namespace' });
   }
 });
 
 // GET /api/namespaces/:name/manifests - Get generated manifests for namespace
-router.get('/:name/manifests', async (req, res) => {
+router.get('/:name/manifests', requireRole('viewer'), async (req, res) => {
   try {
     const { name } = req.params;
     const namespace = await NamespaceService.getNamespace(name);
@@ -256,13 +273,13 @@ router.get('/:name/manifests', async (req, res) => {
 
     res.json({ manifests });
   } catch (error) {
-    console.error('Error generating manifests:', error);
+    logger.error('Error generating manifests', { error, namespaceName: req.params.name });
     res.status(500).json({ error: 'Failed to generate manifests' });
   }
 });
 
 // GET /api/namespaces/:name/status - Get namespace status and health
-router.get('/:name/status', async (req, res) => {
+router.get('/:name/status', requireRole('viewer'), async (req, res) => {
   try {
     const { name } = req.params;
     const namespace = await NamespaceService.getNamespace(name);
@@ -284,7 +301,7 @@ router.get('/:name/status', async (req, res) => {
 
     res.json({ status });
   } catch (error) {
-    console.error('Error fetching namespace status:', error);
+    logger.error('Error fetching namespace status', { error, namespaceName: req.params.name });
     res.status(500).json({ error: 'Failed to fetch namespace status' });
   }
 });
@@ -1,12 +1,95 @@
 const express = require('express');
+const Joi = require('joi');
 const WorkflowService = require('../services/workflowService');
+const WorkflowAnalyticsService = require('../services/workflowAnalyticsService');
+const { requireRole } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { logger } = require('../logger');
 
 const router = express.Router();
 
-// GET /api/workflows/:id - Get workflow details
-router.get('/:id', async (req, res) => {
+const LOG_LEVELS = ['info', 'warning', 'error'];
+
+// level is a comma-separated list, e.g. ?level=warning,error
+const workflowQuerySchema = Joi.object({
+  level: Joi.string().pattern(new RegExp(`^(${LOG_LEVELS.join('|')})(,(${LOG_LEVELS.join('|')}))*$`)).optional(),
+  since: Joi.date().iso().optional(),
+  text: Joi.string().allow('').optional()
+});
+
+const WORKFLOW_STATUSES = ['pending', 'running', 'aborting', 'succeeded', 'failed', 'aborted'];
+
+// status is a comma-separated list, e.g. ?status=pending,running,aborting
+const workflowListQuerySchema = Joi.object({
+  status: Joi.string().pattern(new RegExp(`^(${WORKFLOW_STATUSES.join('|')})(,(${WORKFLOW_STATUSES.join('|')}))*$`)).optional(),
+  type: Joi.string().valid(
+    'cluster-provisioning',
+    'cluster-deletion',
+    'namespace-provisioning',
+    'namespace-update',
+    'namespace-deletion'
+  ).optional(),
+  clusterId: Joi.string().optional(),
+  namespaceName: Joi.string().optional(),
+  workflowType: Joi.string().valid('karpenter', 'kro').optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  sortBy: Joi.string().valid('startTime', 'endTime', 'duration').default('startTime'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  cursor: Joi.string().optional()
+});
+
+const statsQuerySchema = Joi.object({
+  type: Joi.string().valid(
+    'cluster-provisioning',
+    'cluster-deletion',
+    'namespace-provisioning',
+    'namespace-update',
+    'namespace-deletion'
+  ).optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional()
+});
+
+const stepLogsQuerySchema = Joi.object({
+  offset: Joi.number().integer().min(0).optional(),
+  limit: Joi.number().integer().min(1).max(1000).default(200)
+});
+
+// GET /api/workflows/stats - Duration percentiles, failure rates and top errors
+// (declared before /:id so "stats" is not taken for a workflow id)
+router.get('/stats', requireRole('viewer'), async (req, res) => {
+  try {
+    const { error, value } = statsQuerySchema.validate(req.query);
+    
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+    
+    res.json(WorkflowAnalyticsService.getStats(value));
+  } catch (error) {
+    logger.error('Error computing workflow stats', { error });
+    res.status(500).json({ error: 'Failed to compute workflow stats' });
+  }
+});
+
+// GET /api/workflows/:id - Get workflow details; level, since and text filter the logs
+router.get('/:id', requireRole('viewer'), async (req, res) => {
   try {
     const { id } = req.params;
+    const { error, value } = workflowQuerySchema.validate(req.query);
+    
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+    
     const workflow = await WorkflowService.getWorkflow(id);
     
     if (!workflow) {
@@ -14,7 +97,11 @@ router.get('/:id', async (req, res) => {
     }
     
     const steps = await WorkflowService.getWorkflowSteps(id);
-    const logs = await WorkflowService.getWorkflowLogs(id);
+    const logs = await WorkflowService.getWorkflowLogs(id, {
+      levels: value.level?.split(','),
+      since: value.since,
+      text: value.text
+    });
     
     res.json({
       workflow,
@@ -22,31 +109,102 @@ router.get('/:id', async (req, res) => {
       logs
     });
   } catch (error) {
-    console.error('Error fetching workflow:', error);
+    logger.error('Error fetching workflow', { error, workflowId: req.params.id });
     res.status(500).json({ error: 'Failed to fetch workflow details' });
   }
 });
 
+// GET /api/workflows/:id/graph - Node graph (nodes + parent -> child edges) for the DAG view
+router.get('/:id/graph', requireRole('viewer'), async (req, res) => {
+  try {
+    const graph = await WorkflowService.getWorkflowGraph(req.params.id);
+    
+    if (!graph) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    
+    res.json(graph);
+  } catch (error) {
+    logger.error('Error fetching workflow graph', { error, workflowId: req.params.id });
+    res.status(500).json({ error: 'Failed to fetch workflow graph' });
+  }
+});
+
+// GET /api/workflows/:id/steps/:stepName/logs - Page through a step's pod output (newest page by default)
+router.get('/:id/steps/:stepName/logs', requireRole('viewer'), async (req, res) => {
+  try {
+    const { id, stepName } = req.params;
+    const { error, value } = stepLogsQuerySchema.validate(req.query);
+    
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+    
+    const workflow = await WorkflowService.getWorkflow(id);
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    
+    const steps = await WorkflowService.getWorkflowSteps(id);
+    if (!steps.some(step => step.name === stepName)) {
+      return res.status(404).json({ error: `Step ${stepName} not found` });
+    }
+    
+    const result = await WorkflowService.getStepLogs(id, stepName, value);
+    
+    res.json(result);
+  } catch (error) {
+    logger.error('Error fetching step logs', { error, workflowId: req.params.id });
+    res.status(500).json({ error: 'Failed to fetch step logs' });
+  }
+});
+
 // POST /api/workflows/:id/abort - Abort workflow
-router.post('/:id/abort', async (req, res) => {
+router.post('/:id/abort', audit('workflow.abort', {
+  target: (req, body, workflow) => ({
+    workflowId: req.params.id,
+    clusterId: workflow?.clusterId,
+    namespaceName: workflow?.namespaceName
+  }),
+  before: req => WorkflowService.getWorkflow(req.params.id)
+}), requireRole('developer'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason } = req.body;
+    const { reason, mode = 'stop' } = req.body;
     
-    const result = await WorkflowService.abortWorkflow(id, reason);
+    if (!['stop', 'terminate'].includes(mode)) {
+      return res.status(400).json({ error: "mode must be 'stop' or 'terminate'" });
+    }
+    
+    const result = await WorkflowService.abortWorkflow(id, reason, mode);
     
     res.json({
       message: 'Workflow abort initiated',
       workflow: result
     });
   } catch (error) {
-    console.error('Error aborting workflow:', error);
+    logger.error('Error aborting workflow', { error, workflowId: req.params.id });
+    
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
     res.status(500).json({ error: 'Failed to abort workflow' });
   }
 });
 
 // POST /api/workflows/:id/retry - Retry workflow
-router.post('/:id/retry', async (req, res) => {
+router.post('/:id/retry', audit('workflow.retry', {
+  target: (req, body, workflow) => ({
+    workflowId: req.params.id,
+    clusterId: workflow?.clusterId,
+    namespaceName: workflow?.namespaceName
+  }),
+  before: req => WorkflowService.getWorkflow(req.params.id)
+}), requireRole('developer'), async (req, res) => {
   try {
     const { id } = req.params;
     const { fromStep } = req.body;
@@ -58,23 +216,42 @@ router.post('/:id/retry', async (req, res) => {
       workflow: result
     });
   } catch (error) {
-    console.error('Error retrying workflow:', error);
+    logger.error('Error retrying workflow', { error, workflowId: req.params.id });
+    
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
     res.status(500).json({ error: 'Failed to retry workflow' });
   }
 });
 
-// GET /api/workflows - List workflows
-router.get('/', async (req, res) => {
+// GET /api/workflows - List workflows, one page at a time (pass back nextCursor for the next)
+router.get('/', requireRole('viewer'), async (req, res) => {
   try {
-    const { status, limit = 50 } = req.query;
-    const workflows = await WorkflowService.getWorkflows({ status, limit: parseInt(limit) });
+    const { error, value } = workflowListQuerySchema.validate(req.query);
     
-    res.json({
-      workflows,
-      total: workflows.length
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+    
+    const { status, ...filters } = value;
+    const result = await WorkflowService.getWorkflows({
+      ...filters,
+      statuses: status?.split(',')
     });
+    
+    res.json(result);
   } catch (error) {
-    console.error('Error fetching workflows:', error);
+    logger.error('Error fetching workflows', { error });
+    
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
     res.status(500).json({ error: 'Failed to fetch workflows' });
   }
 });
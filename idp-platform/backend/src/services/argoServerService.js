@@ -0,0 +1,51 @@
+const fs = require('fs');
+const https = require('https');
+const axios = require('axios');
+
+const SERVICE_ACCOUNT_TOKEN_FILE = '/var/run/secrets/kubernetes.io/serviceaccount/token';
+
+// Client for the Argo Server REST API, used for operations the Kubernetes API
+// cannot express on its own (retrying a workflow in place resets failed nodes
+// and deletes their pods).
+//   ARGO_SERVER_URL             default https://argo-server.argo.svc:2746
+//   ARGO_SERVER_TOKEN_FILE      bearer token file (default: the pod's service account token)
+//   ARGO_SERVER_INSECURE=true   skip TLS verification (argo-server's self-signed certificate)
+class ArgoServerService {
+  constructor() {
+    this.baseURL = process.env.ARGO_SERVER_URL || 'https://argo-server.argo.svc:2746';
+    this.tokenFile = process.env.ARGO_SERVER_TOKEN_FILE || SERVICE_ACCOUNT_TOKEN_FILE;
+    this.client = axios.create({
+      baseURL: this.baseURL,
+      timeout: 30000,
+      httpsAgent: new https.Agent({ rejectUnauthorized: process.env.ARGO_SERVER_INSECURE !== 'true' })
+    });
+  }
+
+  authHeaders() {
+    try {
+      // Re-read on every call: projected service account tokens rotate
+      const token = fs.readFileSync(this.tokenFile, 'utf8').trim();
+      return token ? { Authorization: `Bearer ${token}` } : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // Retry a Failed/Error workflow in place. With restartSuccessful and a
+  // nodeFieldSelector (e.g. templateName=create-managed-cluster) the matching
+  // nodes and everything after them run again even if they had succeeded.
+  async retryWorkflow(namespace, name, { restartSuccessful = false, nodeFieldSelector } = {}) {
+    try {
+      const response = await this.client.put(
+        `/api/v1/workflows/${namespace}/${name}/retry`,
+        { name, namespace, restartSuccessful, nodeFieldSelector },
+        { headers: this.authHeaders() }
+      );
+      return response.data;
+    } catch (error) {
+      throw new Error(`Argo Server retry of ${name} failed: ${error.response?.data?.message || error.message}`);
+    }
+  }
+}
+
+module.exports = new ArgoServerService();
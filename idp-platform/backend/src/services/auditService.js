@@ -0,0 +1,102 @@
+const { v4: uuidv4 } = require('uuid');
+const { createAppendLog } = require('../storage');
+const { logger } = require('../logger');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Flat list of leaf changes between two objects, e.g.
+//   [{ path: 'resourceLimits.cpu.limit', from: '1000m', to: '2000m' }]
+const diffObjects = (before = {}, after = {}, prefix = '') => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  keys.forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+      changes.push(...diffObjects(from, to, path));
+    } else if (!sameValue(from, to)) {
+      changes.push({ path, from: from === undefined ? null : from, to: to === undefined ? null : to });
+    }
+  });
+
+  return changes;
+};
+
+class AuditService {
+  constructor() {
+    // Append-only: entries are never updated or removed once recorded
+    this.entries = createAppendLog('audit');
+  }
+
+  async initialize() {
+    await this.entries.load();
+    logger.info(`Loaded ${this.entries.entries.length} audit entries from storage`);
+  }
+
+  // Changes requested by a mutating call: creates diff against nothing,
+  // updates against the current record and deletes remove the whole record
+  computeChanges(method, previous, payload) {
+    if (method === 'DELETE') {
+      return diffObjects(previous || {}, {});
+    }
+    return diffObjects(previous || {}, { ...(previous || {}), ...(payload || {}) });
+  }
+
+  record({ actor, action, target, request, changes, outcome }) {
+    return this.entries.append({
+      id: uuidv4(),
+      timestamp: new Date(),
+      actor,
+      action,
+      target,
+      request,
+      changes,
+      outcome
+    });
+  }
+
+  // Newest first. actor matches id, name or email; target matches any target field
+  async getEntries(filters = {}) {
+    const { actor, target, action, from, to } = filters;
+    const limit = Math.min(filters.limit || DEFAULT_LIMIT, MAX_LIMIT);
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const entries = this.entries.entries.filter(entry => {
+      const timestamp = new Date(entry.timestamp).getTime();
+
+      if (actor && ![entry.actor?.id, entry.actor?.name, entry.actor?.email].includes(actor)) {
+        return false;
+      }
+      if (target && !Object.values(entry.target || {}).includes(target)) {
+        return false;
+      }
+      if (action && entry.action !== action) {
+        return false;
+      }
+      if (fromTime !== null && timestamp < fromTime) {
+        return false;
+      }
+      if (toTime !== null && timestamp > toTime) {
+        return false;
+      }
+      return true;
+    });
+
+    return {
+      entries: entries.reverse().slice(0, limit),
+      total: entries.length
+    };
+  }
+}
+
+module.exports = new AuditService();
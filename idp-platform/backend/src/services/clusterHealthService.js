@@ -0,0 +1,238 @@
+const ClusterService = require('./clusterService');
+const { logger } = require('../logger');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_REFRESH_MIN_MS = 15 * 1000;
+
+// Worst wins when a cluster's resources disagree
+const HEALTH_RANK = { healthy: 0, progressing: 1, unknown: 2, degraded: 3, unhealthy: 4 };
+
+// Plain-language explanations for the ASO condition reasons people actually hit;
+// anything else falls back to the condition message
+const ASO_REASONS = {
+  Succeeded: 'Provisioned in Azure',
+  Reconciling: 'Azure is creating or updating the resource',
+  WaitingForOwner: 'Waiting for the resource it belongs to (e.g. its resource group)',
+  ReferenceNotFound: 'A resource it references does not exist yet',
+  SecretNotFound: 'A secret it needs is missing',
+  ConfigMapNotFound: 'A config map it needs is missing',
+  AzureResourceNotFound: 'The resource no longer exists in Azure',
+  AuthorizationFailed: 'ASO is not authorized to manage the resource in this subscription',
+  SubscriptionMismatch: 'The resource is in a different subscription than its owner',
+  QuotaExceeded: 'The Azure subscription is out of quota for this resource',
+  Deleting: 'The resource is being deleted'
+};
+
+// KRO instance phase (status.phase, or status.state on older KRO releases)
+const KRO_PHASES = {
+  ACTIVE: 'healthy',
+  READY: 'healthy',
+  IN_PROGRESS: 'progressing',
+  PROGRESSING: 'progressing',
+  PENDING: 'progressing',
+  DELETING: 'progressing',
+  FAILED: 'unhealthy',
+  ERROR: 'unhealthy'
+};
+
+const describeResource = (resource) => ({
+  kind: resource.kind,
+  name: resource.metadata?.name
+});
+
+const readyCondition = (resource) =>
+  (resource.status?.conditions || []).find(condition => condition.type === 'Ready');
+
+// ASO reports everything through its Ready condition: True is healthy; Unknown means it
+// is still reconciling; False carries a severity - Error needs someone to act, Warning
+// is usually transient (waiting on a dependency) and Info is a normal step.
+const interpretAsoResource = (resource) => {
+  const condition = readyCondition(resource);
+  if (!condition) {
+    return {
+      ...describeResource(resource),
+      health: 'unknown',
+      reason: 'NoReadyCondition',
+      message: 'ASO has not reported a Ready condition yet'
+    };
+  }
+
+  let health = 'progressing';
+  if (condition.status === 'True') {
+    health = 'healthy';
+  } else if (condition.status === 'False' && condition.severity === 'Error') {
+    health = 'unhealthy';
+  } else if (condition.status === 'False' && condition.severity === 'Warning') {
+    health = 'degraded';
+  }
+
+  return {
+    ...describeResource(resource),
+    health,
+    reason: condition.reason || null,
+    severity: condition.severity || null,
+    message: ASO_REASONS[condition.reason] || condition.message || condition.reason || null,
+    detail: condition.message || null,
+    since: condition.lastTransitionTime || null
+  };
+};
+
+const interpretKroInstance = (instance) => {
+  const phase = instance.status?.phase || instance.status?.state;
+  const failing = (instance.status?.conditions || []).find(condition => condition.status === 'False');
+  return {
+    ...describeResource(instance),
+    health: KRO_PHASES[String(phase).toUpperCase()] || 'unknown',
+    reason: phase || null,
+    message: failing?.message || (phase ? `KRO instance is ${phase}` : 'KRO has not reported a phase yet'),
+    detail: failing ? `${failing.type} condition is False (${failing.reason})` : null
+  };
+};
+
+// Cluster health from its live KRO instance and ASO resources. Independent of the
+// lifecycle status: a ready cluster can turn unhealthy when Azure drifts.
+const evaluateHealth = (cluster, lookup) => {
+  if (lookup.error) {
+    return {
+      status: 'unknown',
+      reason: `Could not read the cluster resources from Kubernetes: ${lookup.error}`,
+      resources: [],
+      checkedAt: new Date()
+    };
+  }
+
+  const { kroInstances, asoResources } = lookup;
+  const resources = [
+    ...kroInstances.map(interpretKroInstance),
+    ...asoResources.map(interpretAsoResource)
+  ];
+
+  if (resources.length === 0) {
+    const provisioning = cluster.status === 'provisioning';
+    return {
+      status: provisioning ? 'progressing' : 'unknown',
+      reason: provisioning ? 'Waiting for KRO and ASO to create the cluster resources' : 'No KRO or ASO resources found for this cluster',
+      resources,
+      checkedAt: new Date()
+    };
+  }
+
+  const worst = resources.reduce((current, resource) =>
+    (HEALTH_RANK[resource.health] > HEALTH_RANK[current.health] ? resource : current));
+
+  return {
+    status: worst.health,
+    reason: worst.health === 'healthy' ? 'All resources are ready' : `${worst.kind} ${worst.name}: ${worst.message}`,
+    resources,
+    checkedAt: new Date()
+  };
+};
+
+// Periodically re-reads the KRO/ASO objects of every live cluster (CLUSTER_HEALTH_INTERVAL_MS,
+// 0 disables) and stores the result as cluster.health
+class ClusterHealthService {
+  constructor() {
+    this.intervalMs = process.env.CLUSTER_HEALTH_INTERVAL_MS !== undefined
+      ? parseInt(process.env.CLUSTER_HEALTH_INTERVAL_MS, 10)
+      : DEFAULT_INTERVAL_MS;
+    // On-demand rechecks are skipped while the stored health is younger than this
+    this.refreshMinMs = process.env.CLUSTER_HEALTH_REFRESH_MIN_MS !== undefined
+      ? parseInt(process.env.CLUSTER_HEALTH_REFRESH_MIN_MS, 10)
+      : DEFAULT_REFRESH_MIN_MS;
+    this.timer = null;
+    this.running = false;
+    // clusterId -> in-flight on-demand check, shared by concurrent requests
+    this.refreshing = new Map();
+  }
+
+  start() {
+    if (!this.intervalMs || this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.reconcileAll(), this.intervalMs);
+    this.reconcileAll();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Dry-run clusters have nothing in Azure and deleted ones are tombstones
+  isMonitored(cluster) {
+    return !cluster.dryRun && cluster.status !== 'deleted';
+  }
+
+  async reconcileAll() {
+    // A slow API server must not stack up overlapping passes
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    try {
+      const clusters = (await ClusterService.getClusters()).filter(cluster => this.isMonitored(cluster));
+      if (clusters.length === 0) {
+        return;
+      }
+
+      // One labelled list per ASO kind for the whole pass; each cluster falls back to its
+      // own lookup if that fails, so its health still records why
+      let labelled = null;
+      try {
+        labelled = await ClusterService.listLabelledASOResources();
+      } catch (error) {
+        logger.error('Error listing labelled ASO resources', { error });
+      }
+      for (const cluster of clusters) {
+        await this.checkCluster(cluster, { labelled: labelled ? labelled.get(cluster.name) || [] : undefined });
+      }
+    } catch (error) {
+      logger.error('Error reconciling cluster health', { error });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // On-demand recheck (GET /api/clusters/:id?refreshHealth=true). Resolves to null when the
+  // cluster is not monitored or its health was checked less than refreshMinMs ago.
+  refreshCluster(cluster) {
+    const checkedAt = cluster.health?.checkedAt ? new Date(cluster.health.checkedAt).getTime() : 0;
+    if (!this.isMonitored(cluster) || Date.now() - checkedAt < this.refreshMinMs) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.refreshing.has(cluster.id)) {
+      this.refreshing.set(cluster.id, this.checkCluster(cluster)
+        .finally(() => this.refreshing.delete(cluster.id)));
+    }
+    return this.refreshing.get(cluster.id);
+  }
+
+  // Read the cluster's resources now and store the resulting health. `labelled` is the
+  // cluster's share of a pass-wide listLabelledASOResources()
+  async checkCluster(cluster, { labelled } = {}) {
+    const resources = await ClusterService.getClusterResources(cluster.id, { labelled });
+    if (!this.isMonitored(cluster)) {
+      return { cluster, resources, health: null };
+    }
+
+    const health = evaluateHealth(cluster, resources);
+    if (health.status !== cluster.health?.status) {
+      logger.info(`Cluster ${cluster.name} health is now ${health.status}`, {
+        clusterId: cluster.id,
+        from: cluster.health?.status,
+        reason: health.reason
+      });
+    }
+
+    // The lifecycle may have moved on (e.g. deleted) while the resources were read
+    const current = await ClusterService.getCluster(cluster.id);
+    if (!current || !this.isMonitored(current)) {
+      return { cluster: current, resources, health: null };
+    }
+    const updated = await ClusterService.updateCluster(cluster.id, { health });
+    return { cluster: updated, resources, health };
+  }
+}
+
+module.exports = new ClusterHealthService();
@@ -1,4 +1,110 @@
 const k8s = require('@kubernetes/client-node');
+const { createRepository } = require('../storage');
+const { logger } = require('../logger');
+
+// Cluster lifecycle: provisioning → ready → deleting → deleted. A provisioning or
+// deletion workflow that does not succeed leaves the cluster failed, from where it
+// can be provisioned again (a retry) or deleted. Deleted clusters are kept as tombstones.
+const CLUSTER_TRANSITIONS = {
+  provisioning: ['ready', 'failed'],
+  ready: ['deleting'],
+  deleting: ['deleted', 'failed'],
+  failed: ['provisioning', 'deleting'],
+  deleted: []
+};
+
+// Cluster status implied by the status of its provisioning or deletion workflow
+const PROVISIONING_STATES = {
+  pending: 'provisioning',
+  running: 'provisioning',
+  aborting: 'provisioning',
+  succeeded: 'ready',
+  failed: 'failed',
+  aborted: 'failed'
+};
+
+const DELETION_STATES = {
+  pending: 'deleting',
+  running: 'deleting',
+  aborting: 'deleting',
+  succeeded: 'deleted',
+  failed: 'failed',
+  aborted: 'failed'
+};
+
+// ASO kinds a cluster's Azure resources are made of (see aso-stack/), resource group
+// first. Versions match the manifests; ASO_API_VERSIONS overrides them per plural,
+// e.g. "managedclusters=v1api20240901,dnszones=v1api20180501".
+const ASO_RESOURCE_TYPES = [
+  { kind: 'ResourceGroup', group: 'resources.azure.com', plural: 'resourcegroups', version: 'v1api20200601' },
+  { kind: 'UserAssignedIdentity', group: 'managedidentity.azure.com', plural: 'userassignedidentities', version: 'v1api20230131' },
+  { kind: 'RoleAssignment', group: 'authorization.azure.com', plural: 'roleassignments', version: 'v1api20200801preview' },
+  { kind: 'ManagedCluster', group: 'containerservice.azure.com', plural: 'managedclusters', version: 'v1api20240402preview' },
+  { kind: 'FederatedIdentityCredential', group: 'managedidentity.azure.com', plural: 'federatedidentitycredentials', version: 'v1api20230131' },
+  { kind: 'Extension', group: 'kubernetesconfiguration.azure.com', plural: 'extensions', version: 'v1api20230501' },
+  { kind: 'FluxConfiguration', group: 'kubernetesconfiguration.azure.com', plural: 'fluxconfigurations', version: 'v1api20241101' },
+  { kind: 'DnsZone', group: 'network.azure.com', plural: 'dnszones', version: 'v1api20220701' }
+];
+
+// Karpenter objects the ASO/Karpenter provisioning workflow creates per cluster
+const KARPENTER_RESOURCE_TYPES = [
+  { kind: 'NodePool', group: 'karpenter.sh', plural: 'nodepools', version: 'v1beta1' },
+  { kind: 'AKSNodeClass', group: 'karpenter.azure.com', plural: 'aksnodeclasses', version: 'v1alpha2' }
+];
+
+// Set by the provisioning workflows on everything they create for a cluster
+const CLUSTER_NAME_LABEL = 'idp-platform/cluster-name';
+
+// The resource among candidates that owns this one: ownerReferences once ASO has set
+// them, spec.owner (by name, and kind when given) before that
+const findOwner = (resource, candidates) => {
+  const references = resource.metadata.ownerReferences || [];
+  const owner = resource.spec?.owner;
+  return candidates.find(candidate => candidate !== resource && (
+    references.some(reference => reference.uid === candidate.metadata.uid) ||
+    (Boolean(owner?.name) && candidate.metadata.name === owner.name && (!owner.kind || candidate.kind === owner.kind))
+  ));
+};
+
+// KRO instances report a phase rather than a Ready condition
+const readyCondition = (resource) => {
+  const ready = (resource.status?.conditions || []).find(condition => condition.type === 'Ready');
+  if (ready || resource.kind !== 'AKSCluster') {
+    return ready || null;
+  }
+  const phase = resource.status?.phase || resource.status?.state;
+  return phase ? { type: 'Ready', status: ['ACTIVE', 'READY'].includes(String(phase).toUpperCase()) ? 'True' : 'False', reason: phase } : null;
+};
+
+// One node of the resource tree; managedFields is bookkeeping nobody wants in the YAML view
+const toTreeNode = (resource) => {
+  const { managedFields, ...metadata } = resource.metadata;
+  return {
+    uid: metadata.uid,
+    apiVersion: resource.apiVersion,
+    kind: resource.kind,
+    name: metadata.name,
+    namespace: metadata.namespace,
+    ready: readyCondition(resource),
+    yaml: k8s.dumpYaml({ ...resource, metadata }),
+    children: []
+  };
+};
+
+const parseApiVersions = (value = '') => Object.fromEntries(
+  value.split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([plural, version]) => plural && version)
+);
+
+// Raised for requests the cluster's current state does not allow; routes answer with statusCode
+class ClusterStateError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'ClusterStateError';
+    this.statusCode = statusCode;
+  }
+}
 
 class ClusterService {
   constructor() {
@@ -7,13 +113,29 @@ class ClusterService {
     this.k8sApi = this.kc.makeApiClient(k8s.CoreV1Api);
     this.customApi = this.kc.makeApiClient(k8s.CustomObjectsApi);
     
-    // In-memory storage for demo purposes
-    // In production, use a proper database
-    this.clusters = new Map();
+    this.asoNamespace = process.env.ASO_NAMESPACE || 'azure-system';
+    this.asoApiVersions = {
+      ...Object.fromEntries(ASO_RESOURCE_TYPES.map(type => [type.plural, type.version])),
+      ...parseApiVersions(process.env.ASO_API_VERSIONS)
+    };
+    this.kroNamespace = process.env.KRO_NAMESPACE || 'default';
+    this.kroApiVersion = process.env.KRO_API_VERSION || 'v1alpha1';
+    
+    // Write-through repository, reloaded from storage on startup
+    this.clusters = createRepository('clusters');
+  }
+  
+  async initialize() {
+    await this.clusters.load();
+    logger.info(`Loaded ${this.clusters.size} clusters from storage`);
   }
   
-  async getClusters() {
-    return Array.from(this.clusters.values());
+  // view: 'active' (everything not deleted), 'deleted' (tombstones) or 'all'
+  async getClusters({ view = 'active' } = {}) {
+    return Array.from(this.clusters.values()).filter(cluster => {
+      if (view === 'all') return true;
+      return view === 'deleted' ? cluster.status === 'deleted' : cluster.status !== 'deleted';
+    });
   }
   
   async getCluster(id) {
@@ -21,8 +143,83 @@ class ClusterService {
   }
   
   async createCluster(clusterData) {
-    this.clusters.set(clusterData.id, clusterData);
-    return clusterData;
+    const cluster = {
+      ...clusterData,
+      statusHistory: clusterData.statusHistory || [
+        { status: clusterData.status, at: clusterData.createdAt || new Date(), workflowId: clusterData.workflowId }
+      ]
+    };
+    this.clusters.set(cluster.id, cluster);
+    return cluster;
+  }
+  
+  assertTransition(cluster, status) {
+    if (!CLUSTER_TRANSITIONS[cluster.status]?.includes(status)) {
+      const action = status === 'deleting' ? 'deleted' : `moved to ${status}`;
+      throw new ClusterStateError(`Cluster ${cluster.name} is ${cluster.status} and cannot be ${action}`);
+    }
+  }
+  
+  // Move a cluster to its next lifecycle state, recording the workflow that caused it
+  async transitionCluster(id, status, { workflowId, ...updates } = {}) {
+    const cluster = this.clusters.get(id);
+    if (!cluster) {
+      throw new ClusterStateError('Cluster not found', 404);
+    }
+    this.assertTransition(cluster, status);
+    
+    const now = new Date();
+    const updatedCluster = {
+      ...cluster,
+      ...updates,
+      status,
+      statusHistory: [...(cluster.statusHistory || []), { status, at: now, workflowId }],
+      updatedAt: now
+    };
+    this.clusters.set(id, updatedCluster);
+    logger.info(`Cluster ${cluster.name} is now ${status}`, { clusterId: id, workflowId, from: cluster.status });
+    return updatedCluster;
+  }
+  
+  // Start deleting: link the deletion workflow so its outcome drives the cluster from here
+  async beginDeletion(id, deletionWorkflowId) {
+    return this.transitionCluster(id, 'deleting', { workflowId: deletionWorkflowId, deletionWorkflowId, error: null });
+  }
+  
+  // Called whenever a workflow is saved. Only the cluster's current provisioning or
+  // deletion workflow moves it; superseded workflows and other types are ignored.
+  async applyWorkflowStatus(workflow) {
+    const cluster = workflow.clusterId && this.clusters.get(workflow.clusterId);
+    if (!cluster) {
+      return null;
+    }
+    
+    let status = null;
+    if (workflow.type === 'cluster-provisioning' && cluster.workflowId === workflow.id) {
+      status = PROVISIONING_STATES[workflow.status];
+    } else if (workflow.type === 'cluster-deletion' && cluster.deletionWorkflowId === workflow.id) {
+      status = DELETION_STATES[workflow.status];
+    }
+    if (!status || status === cluster.status) {
+      return cluster;
+    }
+    
+    try {
+      if (status === 'deleted') {
+        return await this.deleteCluster(cluster.id, workflow.id);
+      }
+      return await this.transitionCluster(cluster.id, status, {
+        workflowId: workflow.id,
+        error: status === 'failed' ? workflow.error || `Workflow ${workflow.status}` : null
+      });
+    } catch (error) {
+      logger.warn(`Ignoring ${workflow.type} workflow status ${workflow.status} for cluster ${cluster.name}`, {
+        clusterId: cluster.id,
+        workflowId: workflow.id,
+        reason: error.message
+      });
+      return cluster;
+    }
   }
   
   async updateCluster(id, updates) {
@@ -36,88 +233,209 @@ class ClusterService {
     return updatedCluster;
   }
   
-  async deleteCluster(id) {
-    return this.clusters.delete(id);
+  // Tombstone the cluster: the record stays for the history view
+  async deleteCluster(id, workflowId) {
+    return this.transitionCluster(id, 'deleted', { workflowId, deletedAt: new Date() });
   }
   
-  async getClusterResources(clusterId) {
+  // The cluster's KRO instance and ASO resources. When Kubernetes could not be read both
+  // groups are empty and `error` says why. `labelled` takes the cluster's entry from
+  // listLabelledASOResources() so a pass over every cluster lists each kind once.
+  async getClusterResources(clusterId, { labelled } = {}) {
     const cluster = this.clusters.get(clusterId);
     if (!cluster) {
-      return [];
+      return { kroInstances: [], asoResources: [] };
     }
     
     try {
-      // Get KRO instance status
-      const kroInstances = await this.customApi.listNamespacedCustomObject(
+      const [kroInstance, asoResources] = await Promise.all([
+        this.getKROInstance(cluster.name),
+        this.getASOResources(cluster.name, labelled)
+      ]);
+      
+      return {
+        kroInstances: kroInstance ? [kroInstance] : [],
+        asoResources
+      };
+    } catch (error) {
+      logger.error('Error fetching cluster resources', { error, clusterId });
+      return {
+        kroInstances: [],
+        asoResources: [],
+        error: error.body?.message || error.message
+      };
+    }
+  }
+  
+  // The AKSCluster instance is named after the cluster
+  async getKROInstance(clusterName) {
+    try {
+      const response = await this.customApi.getNamespacedCustomObject(
         'kro.run',
-        'v1alpha1',
-        'default',
+        this.kroApiVersion,
+        this.kroNamespace,
         'aksclusters',
+        clusterName
+      );
+      return response.body;
+    } catch (error) {
+      if (error.response?.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+  
+  async getASOResource(type, name) {
+    try {
+      const response = await this.customApi.getNamespacedCustomObject(
+        type.group,
+        this.asoApiVersions[type.plural],
+        this.asoNamespace,
+        type.plural,
+        name
+      );
+      return response.body;
+    } catch (error) {
+      if (error.response?.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+  
+  // The cluster's ASO ManagedCluster, or null
+  async getManagedCluster(clusterName) {
+    return this.getASOResource(ASO_RESOURCE_TYPES.find(type => type.kind === 'ManagedCluster'), clusterName);
+  }
+  
+  // A kind whose CRD is not installed (e.g. no Flux extension support) has nothing to list
+  async listASOResources(type, labelSelector) {
+    try {
+      const response = await this.customApi.listNamespacedCustomObject(
+        type.group,
+        this.asoApiVersions[type.plural],
+        this.asoNamespace,
+        type.plural,
         undefined,
         undefined,
         undefined,
         undefined,
-        `metadata.name=${cluster.name}`
+        labelSelector
       );
-      
-      // Get ASO resources status
-      const asoResources = await this.getASOResources(cluster.name);
-      
-      return {
-        kroInstances: kroInstances.body.items,
-        asoResources
-      };
+      return response.body.items;
     } catch (error) {
-      console.error('Error fetching cluster resources:', error);
-      return [];
+      if (error.response?.statusCode === 404) {
+        logger.debug(`ASO ${type.kind} is not installed`, { error });
+        return [];
+      }
+      throw error;
     }
   }
   
-  async getASOResources(clusterName) {
-    try {
-      const resources = [];
-      
-      // Check ResourceGroup
-      try {
-        const rg = await this.customApi.listNamespacedCustomObject(
-          'resources.azure.com',
-          'v1api20200601',
-          'azure-system',
-          'resourcegroups',
-          undefined,
-          undefined,
-          undefined,
-          undefined,
-          `metadata.name=rg-${clusterName}`
-        );
-        resources.push(...rg.body.items);
-      } catch (error) {
-        console.log('No ResourceGroup found for cluster:', clusterName);
-      }
-      
-      // Check ManagedCluster
+  // ASO resources labelled for any cluster, by cluster name: one selector-filtered list per kind
+  async listLabelledASOResources() {
+    const lists = await Promise.all(ASO_RESOURCE_TYPES.map(type => this.listASOResources(type, CLUSTER_NAME_LABEL)));
+    const byCluster = new Map();
+    lists.flat().forEach(resource => {
+      const clusterName = resource.metadata.labels[CLUSTER_NAME_LABEL];
+      byCluster.set(clusterName, [...(byCluster.get(clusterName) || []), resource]);
+    });
+    return byCluster;
+  }
+  
+  // Every ASO resource that belongs to the cluster: whatever is labelled
+  // idp-platform/cluster-name=<name> (listed with that selector unless `labelled` is
+  // given), plus the rg-<name> ResourceGroup and <name> ManagedCluster read by name
+  // when they were created without the label.
+  async getASOResources(clusterName, labelled) {
+    const resources = labelled || (await Promise.all(ASO_RESOURCE_TYPES.map(type =>
+      this.listASOResources(type, `${CLUSTER_NAME_LABEL}=${clusterName}`)))).flat();
+    
+    const knownNames = [['ResourceGroup', `rg-${clusterName}`], ['ManagedCluster', clusterName]]
+      .filter(([kind, name]) => !resources.some(resource => resource.kind === kind && resource.metadata.name === name));
+    const named = await Promise.all(knownNames.map(([kind, name]) =>
+      this.getASOResource(ASO_RESOURCE_TYPES.find(type => type.kind === kind), name)));
+    
+    const kindOrder = ASO_RESOURCE_TYPES.map(type => type.kind);
+    return [...resources, ...named.filter(Boolean)]
+      .sort((a, b) => kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind));
+  }
+  
+  // NodePools and AKSNodeClasses labelled for the cluster, wherever they live
+  async getKarpenterResources(clusterName) {
+    const resources = await Promise.all(KARPENTER_RESOURCE_TYPES.map(async (type) => {
       try {
-        const mc = await this.customApi.listNamespacedCustomObject(
-          'containerservice.azure.com',
-          'v1api20240402preview',
-          'azure-system',
-          'managedclusters',
+        const response = await this.customApi.listClusterCustomObject(
+          type.group,
+          type.version,
+          type.plural,
           undefined,
           undefined,
           undefined,
           undefined,
-          `metadata.name=${clusterName}`
+          `${CLUSTER_NAME_LABEL}=${clusterName}`
         );
-        resources.push(...mc.body.items);
+        return response.body.items;
       } catch (error) {
-        console.log('No ManagedCluster found for cluster:', clusterName);
+        if (error.response?.statusCode === 404) {
+          logger.debug(`Karpenter ${type.kind} is not installed`, { error });
+          return [];
+        }
+        throw error;
       }
-      
-      return resources;
-    } catch (error) {
-      console.error('Error fetching ASO resources:', error);
-      return [];
+    }));
+    return resources.flat();
+  }
+  
+  // The cluster's resources as a tree: the KRO AKSCluster instance, its ASO resources
+  // nested by ownership, and the Karpenter NodePools (each with the AKSNodeClass it uses)
+  // under the ManagedCluster. Without a KRO instance the ASO roots are returned as they are.
+  async getClusterResourceTree(clusterId) {
+    const cluster = this.clusters.get(clusterId);
+    if (!cluster) {
+      return null;
+    }
+    
+    const [kroInstance, asoResources, karpenterResources] = await Promise.all([
+      this.getKROInstance(cluster.name),
+      this.getASOResources(cluster.name),
+      this.getKarpenterResources(cluster.name)
+    ]);
+    
+    const asoNodes = new Map(asoResources.map(resource => [resource, toTreeNode(resource)]));
+    const roots = [];
+    asoResources.forEach(resource => {
+      const owner = findOwner(resource, asoResources);
+      (owner ? asoNodes.get(owner).children : roots).push(asoNodes.get(resource));
+    });
+    
+    const nodeClasses = karpenterResources.filter(resource => resource.kind === 'AKSNodeClass');
+    const usedNodeClasses = new Set();
+    const karpenterNodes = karpenterResources
+      .filter(resource => resource.kind === 'NodePool')
+      .map(nodePool => {
+        const node = toTreeNode(nodePool);
+        const nodeClassName = nodePool.spec?.template?.spec?.nodeClassRef?.name;
+        nodeClasses
+          .filter(nodeClass => nodeClass.metadata.name === nodeClassName)
+          .forEach(nodeClass => {
+            usedNodeClasses.add(nodeClass);
+            node.children.push(toTreeNode(nodeClass));
+          });
+        return node;
+      });
+    nodeClasses
+      .filter(nodeClass => !usedNodeClasses.has(nodeClass))
+      .forEach(nodeClass => karpenterNodes.push(toTreeNode(nodeClass)));
+    
+    const managedCluster = asoResources.find(resource => resource.kind === 'ManagedCluster' && resource.metadata.name === cluster.name);
+    (managedCluster ? asoNodes.get(managedCluster).children : roots).push(...karpenterNodes);
+    
+    if (!kroInstance) {
+      return roots;
     }
+    return [{ ...toTreeNode(kroInstance), children: roots }];
   }
 }
 
@@ -0,0 +1,177 @@
+const k8s = require('@kubernetes/client-node');
+const { store } = require('../storage');
+
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000;
+
+// CRDs the provisioning workflows create or the backend reads
+const DEPENDENCY_CRDS = [
+  { name: 'workflows.argoproj.io', component: 'argo' },
+  { name: 'workflowtemplates.argoproj.io', component: 'argo' },
+  { name: 'resourcegraphdefinitions.kro.run', component: 'kro' },
+  { name: 'aksclusters.kro.run', component: 'kro' },
+  { name: 'resourcegroups.resources.azure.com', component: 'aso' },
+  { name: 'managedclusters.containerservice.azure.com', component: 'aso' }
+];
+
+// WorkflowTemplates referenced by submitted workflows
+const DEPENDENCY_TEMPLATES = [
+  'aks-cluster-provisioning',
+  'aks-cluster-provisioning-aso-karpenter',
+  'aks-cluster-deletion',
+  'namespace-provisioning'
+];
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const describeError = (error) => error.body?.message || error.message || String(error);
+
+// Liveness only says the process is serving requests. Readiness only needs what every
+// request needs (the Kubernetes API and the store): a missing CRD or WorkflowTemplate
+// breaks some workflows, not the API, so those are reported by getHealth instead.
+class HealthService {
+  constructor() {
+    this.kc = new k8s.KubeConfig();
+    this.kc.loadFromDefault();
+    this.versionApi = this.kc.makeApiClient(k8s.VersionApi);
+    this.apiextensionsApi = this.kc.makeApiClient(k8s.ApiextensionsV1Api);
+    this.customApi = this.kc.makeApiClient(k8s.CustomObjectsApi);
+    this.argoNamespace = process.env.ARGO_NAMESPACE || 'default';
+    this.startedAt = new Date();
+  }
+
+  getLiveness() {
+    return {
+      status: 'alive',
+      timestamp: new Date().toISOString(),
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000)
+    };
+  }
+
+  // Run one check: 'ok', 'missing' (the API answered 404) or 'error'
+  async runCheck({ probe, ...check }) {
+    try {
+      const detail = await withTimeout(probe(), CHECK_TIMEOUT_MS);
+      return { ...check, status: 'ok', ...detail };
+    } catch (error) {
+      return {
+        ...check,
+        status: error.response?.statusCode === 404 ? 'missing' : 'error',
+        message: describeError(error)
+      };
+    }
+  }
+
+  kubernetesApiCheck() {
+    return {
+      name: 'kubernetes-api',
+      type: 'api',
+      required: true,
+      probe: async () => {
+        const response = await this.versionApi.getCode();
+        return { version: response.body.gitVersion };
+      }
+    };
+  }
+
+  storageCheck() {
+    return {
+      name: 'storage',
+      type: 'store',
+      required: true,
+      probe: async () => ({
+        backend: process.env.STORAGE_BACKEND || 'file',
+        schemaVersion: await store.getSchemaVersion()
+      })
+    };
+  }
+
+  crdCheck({ name, component }) {
+    return {
+      name,
+      type: 'crd',
+      component,
+      required: false,
+      probe: async () => {
+        const response = await this.apiextensionsApi.readCustomResourceDefinition(name);
+        const established = (response.body.status?.conditions || [])
+          .some(condition => condition.type === 'Established' && condition.status === 'True');
+        if (!established) {
+          throw new Error('CRD is not established');
+        }
+        return {};
+      }
+    };
+  }
+
+  workflowTemplateCheck(name) {
+    return {
+      name,
+      type: 'workflowtemplate',
+      required: false,
+      probe: async () => {
+        await this.customApi.getNamespacedCustomObject(
+          'argoproj.io',
+          'v1alpha1',
+          this.argoNamespace,
+          'workflowtemplates',
+          name
+        );
+        return { namespace: this.argoNamespace };
+      }
+    };
+  }
+
+  async getReadiness() {
+    const checks = await Promise.all([this.kubernetesApiCheck(), this.storageCheck()]
+      .map(check => this.runCheck(check)));
+    const ready = checks.every(check => check.status === 'ok');
+
+    return {
+      status: ready ? 'ready' : 'not_ready',
+      timestamp: new Date().toISOString(),
+      checks
+    };
+  }
+
+  // Readiness plus the Argo/KRO/ASO CRDs and WorkflowTemplates the provisioning
+  // workflows rely on; 'degraded' when only those are missing
+  async getHealth() {
+    const readiness = await this.getReadiness();
+    const kubernetes = readiness.checks.find(check => check.name === 'kubernetes-api');
+    const dependencyChecks = [
+      ...DEPENDENCY_CRDS.map(crd => this.crdCheck(crd)),
+      ...DEPENDENCY_TEMPLATES.map(template => this.workflowTemplateCheck(template))
+    ];
+
+    // Without the API server every other lookup would only repeat the same failure
+    const dependencies = kubernetes.status === 'ok'
+      ? await Promise.all(dependencyChecks.map(check => this.runCheck(check)))
+      : dependencyChecks.map(({ probe, ...check }) => ({
+        ...check,
+        status: 'unknown',
+        message: 'Kubernetes API unreachable'
+      }));
+
+    let status = 'healthy';
+    if (readiness.status !== 'ready') {
+      status = 'unhealthy';
+    } else if (dependencies.some(check => check.status !== 'ok')) {
+      status = 'degraded';
+    }
+
+    return {
+      status,
+      timestamp: new Date().toISOString(),
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      checks: [...readiness.checks, ...dependencies]
+    };
+  }
+}
+
+module.exports = new HealthService();
@@ -0,0 +1,141 @@
+const k8s = require('@kubernetes/client-node');
+const ClusterService = require('./clusterService');
+const { logger } = require('../logger');
+
+// ASO writes the AKS credentials into the secrets named by the ManagedCluster's
+// spec.operatorSpec.secrets; 'user' and 'admin' pick which one
+const CREDENTIAL_SECRETS = {
+  user: 'userCredentials',
+  admin: 'adminCredentials'
+};
+
+// Short-lived variants are bearer tokens for a service account on the AKS cluster
+// itself, bound to a built-in ClusterRole matching the access level
+const TOKEN_SERVICE_ACCOUNTS = {
+  user: { name: 'idp-platform-user', clusterRole: 'edit' },
+  admin: { name: 'idp-platform-admin', clusterRole: 'cluster-admin' }
+};
+const TOKEN_NAMESPACE = 'kube-system';
+
+// Raised when the cluster cannot hand out credentials; routes answer with statusCode
+class KubeconfigError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'KubeconfigError';
+    this.statusCode = statusCode;
+  }
+}
+
+const ignoreConflict = (error) => {
+  if (error.response?.statusCode !== 409) {
+    throw error;
+  }
+};
+
+class KubeconfigService {
+  constructor() {
+    this.kc = new k8s.KubeConfig();
+    this.kc.loadFromDefault();
+    this.k8sApi = this.kc.makeApiClient(k8s.CoreV1Api);
+  }
+
+  // The kubeconfig ASO exported for the cluster, as stored in its secret
+  async getExportedKubeconfig(cluster, access) {
+    if (cluster.dryRun) {
+      throw new KubeconfigError(`Cluster ${cluster.name} is a dry run and has no credentials`);
+    }
+    if (cluster.status !== 'ready') {
+      throw new KubeconfigError(`Cluster ${cluster.name} is ${cluster.status}; credentials are only available once it is ready`);
+    }
+
+    const managedCluster = await ClusterService.getManagedCluster(cluster.name);
+    if (!managedCluster) {
+      throw new KubeconfigError(`ManagedCluster ${cluster.name} not found`, 404);
+    }
+
+    const reference = managedCluster.spec?.operatorSpec?.secrets?.[CREDENTIAL_SECRETS[access]];
+    if (!reference) {
+      throw new KubeconfigError(
+        `ManagedCluster ${cluster.name} does not export ${CREDENTIAL_SECRETS[access]} (spec.operatorSpec.secrets)`,
+        404
+      );
+    }
+
+    let secret;
+    try {
+      const response = await this.k8sApi.readNamespacedSecret(reference.name, ClusterService.asoNamespace);
+      secret = response.body;
+    } catch (error) {
+      if (error.response?.statusCode === 404) {
+        throw new KubeconfigError(`Credential secret ${reference.name} has not been written by ASO yet`, 404);
+      }
+      throw error;
+    }
+
+    const data = secret.data?.[reference.key];
+    if (!data) {
+      throw new KubeconfigError(`Credential secret ${reference.name} has no key ${reference.key}`, 404);
+    }
+    return Buffer.from(data, 'base64').toString('utf8');
+  }
+
+  // A kubeconfig holding a service account token that expires after ttlSeconds. The
+  // service account and its binding are created on the AKS cluster on first use.
+  async createTokenKubeconfig(cluster, access, ttlSeconds) {
+    const target = new k8s.KubeConfig();
+    target.loadFromString(await this.getExportedKubeconfig(cluster, 'admin'));
+    const coreApi = target.makeApiClient(k8s.CoreV1Api);
+    const rbacApi = target.makeApiClient(k8s.RbacAuthorizationV1Api);
+    const serviceAccount = TOKEN_SERVICE_ACCOUNTS[access];
+
+    await coreApi.createNamespacedServiceAccount(TOKEN_NAMESPACE, {
+      metadata: { name: serviceAccount.name, labels: { 'app.kubernetes.io/managed-by': 'idp-platform' } }
+    }).catch(ignoreConflict);
+    await rbacApi.createClusterRoleBinding({
+      metadata: { name: serviceAccount.name, labels: { 'app.kubernetes.io/managed-by': 'idp-platform' } },
+      roleRef: { apiGroup: 'rbac.authorization.k8s.io', kind: 'ClusterRole', name: serviceAccount.clusterRole },
+      subjects: [{ kind: 'ServiceAccount', name: serviceAccount.name, namespace: TOKEN_NAMESPACE }]
+    }).catch(ignoreConflict);
+
+    const response = await coreApi.createNamespacedServiceAccountToken(serviceAccount.name, TOKEN_NAMESPACE, {
+      apiVersion: 'authentication.k8s.io/v1',
+      kind: 'TokenRequest',
+      spec: { expirationSeconds: ttlSeconds }
+    });
+    const { token, expirationTimestamp } = response.body.status;
+    const targetCluster = target.getCurrentCluster();
+    const userName = `${cluster.name}-${access}-token`;
+
+    logger.info(`Issued ${access} token kubeconfig for cluster ${cluster.name}`, {
+      clusterId: cluster.id,
+      serviceAccount: serviceAccount.name,
+      expiresAt: expirationTimestamp
+    });
+
+    return {
+      expiresAt: new Date(expirationTimestamp),
+      kubeconfig: k8s.dumpYaml({
+        apiVersion: 'v1',
+        kind: 'Config',
+        clusters: [{
+          name: cluster.name,
+          cluster: { server: targetCluster.server, 'certificate-authority-data': targetCluster.caData }
+        }],
+        users: [{ name: userName, user: { token } }],
+        contexts: [{ name: cluster.name, context: { cluster: cluster.name, user: userName } }],
+        'current-context': cluster.name
+      })
+    };
+  }
+
+  // access: 'user' | 'admin'; ttlSeconds, when given, asks for a short-lived token instead
+  // of the long-lived credentials ASO exported
+  async getKubeconfig(cluster, { access, ttlSeconds }) {
+    if (ttlSeconds) {
+      return this.createTokenKubeconfig(cluster, access, ttlSeconds);
+    }
+    return { expiresAt: null, kubeconfig: await this.getExportedKubeconfig(cluster, access) };
+  }
+}
+
+module.exports = new KubeconfigService();
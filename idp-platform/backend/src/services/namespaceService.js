@@ -1,5 +1,16 @@
 const k8s = require('@kubernetes/client-node');
 const { v4: uuidv4 } = require('uuid');
+const { createRepository } = require('../storage');
+const { logger, getRequestId } = require('../logger');
+
+// Field manager recorded for server-side apply; forcing lets the platform take
+// back fields another manager (e.g. a manual kubectl edit) last changed
+const FIELD_MANAGER = 'idp-platform';
+const APPLY_OPTIONS = { headers: { 'Content-Type': k8s.PatchUtils.PATCH_FORMAT_APPLY_YAML } };
+
+// Label generateNamespaceManifest puts on every namespace the onboarding workflow creates
+const CREATED_BY_LABEL = 'idp-platform/created-by';
+const CREATED_BY_ONBOARDING = 'namespace-onboarding';
 
 class NamespaceService {
   constructor() {
@@ -9,8 +20,13 @@ class NamespaceService {
     this.customApi = this.kc.makeApiClient(k8s.CustomObjectsApi);
     this.networkingApi = this.kc.makeApiClient(k8s.NetworkingV1Api);
     
-    // In-memory storage for demo purposes
-    this.namespaces = new Map();
+    // Write-through repository, reloaded from storage on startup
+    this.namespaces = createRepository('namespaces');
+  }
+
+  async initialize() {
+    await this.namespaces.load();
+    logger.info(`Loaded ${this.namespaces.size} namespaces from storage`);
   }
 
   async getNamespaces() {
@@ -40,7 +56,7 @@ class NamespaceService {
         };
       });
     } catch (error) {
-      console.error('Error fetching namespaces:', error);
+      logger.error('Error fetching namespaces', { error });
       return Array.from(this.namespaces.values());
     }
   }
@@ -61,7 +77,7 @@ class NamespaceService {
         ...tracked
       };
     } catch (error) {
-      console.error(`Error fetching namespace ${name}:`, error);
+      logger.error(`Error fetching namespace ${name}`, { error, namespaceName: name });
       return this.namespaces.get(name) || null;
     }
   }
@@ -101,6 +117,7 @@ class NamespaceService {
       resourceLimits,
       networkIsolated,
       status: 'creating',
+      requestId: getRequestId(),
       createdAt: new Date(),
       dryRun
     };
@@ -118,6 +135,54 @@ class NamespaceService {
     };
   }
 
+  getTrackedNamespace(name) {
+    return this.namespaces.get(name) || null;
+  }
+
+  // Track a namespace record that was created outside createNamespace (e.g. recovered from the cluster)
+  async trackNamespace(namespaceRecord) {
+    this.namespaces.set(namespaceRecord.name, namespaceRecord);
+    return namespaceRecord;
+  }
+
+  // Live namespaces created by the onboarding workflow
+  async listOnboardedNamespaces() {
+    const response = await this.k8sApi.listNamespace(
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      `${CREATED_BY_LABEL}=${CREATED_BY_ONBOARDING}`
+    );
+    return response.body.items;
+  }
+
+  // Tracking record rebuilt from a live namespace: description and creation time from
+  // its annotations, limits from its LimitRange and isolation from its NetworkPolicy
+  async recoverNamespaceRecord(namespace) {
+    const { name, annotations = {}, creationTimestamp } = namespace.metadata;
+    const [limitRange, networkPolicy] = await Promise.all([
+      this.readManifestResource({ kind: 'LimitRange', metadata: { name: 'resource-limits', namespace: name } }),
+      this.readManifestResource({ kind: 'NetworkPolicy', metadata: { name: 'namespace-isolation', namespace: name } })
+    ]);
+    const containerLimits = limitRange?.spec?.limits?.find(limit => limit.type === 'Container');
+
+    return {
+      id: uuidv4(),
+      name,
+      description: annotations['idp-platform/description'] || '',
+      resourceLimits: containerLimits ? {
+        cpu: { request: containerLimits.defaultRequest?.cpu, limit: containerLimits.default?.cpu },
+        memory: { request: containerLimits.defaultRequest?.memory, limit: containerLimits.default?.memory }
+      } : null,
+      networkIsolated: Boolean(networkPolicy),
+      status: 'active',
+      createdAt: new Date(annotations['idp-platform/created-at'] || creationTimestamp),
+      dryRun: false,
+      recoveredFromCluster: true
+    };
+  }
+
   async deleteNamespace(name, force = false) {
     try {
       const namespace = await this.getNamespace(name);
@@ -134,7 +199,56 @@ class NamespaceService {
         message: force ? 'Force deletion initiated' : 'Graceful deletion initiated'
       };
     } catch (error) {
-      console.error(`Error deleting namespace ${name}:`, error);
+      logger.error(`Error deleting namespace ${name}`, { error, namespaceName: name });
+      throw error;
+    }
+  }
+
+  // Server-side apply one of the generated manifests
+  async applyManifest(manifest) {
+    const { kind, metadata: { name, namespace } } = manifest;
+
+    try {
+      switch (kind) {
+        case 'Namespace':
+          return (await this.k8sApi.patchNamespace(
+            name, manifest, undefined, undefined, FIELD_MANAGER, undefined, true, APPLY_OPTIONS
+          )).body;
+        case 'LimitRange':
+          return (await this.k8sApi.patchNamespacedLimitRange(
+            name, namespace, manifest, undefined, undefined, FIELD_MANAGER, undefined, true, APPLY_OPTIONS
+          )).body;
+        case 'NetworkPolicy':
+          return (await this.networkingApi.patchNamespacedNetworkPolicy(
+            name, namespace, manifest, undefined, undefined, FIELD_MANAGER, undefined, true, APPLY_OPTIONS
+          )).body;
+        default:
+          throw new Error(`Unsupported manifest kind: ${kind}`);
+      }
+    } catch (error) {
+      throw new Error(`Failed to apply ${kind} ${name}: ${error.body?.message || error.message}`);
+    }
+  }
+
+  // Read back the live object for a generated manifest, or null if it does not exist
+  async readManifestResource(manifest) {
+    const { kind, metadata: { name, namespace } } = manifest;
+
+    try {
+      switch (kind) {
+        case 'Namespace':
+          return (await this.k8sApi.readNamespace(name)).body;
+        case 'LimitRange':
+          return (await this.k8sApi.readNamespacedLimitRange(name, namespace)).body;
+        case 'NetworkPolicy':
+          return (await this.networkingApi.readNamespacedNetworkPolicy(name, namespace)).body;
+        default:
+          throw new Error(`Unsupported manifest kind: ${kind}`);
+      }
+    } catch (error) {
+      if (error.response?.statusCode === 404) {
+        return null;
+      }
       throw error;
     }
   }
@@ -147,7 +261,7 @@ class NamespaceService {
         name,
         labels: {
           'app.kubernetes.io/managed-by': 'idp-platform',
-          'idp-platform/created-by': 'namespace-onboarding',
+          [CREATED_BY_LABEL]: CREATED_BY_ONBOARDING,
           'idp-platform/resource-managed': 'true'
         },
         annotations: {
@@ -0,0 +1,157 @@
+const WorkflowService = require('./workflowService');
+const ClusterService = require('./clusterService');
+const NamespaceService = require('./namespaceService');
+const { logger } = require('../logger');
+
+const WORKFLOW_ID_LABEL = 'idp.platform/workflow-id';
+
+// Map a recovered workflow status onto the cluster record status
+const CLUSTER_STATUS_BY_WORKFLOW = {
+  succeeded: 'ready',
+  failed: 'failed',
+  aborted: 'failed'
+};
+
+class ReconciliationService {
+  // Rebuild local workflow and cluster records from the labels WorkflowService puts on
+  // every Argo Workflow it creates. Namespace workflows run in-process and leave nothing
+  // in Argo, so namespace records are rebuilt from the namespaces themselves.
+  async reconcile() {
+    const argoWorkflows = await WorkflowService.listArgoWorkflows(WORKFLOW_ID_LABEL);
+    const summary = { workflows: 0, clusters: 0, namespaces: 0 };
+
+    const recovered = [];
+    for (const argoWorkflow of this.latestByWorkflowId(argoWorkflows)) {
+      const result = await WorkflowService.restoreWorkflowFromArgo(argoWorkflow);
+      if (!result || !result.recovered) continue;
+
+      summary.workflows++;
+      recovered.push(result.workflow);
+    }
+
+    for (const workflow of this.inLinkOrder(recovered)) {
+      if (await this.linkCluster(workflow)) summary.clusters++;
+    }
+
+    summary.namespaces = await this.reconcileNamespaces();
+
+    logger.info(
+      `Reconciled: ${summary.workflows} workflows and ${summary.clusters} clusters from Argo, ${summary.namespaces} namespaces from the cluster`,
+      summary
+    );
+    return summary;
+  }
+
+  // Track onboarded namespaces that storage does not know about; ones being deleted are left alone
+  async reconcileNamespaces() {
+    const namespaces = (await NamespaceService.listOnboardedNamespaces())
+      .filter(namespace => namespace.status?.phase === 'Active')
+      .filter(namespace => !NamespaceService.getTrackedNamespace(namespace.metadata.name));
+
+    for (const namespace of namespaces) {
+      await NamespaceService.trackNamespace(await NamespaceService.recoverNamespaceRecord(namespace));
+    }
+    return namespaces.length;
+  }
+
+  // Retries create a new Argo Workflow with the same workflow-id label; the newest one wins
+  latestByWorkflowId(argoWorkflows) {
+    const latest = new Map();
+
+    argoWorkflows.forEach(argoWorkflow => {
+      const workflowId = argoWorkflow.metadata?.labels?.[WORKFLOW_ID_LABEL];
+      const current = latest.get(workflowId);
+
+      if (!current || new Date(argoWorkflow.metadata.creationTimestamp) > new Date(current.metadata.creationTimestamp)) {
+        latest.set(workflowId, argoWorkflow);
+      }
+    });
+
+    return Array.from(latest.values());
+  }
+
+  // Provisioning workflows first, so the clusters exist before deletions are linked to
+  // them; oldest first, so the newest deletion of a cluster ends up as its current one
+  inLinkOrder(workflows) {
+    const typeOrder = (workflow) => (workflow.type === 'cluster-provisioning' ? 0 : 1);
+    return [...workflows].sort((a, b) =>
+      typeOrder(a) - typeOrder(b) || new Date(a.startTime) - new Date(b.startTime));
+  }
+
+  async linkCluster(workflow) {
+    if (!workflow.clusterId) {
+      return false;
+    }
+
+    switch (workflow.type) {
+      case 'cluster-provisioning':
+        return this.linkProvisioningWorkflow(workflow);
+      case 'cluster-deletion':
+        return this.linkDeletionWorkflow(workflow);
+      default:
+        return false;
+    }
+  }
+
+  async linkProvisioningWorkflow(workflow) {
+    if (await ClusterService.getCluster(workflow.clusterId)) {
+      return false;
+    }
+
+    const { parameters } = workflow;
+    await ClusterService.createCluster({
+      id: workflow.clusterId,
+      workflowId: workflow.id,
+      name: parameters.clusterName,
+      location: parameters.location,
+      nodePoolType: parameters.nodePoolType,
+      dryRun: parameters.dryRun,
+      enableNAP: parameters.enableNAP,
+      status: CLUSTER_STATUS_BY_WORKFLOW[workflow.status] || 'provisioning',
+      requestId: workflow.requestId,
+      createdAt: workflow.startTime,
+      recoveredFromArgo: true
+    });
+
+    return true;
+  }
+
+  // Make a recovered deletion workflow the one its cluster follows, as DELETE /api/clusters/:id
+  // does. A dry-run deletion of a real cluster was only a preview and is not linked, and a
+  // cluster that already follows a newer deletion keeps it.
+  async linkDeletionWorkflow(workflow) {
+    const cluster = await ClusterService.getCluster(workflow.clusterId);
+    if (!cluster || cluster.deletionWorkflowId === workflow.id) {
+      return false;
+    }
+    if (workflow.parameters.dryRun && !cluster.dryRun) {
+      return false;
+    }
+
+    const current = cluster.deletionWorkflowId && await WorkflowService.getWorkflow(cluster.deletionWorkflowId);
+    if (current && new Date(current.startTime) >= new Date(workflow.startTime)) {
+      return false;
+    }
+
+    try {
+      if (cluster.status === 'deleting') {
+        await ClusterService.updateCluster(cluster.id, { deletionWorkflowId: workflow.id });
+      } else {
+        await ClusterService.beginDeletion(cluster.id, workflow.id);
+      }
+    } catch (error) {
+      logger.warn(`Not linking deletion workflow ${workflow.id} to cluster ${cluster.name}`, {
+        clusterId: cluster.id,
+        workflowId: workflow.id,
+        reason: error.message
+      });
+      return false;
+    }
+
+    // The workflow may have finished while the backend was down
+    await ClusterService.applyWorkflowStatus(workflow);
+    return true;
+  }
+}
+
+module.exports = new ReconciliationService();
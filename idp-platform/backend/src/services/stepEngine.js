@@ -0,0 +1,100 @@
+class StepTimeoutError extends Error {
+  constructor(stepName, timeoutMs) {
+    super(`Step ${stepName} timed out after ${timeoutMs}ms`);
+    this.name = 'StepTimeoutError';
+  }
+}
+
+class WorkflowAbortedError extends Error {
+  constructor(reason) {
+    super(reason ? `Workflow aborted: ${reason}` : 'Workflow aborted');
+    this.name = 'WorkflowAbortedError';
+  }
+}
+
+// Runs the steps of workflows the backend executes itself (the namespace
+// workflows) one after another. Each step is bounded by a timeout and the whole
+// execution can be cancelled; every transition is reported through
+// onStepStatus(executionId, stepId, status, error) so the caller owns the records.
+class StepEngine {
+  constructor({ onStepStatus, timeoutMs }) {
+    this.onStepStatus = onStepStatus;
+    this.timeoutMs = timeoutMs;
+    this.executions = new Map();
+  }
+
+  isRunning(executionId) {
+    return this.executions.has(executionId);
+  }
+
+  // Abort a running execution; its current step ends as 'aborted'
+  cancel(executionId, reason) {
+    const controller = this.executions.get(executionId);
+    if (!controller) {
+      return false;
+    }
+    controller.abort(new WorkflowAbortedError(reason));
+    return true;
+  }
+
+  // handlers maps step name -> async (signal) => void
+  async run(executionId, steps, handlers) {
+    if (this.executions.has(executionId)) {
+      throw new Error(`Workflow ${executionId} is already running`);
+    }
+
+    const controller = new AbortController();
+    this.executions.set(executionId, controller);
+
+    try {
+      for (const step of steps) {
+        // Steps the caller marked skipped (e.g. when resuming from a later step) are not run
+        if (step.status === 'skipped') {
+          continue;
+        }
+
+        if (controller.signal.aborted) {
+          throw controller.signal.reason;
+        }
+
+        this.onStepStatus(executionId, step.id, 'running');
+
+        try {
+          const handler = handlers[step.name];
+          if (!handler) {
+            throw new Error(`Unknown step: ${step.name}`);
+          }
+
+          await this.runWithTimeout(step.name, handler, controller.signal);
+          this.onStepStatus(executionId, step.id, 'succeeded');
+        } catch (error) {
+          const status = error instanceof WorkflowAbortedError ? 'aborted' : 'failed';
+          this.onStepStatus(executionId, step.id, status, error.message);
+          throw error;
+        }
+      }
+    } finally {
+      this.executions.delete(executionId);
+    }
+  }
+
+  // Settle with the handler, a timeout or a cancellation, whichever comes first.
+  // Handlers that ignore the signal keep running in the background.
+  runWithTimeout(stepName, handler, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new StepTimeoutError(stepName, this.timeoutMs)), this.timeoutMs);
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      Promise.resolve()
+        .then(() => handler(signal))
+        .then(resolve, reject)
+        .finally(() => {
+          clearTimeout(timer);
+          signal.removeEventListener('abort', onAbort);
+        });
+    });
+  }
+}
+
+module.exports = { StepEngine, StepTimeoutError, WorkflowAbortedError };
@@ -0,0 +1,292 @@
+const EventEmitter = require('events');
+const { Writable } = require('stream');
+const k8s = require('@kubernetes/client-node');
+const { createAppendLog } = require('../storage');
+const { logger } = require('../logger');
+
+const WORKFLOW_LABEL = 'workflows.argoproj.io/workflow';
+const NODE_ID_ANNOTATION = 'workflows.argoproj.io/node-id';
+const MAIN_CONTAINER = 'main';
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_PAGE_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Argo step containers only give us text; infer a level so errors stand out
+const inferLevel = (message) => {
+  if (/\b(error|fatal|panic|failed)\b/i.test(message)) {
+    return 'error';
+  }
+  if (/\bwarn(ing)?\b/i.test(message)) {
+    return 'warning';
+  }
+  return 'info';
+};
+
+// Split "<RFC3339Nano timestamp> <message>" as produced by timestamps=true. The kubelet
+// trims trailing zeros, so the raw timestamp is padded to nanoseconds to compare as a string.
+const parseLogLine = (line) => {
+  const separator = line.indexOf(' ');
+  const match = separator > 0 && /^([^.Z]+)(?:\.(\d+))?Z$/.exec(line.slice(0, separator));
+  if (!match) {
+    return { rawTimestamp: null, timestamp: new Date(), message: line };
+  }
+  const rawTimestamp = `${match[1]}.${(match[2] || '').padEnd(9, '0')}Z`;
+  return { rawTimestamp, timestamp: new Date(rawTimestamp), message: line.slice(separator + 1) };
+};
+
+// Collects the container output of Argo step pods and attributes it to the
+// workflow step (node templateName/displayName) that produced it. Running pods
+// are followed live; finished pods are read once. Emits 'log' (workflowId, entry).
+class StepLogService extends EventEmitter {
+  constructor() {
+    super();
+    this.kc = new k8s.KubeConfig();
+    this.kc.loadFromDefault();
+    this.k8sApi = this.kc.makeApiClient(k8s.CoreV1Api);
+    this.logApi = new k8s.Log(this.kc);
+    this.argoNamespace = process.env.ARGO_NAMESPACE || 'default';
+
+    this.stepLogs = createAppendLog('stepLogs');
+    // workflowId -> stepName -> entries, in arrival order
+    this.index = new Map();
+    // `${workflowId}:${nodeId}` -> last raw timestamp seen, to drop lines replayed after a reconnect
+    this.lastTimestamps = new Map();
+    // `${workflowId}:${nodeId}` -> { stepName, request } for pods being followed
+    this.streams = new Map();
+    // `${workflowId}:${nodeId}` nodes whose finished output has been read
+    this.collected = new Set();
+    // Step output of workflows with no line newer than this is dropped (0 keeps everything)
+    this.retentionDays = process.env.STEP_LOG_RETENTION_DAYS !== undefined
+      ? parseInt(process.env.STEP_LOG_RETENTION_DAYS, 10)
+      : DEFAULT_RETENTION_DAYS;
+    this.retentionTimer = null;
+  }
+
+  async initialize() {
+    await this.stepLogs.load();
+    this.stepLogs.entries.forEach(entry => this.indexEntry(entry));
+    logger.info(`Loaded ${this.stepLogs.entries.length} step log lines from storage`);
+
+    if (this.retentionDays > 0) {
+      this.applyRetention();
+      this.retentionTimer = setInterval(() => this.applyRetention(), DAY_MS);
+    }
+  }
+
+  // Whole workflows age out together so a step never shows a truncated log
+  applyRetention() {
+    const cutoff = Date.now() - this.retentionDays * DAY_MS;
+    const expired = new Set();
+    this.index.forEach((steps, workflowId) => {
+      const newest = Math.max(...Array.from(steps.values())
+        .map(entries => new Date(entries[entries.length - 1].timestamp).getTime()));
+      if (newest < cutoff) {
+        expired.add(workflowId);
+      }
+    });
+
+    if (expired.size === 0) {
+      return 0;
+    }
+
+    const removed = this.stepLogs.compact(entry => !expired.has(entry.workflowId));
+    expired.forEach(workflowId => this.index.delete(workflowId));
+    Array.from(this.lastTimestamps.keys())
+      .filter(key => expired.has(key.slice(0, key.indexOf(':'))))
+      .forEach(key => this.lastTimestamps.delete(key));
+
+    logger.info(`Removed ${removed} step log lines of ${expired.size} workflows older than ${this.retentionDays} days`);
+    return removed;
+  }
+
+  indexEntry(entry) {
+    if (!this.index.has(entry.workflowId)) {
+      this.index.set(entry.workflowId, new Map());
+    }
+    const steps = this.index.get(entry.workflowId);
+    if (!steps.has(entry.stepName)) {
+      steps.set(entry.stepName, []);
+    }
+    steps.get(entry.stepName).push(entry);
+    this.lastTimestamps.set(`${entry.workflowId}:${entry.nodeId}`, entry.rawTimestamp);
+  }
+
+  // Page through a step's output. Without an offset the newest `limit` lines are returned.
+  getStepLogs(workflowId, stepName, { offset, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const entries = this.index.get(workflowId)?.get(stepName) || [];
+    const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+    const start = offset === undefined ? Math.max(0, entries.length - pageSize) : Math.min(offset, entries.length);
+
+    return {
+      logs: entries.slice(start, start + pageSize),
+      total: entries.length,
+      offset: start,
+      limit: pageSize,
+      streaming: Array.from(this.streams.entries())
+        .some(([key, stream]) => key.startsWith(`${workflowId}:`) && stream.stepName === stepName)
+    };
+  }
+
+  // Called for every informer update of a tracked Argo workflow
+  async collectWorkflowLogs(workflowId, argoWorkflow) {
+    const podNodes = Object.values(argoWorkflow.status?.nodes || {})
+      .filter(node => node.type === 'Pod' && node.phase && node.phase !== 'Pending')
+      .filter(node => {
+        const key = `${workflowId}:${node.id}`;
+        return !this.streams.has(key) && !this.collected.has(key);
+      });
+
+    if (podNodes.length === 0) {
+      return;
+    }
+
+    const pods = await this.listWorkflowPods(argoWorkflow.metadata.name);
+
+    for (const node of podNodes) {
+      const pod = pods.get(node.id);
+      const key = `${workflowId}:${node.id}`;
+
+      if (!pod) {
+        // Pod already garbage collected (or not created yet for a finished node)
+        if (node.phase !== 'Running') {
+          this.collected.add(key);
+        }
+        continue;
+      }
+
+      const stepName = node.templateName || node.displayName;
+      if (node.phase === 'Running') {
+        this.followPod(workflowId, stepName, node.id, pod.metadata.name);
+      } else {
+        this.collected.add(key);
+        await this.readFinishedPod(workflowId, stepName, node.id, pod.metadata.name);
+      }
+    }
+  }
+
+  // Pods of an Argo workflow keyed by node id (independent of the pod naming scheme)
+  async listWorkflowPods(argoWorkflowName) {
+    const response = await this.k8sApi.listNamespacedPod(
+      this.argoNamespace,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      `${WORKFLOW_LABEL}=${argoWorkflowName}`
+    );
+
+    const pods = new Map();
+    response.body.items.forEach(pod => {
+      const nodeId = pod.metadata.annotations?.[NODE_ID_ANNOTATION] || pod.metadata.name;
+      pods.set(nodeId, pod);
+    });
+    return pods;
+  }
+
+  sinceSeconds(workflowId, nodeId) {
+    const last = this.lastTimestamps.get(`${workflowId}:${nodeId}`);
+    if (!last) {
+      return undefined;
+    }
+    // Whole seconds only; the timestamp filter in recordLine drops the overlap
+    return Math.max(1, Math.ceil((Date.now() - new Date(last).getTime()) / 1000) + 1);
+  }
+
+  async readFinishedPod(workflowId, stepName, nodeId, podName) {
+    try {
+      const response = await this.k8sApi.readNamespacedPodLog(
+        podName,
+        this.argoNamespace,
+        MAIN_CONTAINER,
+        false,
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        this.sinceSeconds(workflowId, nodeId),
+        undefined,
+        true
+      );
+      (response.body || '').split('\n').filter(Boolean)
+        .forEach(line => this.recordLine(workflowId, stepName, nodeId, podName, line));
+    } catch (error) {
+      if (error.response?.statusCode !== 404) {
+        logger.error(`Error reading logs for pod ${podName}`, { error, workflowId, stepName });
+      }
+    }
+  }
+
+  async followPod(workflowId, stepName, nodeId, podName) {
+    const key = `${workflowId}:${nodeId}`;
+    let buffered = '';
+
+    const sink = new Writable({
+      write: (chunk, encoding, callback) => {
+        buffered += chunk.toString();
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        lines.filter(Boolean).forEach(line => this.recordLine(workflowId, stepName, nodeId, podName, line));
+        callback();
+      },
+      final: (callback) => {
+        if (buffered) {
+          this.recordLine(workflowId, stepName, nodeId, podName, buffered);
+        }
+        callback();
+      }
+    });
+
+    // Reserve the slot before the request resolves so concurrent syncs do not double-follow
+    const stream = { stepName, request: null };
+    this.streams.set(key, stream);
+    // The next informer update reads whatever the follow missed (timestamps drop duplicates)
+    sink.on('finish', () => this.streams.delete(key));
+
+    try {
+      stream.request = await this.logApi.log(this.argoNamespace, podName, MAIN_CONTAINER, sink, {
+        follow: true,
+        timestamps: true,
+        sinceSeconds: this.sinceSeconds(workflowId, nodeId)
+      });
+      stream.request.on('error', error => {
+        logger.warn(`Log stream for pod ${podName} failed`, { error, workflowId, stepName });
+        // Drop the slot so the next informer update can reconnect
+        this.streams.delete(key);
+      });
+    } catch (error) {
+      logger.error(`Error following logs for pod ${podName}`, { error, workflowId, stepName });
+      this.streams.delete(key);
+    }
+  }
+
+  recordLine(workflowId, stepName, nodeId, podName, line) {
+    const { rawTimestamp, timestamp, message } = parseLogLine(line);
+    const last = this.lastTimestamps.get(`${workflowId}:${nodeId}`);
+    if (rawTimestamp && last && rawTimestamp <= last) {
+      return;
+    }
+
+    const entry = this.stepLogs.append({
+      workflowId,
+      stepName,
+      nodeId,
+      podName,
+      rawTimestamp,
+      timestamp,
+      level: inferLevel(message),
+      message
+    });
+    this.indexEntry(entry);
+    this.emit('log', workflowId, entry);
+  }
+
+  stopAll() {
+    clearInterval(this.retentionTimer);
+    this.retentionTimer = null;
+    this.streams.forEach(stream => stream.request?.abort());
+    this.streams.clear();
+  }
+}
+
+module.exports = new StepLogService();
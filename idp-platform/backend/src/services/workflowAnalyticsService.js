@@ -0,0 +1,164 @@
+const WorkflowService = require('./workflowService');
+
+const TOP_ERROR_LIMIT = 10;
+
+// Nearest-rank percentile of an ascending array
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+};
+
+const durationOf = (record) => {
+  if (!record.startTime || !record.endTime) {
+    return null;
+  }
+  return new Date(record.endTime) - new Date(record.startTime);
+};
+
+// Running totals for one group (a workflow type, a region/node pool, a step)
+const createBucket = (fields) => ({ ...fields, total: 0, succeeded: 0, failed: 0, aborted: 0, durations: [] });
+
+const addToBucket = (bucket, record) => {
+  bucket.total += 1;
+  if (record.status === 'succeeded') bucket.succeeded += 1;
+  if (record.status === 'failed') bucket.failed += 1;
+  if (record.status === 'aborted') bucket.aborted += 1;
+
+  // Only successful runs say how long the work takes
+  const duration = durationOf(record);
+  if (record.status === 'succeeded' && duration !== null) {
+    bucket.durations.push(duration);
+  }
+};
+
+// Failure rate counts runs that reached a verdict; aborted runs are reported separately
+const summarizeBucket = ({ durations, ...bucket }) => {
+  const sorted = [...durations].sort((a, b) => a - b);
+  const decided = bucket.succeeded + bucket.failed;
+  return {
+    ...bucket,
+    failureRate: decided > 0 ? bucket.failed / decided : null,
+    duration: {
+      count: sorted.length,
+      p50: percentile(sorted, 50),
+      p95: percentile(sorted, 95)
+    }
+  };
+};
+
+// Collapse ids, names and numbers so the same failure from different runs groups together
+const normalizeError = (message) => message
+  .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<id>')
+  .replace(/\d+/g, '<n>')
+  .trim();
+
+// Aggregates over finished workflow runs (the current run plus every earlier attempt
+// of a retried workflow): p50/p95 durations per workflow type, per region and node
+// pool type for cluster provisioning and per step, failure rates and top errors.
+class WorkflowAnalyticsService {
+  // Every finished run as { workflow, status, startTime, endTime, error, steps }
+  getFinishedRuns({ type, from, to }) {
+    const runs = [];
+
+    WorkflowService.getWorkflowsWithSteps({ type })
+      .forEach(({ workflow, steps }) => {
+        const current = {
+          workflow,
+          status: workflow.status,
+          startTime: workflow.startTime,
+          endTime: workflow.endTime,
+          error: workflow.error,
+          steps
+        };
+        const attempts = (workflow.attempts || []).map(attempt => ({ ...attempt, workflow }));
+
+        [...attempts, current]
+          .filter(run => ['succeeded', 'failed', 'aborted'].includes(run.status))
+          .filter(run => !from || new Date(run.startTime) >= from)
+          .filter(run => !to || new Date(run.startTime) <= to)
+          .forEach(run => runs.push(run));
+      });
+
+    return runs;
+  }
+
+  getStats(filters = {}) {
+    const runs = this.getFinishedRuns(filters);
+    const byType = new Map();
+    const byClusterShape = new Map();
+    const bySteps = new Map();
+    const errors = new Map();
+    // Steps carried over unchanged into a resumed attempt are counted once
+    const countedSteps = new Set();
+
+    const bucketFor = (map, key, fields) => {
+      if (!map.has(key)) {
+        map.set(key, createBucket(fields));
+      }
+      return map.get(key);
+    };
+
+    const recordError = (message, type, step, time) => {
+      const normalized = normalizeError(message);
+      const entry = errors.get(normalized) || { message, type, step, count: 0, lastSeen: null };
+      entry.count += 1;
+      if (!entry.lastSeen || new Date(time) > new Date(entry.lastSeen)) {
+        entry.lastSeen = time;
+        entry.message = message;
+      }
+      errors.set(normalized, entry);
+    };
+
+    runs.forEach(run => {
+      const { workflow } = run;
+      addToBucket(bucketFor(byType, workflow.type, { type: workflow.type }), run);
+
+      if (workflow.type === 'cluster-provisioning') {
+        const location = workflow.parameters?.location || 'unknown';
+        const nodePoolType = workflow.parameters?.nodePoolType || 'unknown';
+        addToBucket(
+          bucketFor(byClusterShape, `${location}/${nodePoolType}`, { location, nodePoolType }),
+          run
+        );
+      }
+
+      if (run.status === 'failed' && run.error) {
+        recordError(run.error, workflow.type, null, run.endTime || run.startTime);
+      }
+
+      run.steps
+        .filter(step => ['succeeded', 'failed', 'aborted'].includes(step.status))
+        .forEach(step => {
+          const stepKey = `${step.id}:${step.startTime}`;
+          if (countedSteps.has(stepKey)) {
+            return;
+          }
+          countedSteps.add(stepKey);
+
+          addToBucket(
+            bucketFor(bySteps, `${workflow.type}/${step.name}`, { type: workflow.type, step: step.name }),
+            step
+          );
+          if (step.status === 'failed' && step.error) {
+            recordError(step.error, workflow.type, step.name, step.endTime || run.endTime);
+          }
+        });
+    });
+
+    return {
+      generatedAt: new Date(),
+      runs: runs.length,
+      workflowTypes: Array.from(byType.values()).map(summarizeBucket),
+      clusterProvisioning: Array.from(byClusterShape.values()).map(summarizeBucket),
+      steps: Array.from(bySteps.values()).map(summarizeBucket),
+      topErrors: Array.from(errors.values())
+        .sort((a, b) => b.count - a.count)
+        .slice(0, TOP_ERROR_LIMIT)
+    };
+  }
+}
+
+module.exports = new WorkflowAnalyticsService();
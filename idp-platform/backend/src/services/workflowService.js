@@ -1,5 +1,16 @@
+const EventEmitter = require('events');
+const { setTimeout: sleep } = require('timers/promises');
 const k8s = require('@kubernetes/client-node');
 const { v4: uuidv4 } = require('uuid');
+const { createRepository, createAppendLog } = require('../storage');
+const NamespaceService = require('./namespaceService');
+const { StepEngine, WorkflowAbortedError } = require('./stepEngine');
+const ArgoServerService = require('./argoServerService');
+const StepLogService = require('./stepLogService');
+const ClusterService = require('./clusterService');
+const WorkflowTemplateService = require('./workflowTemplateService');
+const { workflowOutcomes, argoSyncErrors } = require('../metrics');
+const { logger, getRequestId } = require('../logger');
 
 // Node pool type to VM size and Karpenter configuration mapping
 const NODE_POOL_CONFIGURATIONS = {
@@ -45,16 +56,100 @@ const NODE_POOL_CONFIGURATIONS = {
   }
 };
 
-class WorkflowService {
+const WORKFLOW_ID_LABEL = 'idp.platform/workflow-id';
+// X-Request-Id of the API call that started (or last retried) the workflow
+const REQUEST_ID_LABEL = 'idp.platform/request-id';
+const WATCH_INITIAL_BACKOFF_MS = 1000;
+const WATCH_MAX_BACKOFF_MS = 60000;
+const MERGE_PATCH_OPTIONS = { headers: { 'Content-Type': k8s.PatchUtils.PATCH_FORMAT_JSON_MERGE_PATCH } };
+const ARGO_SHUTDOWN_STRATEGIES = { stop: 'Stop', terminate: 'Terminate' };
+// Cluster status a retry of each cluster workflow type moves the cluster to
+const RETRY_CLUSTER_STATES = {
+  'cluster-provisioning': 'provisioning',
+  'cluster-deletion': 'deleting'
+};
+// Argo WorkflowTemplates the Argo-backed workflow types are submitted against
+const WORKFLOW_TEMPLATES = {
+  kro: 'aks-cluster-provisioning',
+  karpenter: 'aks-cluster-provisioning-aso-karpenter',
+  clusterDeletion: 'aks-cluster-deletion'
+};
+const ARGO_NODE_STATUSES = {
+  Pending: 'pending',
+  Running: 'running',
+  Succeeded: 'succeeded',
+  Failed: 'failed',
+  Error: 'failed',
+  Skipped: 'skipped',
+  Omitted: 'skipped'
+};
+
+// A request the workflow's current state cannot satisfy; statusCode is the HTTP status to return
+class WorkflowRequestError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'WorkflowRequestError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Sortable value of a workflow for GET /api/workflows (null when it has none yet)
+const getWorkflowSortValue = (workflow, sortBy) => {
+  const startTime = workflow.startTime ? new Date(workflow.startTime).getTime() : null;
+  const endTime = workflow.endTime ? new Date(workflow.endTime).getTime() : null;
+  
+  switch (sortBy) {
+    case 'endTime':
+      return endTime;
+    case 'duration':
+      return startTime !== null && endTime !== null ? endTime - startTime : null;
+    default:
+      return startTime;
+  }
+};
+
+// Total order over { value, id }: nulls last, then value in the requested order, then id
+const compareSortKeys = (a, b, order) => {
+  if (a.value !== b.value) {
+    if (a.value === null) return 1;
+    if (b.value === null) return -1;
+    return order === 'asc' ? a.value - b.value : b.value - a.value;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+};
+
+const encodeWorkflowCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+// A cursor is only valid for the sort it was issued with
+const decodeWorkflowCursor = (cursor, sortBy, order) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    position = null;
+  }
+  
+  if (!position || typeof position.id !== 'string' || position.sortBy !== sortBy || position.order !== order) {
+    throw new WorkflowRequestError('Invalid cursor for this sort order', 400);
+  }
+  return { value: position.value ?? null, id: position.id };
+};
+
+// Emits 'workflow_update' (workflowId, update) for status, step and log changes;
+// index.js relays these to WebSocket subscribers.
+class WorkflowService extends EventEmitter {
   constructor() {
+    super();
     this.kc = new k8s.KubeConfig();
     this.kc.loadFromDefault();
     this.customApi = this.kc.makeApiClient(k8s.CustomObjectsApi);
     
-    // Hybrid storage: Keep workflow metadata in memory, sync with Argo
-    this.workflows = new Map();
-    this.workflowSteps = new Map();
-    this.workflowLogs = new Map();
+    // Hybrid storage: Keep workflow metadata in write-through repositories, sync with Argo
+    this.workflows = createRepository('workflows');
+    this.workflowSteps = createRepository('workflowSteps');
+    this.workflowLogs = createAppendLog('workflowLogs');
+    // workflowId -> log entries, in arrival order
+    this.logIndex = new Map();
     
     // Argo Workflow API configuration
     this.argoNamespace = process.env.ARGO_NAMESPACE || 'default';
@@ -64,34 +159,127 @@ class WorkflowService {
     // Feature flag for Karpenter workflow (default: false for gradual migration)
     this.useKarpenterWorkflow = process.env.USE_KARPENTER_WORKFLOW === 'true' || false;
     
-    // Start workflow status monitoring
+    // Last status seen per workflow, so outcome metrics count transitions rather than saves
+    this.recordedStatuses = new Map();
+    
+    // In-process execution of namespace workflows
+    this.stepEngine = new StepEngine({
+      timeoutMs: parseInt(process.env.STEP_TIMEOUT_MS, 10) || 5 * 60 * 1000,
+      onStepStatus: (workflowId, stepId, status, error) => this.updateStepStatus(workflowId, stepId, status, error)
+    });
+    
+    // Argo step pod output reaches WebSocket subscribers like any other workflow update
+    StepLogService.on('log', (workflowId, log) => {
+      this.notifyWorkflowUpdate(workflowId, { event: 'step_log', stepName: log.stepName, log });
+    });
+  }
+  
+  async initialize() {
+    await Promise.all([
+      this.workflows.load(),
+      this.workflowSteps.load(),
+      this.workflowLogs.load(),
+      StepLogService.initialize()
+    ]);
+    this.workflowLogs.entries.forEach(log => this.indexLog(log));
+    logger.info(`Loaded ${this.workflows.size} workflows from storage`);
+    
+    // Baseline for outcome metrics: only transitions after startup are counted
+    this.workflows.forEach(workflow => this.recordedStatuses.set(workflow.id, workflow.status));
+    
+    this.failInterruptedWorkflows();
+    
+    // Start workflow status monitoring once local records are loaded
     this.startWorkflowMonitoring();
   }
   
-  async startWorkflowMonitoring() {
-    // Monitor Argo Workflows for status updates
-    setInterval(async () => {
-      try {
-        await this.syncArgoWorkflowsStatus();
-      } catch (error) {
-        console.error('Error syncing Argo workflow status:', error);
-      }
-    }, 5000); // Check every 5 seconds
+  // In-process executions do not survive a restart; fail whatever was mid-run
+  failInterruptedWorkflows() {
+    Array.from(this.workflows.values())
+      .filter(workflow => this.getInProcessExecutor(workflow) && workflow.status === 'running')
+      .forEach(workflow => {
+        workflow.status = 'failed';
+        workflow.endTime = new Date();
+        workflow.error = 'Interrupted by backend restart';
+        this.saveWorkflow(workflow);
+        this.addLog(workflow.id, 'Workflow interrupted by backend restart', 'error');
+      });
   }
   
-  async syncArgoWorkflowsStatus() {
+  // A single label-selected informer on argoproj.io workflows replaces per-workflow
+  // polling: it lists once, then watches from the last seen resourceVersion (relisting
+  // only on 410 Gone), so API cost stays flat as the number of workflows grows.
+  startWorkflowMonitoring() {
+    const path = `/apis/${this.argoApiGroup}/${this.argoApiVersion}/namespaces/${this.argoNamespace}/workflows`;
+    
+    this.argoInformer = k8s.makeInformer(
+      this.kc,
+      path,
+      () => this.customApi.listNamespacedCustomObject(
+        this.argoApiGroup,
+        this.argoApiVersion,
+        this.argoNamespace,
+        'workflows',
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        WORKFLOW_ID_LABEL
+      ),
+      WORKFLOW_ID_LABEL
+    );
+    
+    this.argoInformer.on('add', (argoWorkflow) => this.syncArgoWorkflowStatus(argoWorkflow));
+    this.argoInformer.on('update', (argoWorkflow) => this.syncArgoWorkflowStatus(argoWorkflow));
+    this.argoInformer.on('error', (error) => this.scheduleWorkflowMonitoringRestart(error));
+    
+    this.watchBackoffMs = WATCH_INITIAL_BACKOFF_MS;
+    this.startArgoInformer();
+  }
+  
+  async startArgoInformer() {
     try {
-      // Get all workflows from our local store
-      for (const [workflowId, localWorkflow] of this.workflows.entries()) {
-        if (localWorkflow.argoWorkflowName) {
-          const argoWorkflow = await this.getArgoWorkflow(localWorkflow.argoWorkflowName);
-          if (argoWorkflow) {
-            await this.updateWorkflowFromArgo(workflowId, argoWorkflow);
-          }
-        }
-      }
+      await this.argoInformer.start();
+      this.watchBackoffMs = WATCH_INITIAL_BACKOFF_MS;
     } catch (error) {
-      console.error('Error in syncArgoWorkflowsStatus:', error);
+      this.scheduleWorkflowMonitoringRestart(error);
+    }
+  }
+  
+  // Restart with exponential backoff; the informer keeps its resourceVersion so the
+  // watch resumes where it left off instead of relisting everything
+  scheduleWorkflowMonitoringRestart(error) {
+    argoSyncErrors.inc({ reason: 'watch' });
+    const delay = this.watchBackoffMs;
+    this.watchBackoffMs = Math.min(this.watchBackoffMs * 2, WATCH_MAX_BACKOFF_MS);
+    
+    logger.error(`Argo workflow watch failed, restarting in ${delay}ms`, { error });
+    clearTimeout(this.watchRestartTimer);
+    this.watchRestartTimer = setTimeout(() => this.startArgoInformer(), delay);
+  }
+  
+  stopWorkflowMonitoring() {
+    clearTimeout(this.watchRestartTimer);
+    if (this.argoInformer) {
+      this.argoInformer.stop();
+    }
+    StepLogService.stopAll();
+  }
+  
+  async syncArgoWorkflowStatus(argoWorkflow) {
+    const workflowId = argoWorkflow.metadata?.labels?.[WORKFLOW_ID_LABEL];
+    const localWorkflow = this.workflows.get(workflowId);
+    
+    // Ignore workflows we don't track and Argo objects superseded by a retry
+    if (!localWorkflow || localWorkflow.argoWorkflowName !== argoWorkflow.metadata.name) {
+      return;
+    }
+    
+    try {
+      await this.updateWorkflowFromArgo(workflowId, argoWorkflow);
+    } catch (error) {
+      logger.error(`Error syncing Argo workflow ${argoWorkflow.metadata.name}`, this.logFields(localWorkflow, { error }));
+      argoSyncErrors.inc({ reason: 'sync' });
     }
   }
   
@@ -107,12 +295,154 @@ class WorkflowService {
       return response.body;
     } catch (error) {
       if (error.response?.statusCode !== 404) {
-        console.error(`Error getting Argo workflow ${argoWorkflowName}:`, error.message);
+        logger.error(`Error getting Argo workflow ${argoWorkflowName}`, { error });
       }
       return null;
     }
   }
   
+  async listArgoWorkflows(labelSelector) {
+    const response = await this.customApi.listNamespacedCustomObject(
+      this.argoApiGroup,
+      this.argoApiVersion,
+      this.argoNamespace,
+      'workflows',
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      labelSelector
+    );
+    return response.body.items || [];
+  }
+  
+  // Rebuild a local workflow record from the idp.platform/* labels, arguments and
+  // node status of an Argo Workflow. Existing records are only refreshed.
+  async restoreWorkflowFromArgo(argoWorkflow) {
+    const labels = argoWorkflow.metadata?.labels || {};
+    const workflowId = labels[WORKFLOW_ID_LABEL];
+    if (!workflowId) {
+      return null;
+    }
+    
+    const existing = this.workflows.get(workflowId);
+    if (existing) {
+      if (existing.argoWorkflowName === argoWorkflow.metadata.name) {
+        await this.updateWorkflowFromArgo(workflowId, argoWorkflow);
+      }
+      return { workflow: existing, recovered: false };
+    }
+    
+    const type = labels['idp.platform/workflow-type'];
+    const parameters = this.parametersFromArgo(argoWorkflow);
+    const subject = parameters.clusterName || parameters.namespaceName || labels['idp.platform/namespace-name'];
+    
+    const workflow = {
+      id: workflowId,
+      name: `${type}-${subject}`,
+      type,
+      status: 'running',
+      startTime: new Date(argoWorkflow.status?.startedAt || argoWorkflow.metadata.creationTimestamp),
+      argoWorkflowName: argoWorkflow.metadata.name,
+      parameters,
+      recoveredFromArgo: true
+    };
+    
+    if (labels['idp.platform/cluster-id']) {
+      workflow.clusterId = labels['idp.platform/cluster-id'];
+    }
+    if (labels[REQUEST_ID_LABEL]) {
+      workflow.requestId = labels[REQUEST_ID_LABEL];
+    }
+    if (labels['idp.platform/namespace-name']) {
+      workflow.namespaceName = labels['idp.platform/namespace-name'];
+    }
+    if (type === 'cluster-provisioning') {
+      workflow.workflowType = labels['idp.platform/workflow-engine'] === 'karpenter' ? 'karpenter' : 'kro';
+    }
+    
+    const nodes = argoWorkflow.status?.nodes;
+    
+    this.saveWorkflow(workflow);
+    this.workflowSteps.set(workflowId, await this.buildStepsFromArgoNodes(workflow, nodes));
+    this.addLog(workflowId, `Workflow state recovered from Argo Workflow ${workflow.argoWorkflowName}`, 'info');
+    
+    if (nodes) {
+      this.updateStepsFromArgoNodes(workflowId, nodes);
+    }
+    await this.updateWorkflowFromArgo(workflowId, argoWorkflow);
+    
+    return { workflow, recovered: true };
+  }
+  
+  // Map Argo arguments (kebab-case strings) back onto our camelCase parameters
+  parametersFromArgo(argoWorkflow) {
+    const parameters = {};
+    
+    (argoWorkflow.spec?.arguments?.parameters || []).forEach(({ name, value }) => {
+      const key = name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+      if (value === 'true' || value === 'false') {
+        parameters[key] = value === 'true';
+      } else {
+        parameters[key] = value;
+      }
+    });
+    
+    // enable-nap does not camelCase to the enableNAP we store
+    if (parameters.enableNap !== undefined) {
+      parameters.enableNAP = parameters.enableNap;
+      delete parameters.enableNap;
+    }
+    
+    if (parameters.resourceLimitsCpu || parameters.resourceLimitsMemory) {
+      parameters.resourceLimits = {
+        cpu: parameters.resourceLimitsCpu,
+        memory: parameters.resourceLimitsMemory
+      };
+      delete parameters.resourceLimitsCpu;
+      delete parameters.resourceLimitsMemory;
+    }
+    
+    if (parameters.kubernetesVersion || parameters.maxNodes || parameters.enableSpot !== undefined) {
+      parameters.advancedConfig = {
+        kubernetesVersion: parameters.kubernetesVersion,
+        maxNodes: parameters.maxNodes,
+        enableSpot: parameters.enableSpot
+      };
+    }
+    
+    return parameters;
+  }
+  
+  // Expected steps for the workflow type, plus any Pod node Argo actually ran
+  async buildStepsFromArgoNodes(workflow, argoNodes) {
+    const steps = await this.getExpectedWorkflowSteps(workflow);
+    
+    Object.values(argoNodes || {})
+      .filter(node => node.type === 'Pod')
+      .sort((a, b) => new Date(a.startedAt || 0) - new Date(b.startedAt || 0))
+      .forEach(node => {
+        const stepName = node.templateName || node.displayName || node.name;
+        if (!steps.some(step => step.name === stepName)) {
+          steps.push({ id: uuidv4(), name: stepName, status: 'pending', startTime: null, endTime: null });
+        }
+      });
+    
+    return steps;
+  }
+  
+  async getExpectedWorkflowSteps(workflow) {
+    switch (workflow.type) {
+      case 'cluster-provisioning':
+      case 'cluster-deletion':
+        return this.generateTemplateWorkflowSteps(this.getWorkflowTemplateName(workflow));
+      case 'namespace-provisioning':
+        return this.generateNamespaceProvisioningWorkflowSteps(workflow.parameters.networkIsolated);
+      default:
+        return [];
+    }
+  }
+  
   async updateWorkflowFromArgo(workflowId, argoWorkflow) {
     const localWorkflow = this.workflows.get(workflowId);
     if (!localWorkflow) return;
@@ -138,16 +468,33 @@ class WorkflowService {
         break;
     }
     
+    // A shutdown (ours or `argo stop/terminate`) ends in Failed; report it as aborted.
+    // Until Argo gets there an abort we requested stays 'aborting'.
+    if (mappedStatus === 'failed' && argoWorkflow.spec?.shutdown) {
+      mappedStatus = 'aborted';
+    } else if (mappedStatus === 'running' && localWorkflow.status === 'aborting') {
+      mappedStatus = 'aborting';
+    }
+    const argoPhase = argoWorkflow.status?.phase || null;
+    const phaseChanged = localWorkflow.argoPhase !== argoPhase;
+    localWorkflow.argoPhase = argoPhase;
+    
+    // Steps progress while the workflow itself is still running
+    if (argoWorkflow.status?.nodes) {
+      this.updateStepsFromArgoNodes(workflowId, argoWorkflow.status.nodes);
+      
+      // Pod output is fetched in the background so a slow log read never delays status updates
+      StepLogService.collectWorkflowLogs(workflowId, argoWorkflow).catch(error => {
+        logger.error(`Error collecting step logs for workflow ${workflowId}`, this.logFields(localWorkflow, { error }));
+      });
+    }
+    
     if (localWorkflow.status !== mappedStatus) {
       localWorkflow.status = mappedStatus;
-      this.workflows.set(workflowId, localWorkflow);
-      
-      // Update steps from Argo workflow nodes
-      if (argoWorkflow.status?.nodes) {
-        this.updateStepsFromArgoNodes(workflowId, argoWorkflow.status.nodes);
-      }
-      
-      console.log(`Updated workflow ${workflowId} status to ${mappedStatus}`);
+      this.saveWorkflow(localWorkflow);
+      logger.info(`Updated workflow ${workflowId} status to ${mappedStatus}`, this.logFields(localWorkflow));
+    } else if (phaseChanged) {
+      this.workflows.save(workflowId);
     }
   }
   
@@ -157,12 +504,26 @@ class WorkflowService {
     Object.values(argoNodes).forEach(node => {
       if (node.type === 'Pod' || node.templateName) {
         const stepName = node.templateName || node.displayName || node.name;
-        const step = steps.find(s => s.name === stepName);
+        let step = steps.find(s => s.name === stepName);
+        
+        // A pod the expected step list did not know about (e.g. the template changed since)
+        if (!step && node.type === 'Pod') {
+          step = { id: uuidv4(), name: stepName, status: 'pending', startTime: null, endTime: null };
+          steps.push(step);
+        }
         
         if (step) {
           const nodePhase = node.phase?.toLowerCase();
           let stepStatus = 'pending';
           
+          // A step can already be finished the first time it is seen (e.g. a short pod
+          // between informer events, or a record rebuilt after a restart)
+          if (node.startedAt) {
+            step.startTime = new Date(node.startedAt);
+          } else if (nodePhase === 'running' && !step.startTime) {
+            step.startTime = new Date();
+          }
+          
           switch (nodePhase) {
             case 'succeeded':
               stepStatus = 'succeeded';
@@ -176,12 +537,16 @@ class WorkflowService {
               break;
             case 'running':
               stepStatus = 'running';
-              step.startTime = new Date(node.startedAt || new Date());
+              break;
+            case 'skipped':
+            case 'omitted':
+              stepStatus = 'skipped';
               break;
           }
           
           if (step.status !== stepStatus) {
             step.status = stepStatus;
+            this.notifyWorkflowUpdate(workflowId, { event: 'step', step });
           }
         }
       }
@@ -190,18 +555,66 @@ class WorkflowService {
     this.workflowSteps.set(workflowId, steps);
   }
   
+  // filters: statuses, type, clusterId, namespaceName, workflowType (engine), from/to
+  // (startTime range), sortBy/order, limit and the cursor returned with the previous page.
+  // Pages are keyed on (sort value, id), so records added between requests never shift a
+  // later page; workflows without a sort value (e.g. no endTime yet) always come last.
   async getWorkflows(filters = {}) {
+    const {
+      statuses,
+      type,
+      clusterId,
+      namespaceName,
+      workflowType,
+      from,
+      to,
+      sortBy = 'startTime',
+      order = 'desc',
+      limit = 50,
+      cursor
+    } = filters;
+    
     let workflows = Array.from(this.workflows.values());
     
-    if (filters.status) {
-      workflows = workflows.filter(w => w.status === filters.status);
+    if (statuses?.length) {
+      workflows = workflows.filter(w => statuses.includes(w.status));
+    }
+    if (type) {
+      workflows = workflows.filter(w => w.type === type);
+    }
+    if (clusterId) {
+      workflows = workflows.filter(w => w.clusterId === clusterId);
+    }
+    if (namespaceName) {
+      workflows = workflows.filter(w => w.namespaceName === namespaceName);
+    }
+    if (workflowType) {
+      workflows = workflows.filter(w => w.workflowType === workflowType);
+    }
+    if (from) {
+      workflows = workflows.filter(w => new Date(w.startTime) >= from);
+    }
+    if (to) {
+      workflows = workflows.filter(w => new Date(w.startTime) <= to);
     }
     
-    if (filters.limit) {
-      workflows = workflows.slice(0, filters.limit);
+    const sortKey = workflow => ({ value: getWorkflowSortValue(workflow, sortBy), id: workflow.id });
+    const compare = (a, b) => compareSortKeys(a, b, order);
+    workflows.sort((a, b) => compare(sortKey(a), sortKey(b)));
+    
+    const total = workflows.length;
+    if (cursor) {
+      const after = decodeWorkflowCursor(cursor, sortBy, order);
+      workflows = workflows.filter(w => compare(sortKey(w), after) > 0);
     }
     
-    return workflows;
+    const page = workflows.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextCursor = workflows.length > limit
+      ? encodeWorkflowCursor({ ...sortKey(last), sortBy, order })
+      : null;
+    
+    return { workflows: page, total, nextCursor };
   }
   
   async getWorkflow(id) {
@@ -212,8 +625,118 @@ class WorkflowService {
     return this.workflowSteps.get(id) || [];
   }
   
-  async getWorkflowLogs(id) {
-    return this.workflowLogs.get(id) || [];
+  // Every workflow of a type (all types without one) with its current steps, unpaginated,
+  // for aggregations over the whole history
+  getWorkflowsWithSteps({ type } = {}) {
+    return Array.from(this.workflows.values())
+      .filter(workflow => !type || workflow.type === type)
+      .map(workflow => ({ workflow, steps: this.workflowSteps.get(workflow.id) || [] }));
+  }
+  
+  // Node graph of a workflow. Argo-backed workflows expose every node of status.nodes
+  // (step groups, retries, onExit handlers included); in-process workflows, and Argo
+  // workflows whose object is gone, fall back to their steps as a chain.
+  async getWorkflowGraph(id) {
+    const workflow = this.workflows.get(id);
+    if (!workflow) {
+      return null;
+    }
+    
+    if (workflow.argoWorkflowName) {
+      const argoWorkflow = await this.getArgoWorkflow(workflow.argoWorkflowName);
+      if (argoWorkflow?.status?.nodes) {
+        return this.buildArgoGraph(argoWorkflow);
+      }
+    }
+    
+    return this.buildStepGraph(this.workflowSteps.get(id) || []);
+  }
+  
+  buildArgoGraph(argoWorkflow) {
+    const argoNodes = argoWorkflow.status.nodes;
+    const rootName = argoWorkflow.metadata.name;
+    
+    const nodes = Object.values(argoNodes).map(node => {
+      const startTime = node.startedAt ? new Date(node.startedAt) : null;
+      const endTime = node.finishedAt ? new Date(node.finishedAt) : null;
+      return {
+        id: node.id,
+        name: node.displayName || node.name,
+        type: node.type,
+        templateName: node.templateName || null,
+        status: ARGO_NODE_STATUSES[node.phase] || 'pending',
+        phase: node.phase || null,
+        startTime,
+        endTime,
+        duration: startTime && endTime ? endTime - startTime : null,
+        message: node.message || null,
+        onExit: node.name === `${rootName}.onExit`
+      };
+    });
+    
+    const edges = [];
+    Object.values(argoNodes).forEach(node => {
+      (node.children || [])
+        .filter(childId => argoNodes[childId])
+        .forEach(childId => edges.push({ from: node.id, to: childId }));
+    });
+    
+    // The exit handler is a separate root in Argo; draw it after the main graph's last nodes
+    const root = Object.values(argoNodes).find(node => node.name === rootName);
+    const exitNode = nodes.find(node => node.onExit);
+    if (root && exitNode) {
+      const outbound = (root.outboundNodes || []).filter(nodeId => argoNodes[nodeId]);
+      (outbound.length ? outbound : [root.id]).forEach(nodeId => edges.push({ from: nodeId, to: exitNode.id }));
+    }
+    
+    return { source: 'argo', phase: argoWorkflow.status.phase || null, nodes, edges };
+  }
+  
+  buildStepGraph(steps) {
+    const nodes = steps.map(step => {
+      const startTime = step.startTime ? new Date(step.startTime) : null;
+      const endTime = step.endTime ? new Date(step.endTime) : null;
+      return {
+        id: step.id,
+        name: step.name,
+        type: 'Step',
+        templateName: step.name,
+        status: step.status,
+        phase: null,
+        startTime,
+        endTime,
+        duration: startTime && endTime ? endTime - startTime : null,
+        message: step.error || null,
+        onExit: false
+      };
+    });
+    const edges = steps.slice(1).map((step, index) => ({ from: steps[index].id, to: step.id }));
+    
+    return { source: 'steps', phase: null, nodes, edges };
+  }
+  
+  // filters: levels (array), since (Date) and text (case-insensitive substring of the message)
+  async getWorkflowLogs(id, filters = {}) {
+    let logs = this.logIndex.get(id) || [];
+    
+    if (filters.levels?.length) {
+      logs = logs.filter(log => filters.levels.includes(log.level));
+    }
+    
+    if (filters.since) {
+      logs = logs.filter(log => new Date(log.timestamp) >= filters.since);
+    }
+    
+    if (filters.text) {
+      const text = filters.text.toLowerCase();
+      logs = logs.filter(log => log.message.toLowerCase().includes(text));
+    }
+    
+    return logs;
+  }
+  
+  async getStepLogs(id, stepName, pagination) {
+    return StepLogService.getStepLogs(id, stepName, pagination);
   }
   
   async startClusterProvisioningWorkflow(params) {
@@ -242,19 +765,17 @@ class WorkflowService {
       status: 'running',
       clusterId,
       startTime: new Date(),
+      requestId: getRequestId(),
       argoWorkflowName,
       workflowType: this.useKarpenterWorkflow ? 'karpenter' : 'kro',
       parameters: workflowParameters
     };
     
-    // Generate workflow steps based on type
-    const steps = this.useKarpenterWorkflow 
-      ? this.generateKarpenterWorkflowSteps()
-      : this.generateKroWorkflowSteps();
+    // Expected steps come from the WorkflowTemplate the run is submitted against
+    const steps = await this.generateTemplateWorkflowSteps(this.getWorkflowTemplateName(workflow));
     
-    this.workflows.set(workflowId, workflow);
+    this.saveWorkflow(workflow);
     this.workflowSteps.set(workflowId, steps);
-    this.workflowLogs.set(workflowId, []);
     
     // Create actual Argo Workflow
     try {
@@ -269,7 +790,7 @@ class WorkflowService {
       this.addLog(workflowId, `Failed to create Argo Workflow: ${error.message}`, 'error');
       workflow.status = 'failed';
       workflow.error = error.message;
-      this.workflows.set(workflowId, workflow);
+      this.saveWorkflow(workflow);
     }
     
     return workflow;
@@ -328,29 +849,39 @@ class WorkflowService {
     };
   }
 
-  // Generate workflow steps for Karpenter workflows
-  generateKarpenterWorkflowSteps() {
-    return [
-      { id: uuidv4(), name: 'validate-inputs', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'create-resource-group', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'create-managed-cluster', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'create-karpenter-nodeclass', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'create-karpenter-nodepool', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'wait-for-cluster-ready', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'configure-cluster-addons', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'configure-gitops', status: 'pending', startTime: null, endTime: null }
-    ];
+  // WorkflowTemplate an Argo-backed workflow runs (or ran) against
+  getWorkflowTemplateName(workflow) {
+    if (workflow.type === 'cluster-deletion') {
+      return WORKFLOW_TEMPLATES.clusterDeletion;
+    }
+    return workflow.workflowType === 'karpenter' ? WORKFLOW_TEMPLATES.karpenter : WORKFLOW_TEMPLATES.kro;
   }
 
-  // Generate workflow steps for KRO workflows (legacy)
-  generateKroWorkflowSteps() {
-    return [
-      { id: uuidv4(), name: 'validate-cluster-config', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'create-kro-cluster', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'wait-for-kro-ready', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'wait-cluster-ready', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'setup-flux-gitops', status: 'pending', startTime: null, endTime: null }
+  // Generate workflow steps from the WorkflowTemplate, so template changes need no backend change
+  async generateTemplateWorkflowSteps(templateName) {
+    const stepNames = await WorkflowTemplateService.getStepNames(templateName);
+    if (stepNames.length === 0) {
+      logger.warn(`WorkflowTemplate ${templateName} not found; steps will be added as Argo runs them`);
+    }
+    return stepNames.map(name => ({ id: uuidv4(), name, status: 'pending', startTime: null, endTime: null }));
+  }
+
+  // Generate workflow steps for namespace provisioning
+  generateNamespaceProvisioningWorkflowSteps(networkIsolated) {
+    const steps = [
+      { id: uuidv4(), name: 'validate-namespace', status: 'pending', startTime: null, endTime: null },
+      { id: uuidv4(), name: 'create-namespace', status: 'pending', startTime: null, endTime: null },
+      { id: uuidv4(), name: 'apply-limit-range', status: 'pending', startTime: null, endTime: null },
+      { id: uuidv4(), name: 'apply-network-policy', status: 'pending', startTime: null, endTime: null },
+      { id: uuidv4(), name: 'verify-resources', status: 'pending', startTime: null, endTime: null }
     ];
+    
+    // If network isolation is disabled, skip the network policy step
+    if (!networkIsolated) {
+      steps.splice(3, 1); // Remove network policy step
+    }
+    
+    return steps;
   }
 
   // Get node pool configurations for frontend
@@ -373,13 +904,14 @@ class WorkflowService {
         labels: {
           'idp.platform/workflow-id': workflow.id,
           'idp.platform/workflow-type': workflow.type,
-          'idp.platform/cluster-id': workflow.clusterId
+          'idp.platform/cluster-id': workflow.clusterId,
+          [REQUEST_ID_LABEL]: workflow.requestId
         }
       },
       spec: {
         serviceAccountName: 'idp-backend-sa',
         workflowTemplateRef: {
-          name: 'aks-cluster-provisioning'
+          name: WORKFLOW_TEMPLATES.kro
         },
         arguments: {
           parameters: [
@@ -441,13 +973,14 @@ class WorkflowService {
           'idp.platform/workflow-id': workflow.id,
           'idp.platform/workflow-type': workflow.type,
           'idp.platform/cluster-id': workflow.clusterId,
-          'idp.platform/workflow-engine': 'karpenter'
+          'idp.platform/workflow-engine': 'karpenter',
+          [REQUEST_ID_LABEL]: workflow.requestId
         }
       },
       spec: {
         serviceAccountName: 'idp-backend-sa',
         workflowTemplateRef: {
-          name: 'aks-cluster-provisioning-aso-karpenter'
+          name: WORKFLOW_TEMPLATES.karpenter
         },
         arguments: {
           parameters: [
@@ -525,6 +1058,7 @@ class WorkflowService {
       status: 'running',
       clusterId,
       startTime: new Date(),
+      requestId: getRequestId(),
       argoWorkflowName,
       parameters: {
         clusterName,
@@ -533,16 +1067,10 @@ class WorkflowService {
       }
     };
     
-    const steps = [
-      { id: uuidv4(), name: 'validate-deletion', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'delete-aso-resources', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'delete-kro-instance', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'cleanup-resources', status: 'pending', startTime: null, endTime: null }
-    ];
+    const steps = await this.generateTemplateWorkflowSteps(this.getWorkflowTemplateName(workflow));
     
-    this.workflows.set(workflowId, workflow);
+    this.saveWorkflow(workflow);
     this.workflowSteps.set(workflowId, steps);
-    this.workflowLogs.set(workflowId, []);
     
     // Create actual Argo Workflow for cluster deletion
     try {
@@ -552,7 +1080,7 @@ class WorkflowService {
       this.addLog(workflowId, `Failed to create Argo Workflow: ${error.message}`, 'error');
       workflow.status = 'failed';
       workflow.error = error.message;
-      this.workflows.set(workflowId, workflow);
+      this.saveWorkflow(workflow);
     }
     
     return workflow;
@@ -568,13 +1096,14 @@ class WorkflowService {
         labels: {
           'idp.platform/workflow-id': workflow.id,
           'idp.platform/workflow-type': workflow.type,
-          'idp.platform/cluster-id': workflow.clusterId
+          'idp.platform/cluster-id': workflow.clusterId,
+          [REQUEST_ID_LABEL]: workflow.requestId
         }
       },
       spec: {
         serviceAccountName: 'idp-backend-sa',
         workflowTemplateRef: {
-          name: 'aks-cluster-deletion'
+          name: WORKFLOW_TEMPLATES.clusterDeletion
         },
         arguments: {
           parameters: [
@@ -605,136 +1134,353 @@ class WorkflowService {
   }
   
   // Utility methods
+  saveWorkflow(workflow) {
+    this.workflows.set(workflow.id, workflow);
+    this.recordWorkflowOutcome(workflow);
+    // Cluster records follow their provisioning and deletion workflows
+    ClusterService.applyWorkflowStatus(workflow);
+    this.notifyWorkflowUpdate(workflow.id, { event: 'status', status: workflow.status, workflow });
+  }
+  
+  // Count a workflow once each time it enters a terminal status
+  recordWorkflowOutcome(workflow) {
+    const previous = this.recordedStatuses.get(workflow.id);
+    this.recordedStatuses.set(workflow.id, workflow.status);
+    
+    if (previous !== workflow.status && ['succeeded', 'failed', 'aborted'].includes(workflow.status)) {
+      workflowOutcomes.inc({
+        type: workflow.type,
+        engine: workflow.workflowType || (this.getInProcessExecutor(workflow) ? 'in-process' : 'argo'),
+        status: workflow.status
+      });
+    }
+  }
+  
+  // Record a step transition: running stamps startTime, terminal states stamp endTime
+  updateStepStatus(workflowId, stepId, status, error = null) {
+    const steps = this.workflowSteps.get(workflowId) || [];
+    const step = steps.find(s => s.id === stepId);
+    if (!step) {
+      return null;
+    }
+    
+    step.status = status;
+    if (status === 'running') {
+      step.startTime = new Date();
+      step.endTime = null;
+      step.error = null;
+    } else if (status !== 'pending') {
+      step.endTime = new Date();
+    }
+    if (error) {
+      step.error = error;
+    }
+    
+    this.workflowSteps.set(workflowId, steps);
+    this.notifyWorkflowUpdate(workflowId, { event: 'step', step });
+    return step;
+  }
+  
+  notifyWorkflowUpdate(workflowId, update) {
+    this.emit('workflow_update', workflowId, update);
+  }
+  
+  // Ids that tie a log line to its workflow, cluster or namespace and originating request
+  logFields(workflow, fields = {}) {
+    return {
+      requestId: workflow?.requestId || getRequestId(),
+      workflowId: workflow?.id,
+      clusterId: workflow?.clusterId,
+      namespaceName: workflow?.namespaceName,
+      ...fields
+    };
+  }
+  
+  indexLog(log) {
+    if (!this.logIndex.has(log.workflowId)) {
+      this.logIndex.set(log.workflowId, []);
+    }
+    this.logIndex.get(log.workflowId).push(log);
+  }
+  
   addLog(workflowId, message, level = 'info') {
-    const logs = this.workflowLogs.get(workflowId) || [];
-    logs.push({
+    const workflow = this.workflows.get(workflowId);
+    const log = {
+      workflowId,
       timestamp: new Date(),
       level,
-      message
-    });
-    this.workflowLogs.set(workflowId, logs);
-    console.log(`[${workflowId}] [${level.toUpperCase()}] ${message}`);
+      message,
+      requestId: workflow?.requestId || getRequestId()
+    };
+    this.workflowLogs.append(log);
+    this.indexLog(log);
+    this.notifyWorkflowUpdate(workflowId, { event: 'log', log });
+    logger.log(level === 'warning' ? 'warn' : level, message, this.logFields(workflow, { workflowId }));
   }
   
-  async abortWorkflow(workflowId, reason) {
+  // Abort a workflow. In-process executions are cancelled at their current step.
+  // Argo workflows are shut down through spec.shutdown ('stop' still runs onExit
+  // handlers, 'terminate' skips them) and kept for inspection; the record stays
+  // 'aborting' until the informer reports Argo's terminal phase.
+  async abortWorkflow(workflowId, reason, mode = 'stop') {
     const workflow = this.workflows.get(workflowId);
     if (!workflow) {
-      throw new Error('Workflow not found');
+      throw new WorkflowRequestError('Workflow not found', 404);
     }
     
-    // Try to delete the Argo Workflow if it exists
-    if (workflow.argoWorkflowName) {
+    if (!['pending', 'running', 'aborting'].includes(workflow.status)) {
+      throw new WorkflowRequestError(`Workflow is already ${workflow.status}`);
+    }
+    
+    workflow.abortReason = reason;
+    workflow.abortMode = mode;
+    workflow.abortRequestedAt = new Date();
+    this.workflows.save(workflowId);
+    
+    // Stop an in-process execution at its current step
+    if (this.stepEngine.cancel(workflowId, reason)) {
+      this.addLog(workflowId, 'In-process execution cancelled', 'info');
+    } else if (workflow.argoWorkflowName) {
+      const shutdown = ARGO_SHUTDOWN_STRATEGIES[mode];
       try {
-        await this.customApi.deleteNamespacedCustomObject(
+        await this.customApi.patchNamespacedCustomObject(
           this.argoApiGroup,
           this.argoApiVersion,
           this.argoNamespace,
           'workflows',
-          workflow.argoWorkflowName
+          workflow.argoWorkflowName,
+          { spec: { shutdown } },
+          undefined,
+          undefined,
+          undefined,
+          MERGE_PATCH_OPTIONS
         );
-        this.addLog(workflowId, `Argo Workflow ${workflow.argoWorkflowName} deleted`, 'info');
+        
+        workflow.status = 'aborting';
+        this.saveWorkflow(workflow);
+        this.addLog(workflowId, `Requested ${shutdown} of Argo Workflow ${workflow.argoWorkflowName}: ${reason}`, 'warning');
+        return workflow;
       } catch (error) {
-        console.error(`Failed to delete Argo Workflow: ${error.message}`);
+        if (error.response?.statusCode !== 404) {
+          throw new WorkflowRequestError(
+            `Failed to ${mode} Argo Workflow ${workflow.argoWorkflowName}: ${error.body?.message || error.message}`,
+            502
+          );
+        }
+        // Nothing left to shut down in Argo
+        this.addLog(workflowId, `Argo Workflow ${workflow.argoWorkflowName} not found`, 'warning');
       }
     }
     
     workflow.status = 'aborted';
     workflow.endTime = new Date();
-    workflow.abortReason = reason;
     
-    this.workflows.set(workflowId, workflow);
+    this.saveWorkflow(workflow);
     this.addLog(workflowId, `Workflow aborted: ${reason}`, 'warning');
     
     return workflow;
   }
   
-  async retryWorkflow(workflowId) {
+  // Retry a finished workflow. Without fromStep the whole workflow runs again
+  // (a fresh Argo Workflow is submitted); with fromStep earlier steps are kept and
+  // execution resumes at that step. The attempt being replaced is kept in
+  // workflow.attempts.
+  async retryWorkflow(workflowId, fromStep) {
     const workflow = this.workflows.get(workflowId);
     if (!workflow) {
-      throw new Error('Workflow not found');
+      throw new WorkflowRequestError('Workflow not found', 404);
     }
     
-    // Create a new Argo Workflow for retry
-    const originalName = workflow.argoWorkflowName;
-    workflow.argoWorkflowName = `${originalName}-retry-${Date.now()}`;
-    workflow.status = 'running';
-    workflow.retryCount = (workflow.retryCount || 0) + 1;
-    workflow.startTime = new Date();
-    workflow.endTime = null;
-    workflow.error = null;
+    if (['running', 'aborting'].includes(workflow.status) || this.stepEngine.isRunning(workflowId)) {
+      throw new WorkflowRequestError('Workflow is still running');
+    }
+    
+    const executor = this.getInProcessExecutor(workflow);
+    const submitArgoWorkflow = this.getArgoSubmitter(workflow);
+    if (!executor && !submitArgoWorkflow) {
+      throw new WorkflowRequestError(`Workflows of type ${workflow.type} cannot be retried`);
+    }
+    
+    if (fromStep) {
+      this.assertCanResumeFrom(this.workflowSteps.get(workflowId) || [], fromStep);
+    }
+    await this.assertClusterAllowsRetry(workflow);
+    
+    if (executor) {
+      return this.retryInProcessWorkflow(workflow, executor, fromStep);
+    }
     
-    this.workflows.set(workflowId, workflow);
-    this.addLog(workflowId, `Workflow retry initiated (retry #${workflow.retryCount})`, 'info');
+    if (fromStep) {
+      return this.retryArgoWorkflowFromStep(workflow, fromStep);
+    }
+    
+    // Create a new Argo Workflow for retry, named after the original run
+    const baseName = workflow.argoWorkflowName.replace(/-retry-\d+$/, '');
+    this.beginRetryAttempt(workflow);
+    workflow.argoWorkflowName = `${baseName}-retry-${workflow.retryCount}`;
+    this.saveWorkflow(workflow);
     
     // Create new Argo Workflow
     try {
-      if (workflow.type === 'cluster-provisioning') {
-        await this.createArgoWorkflow(workflow);
-      } else if (workflow.type === 'cluster-deletion') {
-        await this.createArgoClusterDeletionWorkflow(workflow);
-      } else if (workflow.type === 'namespace-provisioning') {
-        await this.createArgoNamespaceWorkflow(workflow);
-      }
+      await submitArgoWorkflow.call(this, workflow);
       this.addLog(workflowId, `Retry Argo Workflow ${workflow.argoWorkflowName} created successfully`, 'info');
     } catch (error) {
       this.addLog(workflowId, `Failed to create retry Argo Workflow: ${error.message}`, 'error');
       workflow.status = 'failed';
       workflow.error = error.message;
-      this.workflows.set(workflowId, workflow);
+      this.saveWorkflow(workflow);
     }
     
     return workflow;
   }
   
-  async createArgoNamespaceWorkflow(workflow) {
-    const argoWorkflowManifest = {
-      apiVersion: 'argoproj.io/v1alpha1',
-      kind: 'Workflow',
-      metadata: {
-        name: workflow.argoWorkflowName,
-        namespace: this.argoNamespace,
-        labels: {
-          'idp.platform/workflow-id': workflow.id,
-          'idp.platform/workflow-type': workflow.type,
-          'idp.platform/namespace-name': workflow.namespaceName
-        }
-      },
-      spec: {
-        workflowTemplateRef: {
-          name: 'namespace-provisioning'
-        },
-        arguments: {
-          parameters: [
-            {
-              name: 'namespace-name',
-              value: workflow.parameters.namespaceName
-            },
-            {
-              name: 'resource-limits-cpu',
-              value: workflow.parameters.resourceLimits?.cpu || '1'
-            },
-            {
-              name: 'resource-limits-memory',
-              value: workflow.parameters.resourceLimits?.memory || '2Gi'
-            },
-            {
-              name: 'network-isolated',
-              value: workflow.parameters.networkIsolated?.toString() || 'false'
-            }
-          ]
-        }
+  // Submitter used for the original Argo run. Cluster provisioning retries follow
+  // the engine recorded on the workflow, not the current USE_KARPENTER_WORKFLOW flag.
+  getArgoSubmitter(workflow) {
+    switch (workflow.type) {
+      case 'cluster-provisioning':
+        return workflow.workflowType === 'karpenter' ? this.createArgoKarpenterWorkflow : this.createArgoWorkflow;
+      case 'cluster-deletion':
+        return this.createArgoClusterDeletionWorkflow;
+      default:
+        return null;
+    }
+  }
+  
+  getInProcessExecutor(workflow) {
+    switch (workflow.type) {
+      case 'namespace-provisioning':
+        return this.executeNamespaceWorkflow;
+      case 'namespace-update':
+        return this.executeNamespaceUpdateWorkflow;
+      case 'namespace-deletion':
+        return this.executeNamespaceDeletionWorkflow;
+      default:
+        return null;
+    }
+  }
+  
+  // A retried cluster workflow moves its cluster back to provisioning or deleting, so the
+  // lifecycle must allow that (a ready cluster is not provisioned again). A dry-run
+  // deletion of a real cluster never moved it and can always run again.
+  async assertClusterAllowsRetry(workflow) {
+    const status = RETRY_CLUSTER_STATES[workflow.type];
+    const cluster = status && workflow.clusterId ? await ClusterService.getCluster(workflow.clusterId) : null;
+    if (!cluster || cluster.status === status) {
+      return;
+    }
+    if (workflow.type === 'cluster-deletion' && workflow.parameters?.dryRun && !cluster.dryRun) {
+      return;
+    }
+    ClusterService.assertTransition(cluster, status);
+  }
+  
+  // Resuming is only meaningful when every step before fromStep succeeded
+  assertCanResumeFrom(steps, fromStep) {
+    const index = steps.findIndex(step => step.name === fromStep);
+    if (index === -1) {
+      throw new WorkflowRequestError(`Unknown step: ${fromStep}`, 400);
+    }
+    
+    const blocking = steps.slice(0, index).find(step => !['succeeded', 'skipped'].includes(step.status));
+    if (blocking) {
+      throw new WorkflowRequestError(
+        `Cannot resume from ${fromStep}: earlier step ${blocking.name} is ${blocking.status}`
+      );
+    }
+  }
+  
+  // Archive the current attempt and reset the workflow for the next one.
+  // Steps from fromStep onward (all steps without it) go back to pending;
+  // earlier steps become earlierStepStatus, or keep their result when it is null.
+  beginRetryAttempt(workflow, fromStep = null, earlierStepStatus = null) {
+    const steps = this.workflowSteps.get(workflow.id) || [];
+    
+    workflow.attempts = [
+      ...(workflow.attempts || []),
+      {
+        attempt: (workflow.retryCount || 0) + 1,
+        argoWorkflowName: workflow.argoWorkflowName || null,
+        fromStep: workflow.resumedFromStep || null,
+        requestId: workflow.requestId || null,
+        status: workflow.status,
+        startTime: workflow.startTime,
+        endTime: workflow.endTime || null,
+        error: workflow.error || null,
+        steps: steps.map(step => ({ ...step }))
       }
-    };
+    ];
     
-    await this.customApi.createNamespacedCustomObject(
-      this.argoApiGroup,
-      this.argoApiVersion,
-      this.argoNamespace,
-      'workflows',
-      argoWorkflowManifest
+    const resumeIndex = fromStep ? steps.findIndex(step => step.name === fromStep) : 0;
+    const resetSteps = steps.map((step, index) => {
+      if (index >= resumeIndex) {
+        return { ...step, status: 'pending', startTime: null, endTime: null, error: null };
+      }
+      return earlierStepStatus ? { ...step, status: earlierStepStatus } : step;
+    });
+    
+    workflow.status = 'running';
+    workflow.requestId = getRequestId() || workflow.requestId;
+    workflow.retryCount = (workflow.retryCount || 0) + 1;
+    workflow.resumedFromStep = fromStep;
+    workflow.startTime = new Date();
+    workflow.endTime = null;
+    workflow.error = null;
+    
+    this.workflowSteps.set(workflow.id, resetSteps);
+    resetSteps.forEach(step => this.notifyWorkflowUpdate(workflow.id, { event: 'step', step }));
+    this.addLog(
+      workflow.id,
+      fromStep
+        ? `Workflow retry initiated from step ${fromStep} (retry #${workflow.retryCount})`
+        : `Workflow retry initiated (retry #${workflow.retryCount})`,
+      'info'
     );
   }
-
+  
+  // Argo's own retry: failed nodes (and, with restartSuccessful, the selected
+  // node and everything after it) are reset and the same Workflow object runs on
+  async retryArgoWorkflowFromStep(workflow, fromStep) {
+    const argoWorkflow = await this.getArgoWorkflow(workflow.argoWorkflowName);
+    if (!argoWorkflow) {
+      throw new WorkflowRequestError(
+        `Argo Workflow ${workflow.argoWorkflowName} no longer exists; retry without fromStep to resubmit it`
+      );
+    }
+    
+    const phase = argoWorkflow.status?.phase;
+    if (!['Failed', 'Error'].includes(phase)) {
+      throw new WorkflowRequestError(
+        `Argo Workflow ${workflow.argoWorkflowName} is ${phase || 'not finished'}; only Failed or Error workflows can resume from a step`
+      );
+    }
+    
+    try {
+      await ArgoServerService.retryWorkflow(this.argoNamespace, workflow.argoWorkflowName, {
+        restartSuccessful: true,
+        nodeFieldSelector: `templateName=${fromStep}`
+      });
+    } catch (error) {
+      throw new WorkflowRequestError(error.message, 502);
+    }
+    
+    this.beginRetryAttempt(workflow, fromStep);
+    this.saveWorkflow(workflow);
+    this.addLog(workflow.id, `Argo Workflow ${workflow.argoWorkflowName} retried from ${fromStep}`, 'info');
+    
+    return workflow;
+  }
+  
+  // Run the namespace workflow again on the step engine; steps before fromStep are skipped
+  async retryInProcessWorkflow(workflow, executor, fromStep) {
+    this.beginRetryAttempt(workflow, fromStep, 'skipped');
+    this.saveWorkflow(workflow);
+    
+    executor.call(this, workflow.id);
+    
+    return workflow;
+  }
+  
   async startNamespaceProvisioningWorkflow(params) {
     const {
       workflowId,
@@ -744,8 +1490,6 @@ class WorkflowService {
       networkIsolated
     } = params;
     
-    const argoWorkflowName = `namespace-provisioning-${namespaceName}-${workflowId.substring(0, 8)}`;
-    
     const workflow = {
       id: workflowId,
       name: `namespace-provisioning-${namespaceName}`,
@@ -753,7 +1497,7 @@ class WorkflowService {
       status: 'running',
       namespaceName,
       startTime: new Date(),
-      argoWorkflowName,
+      requestId: getRequestId(),
       parameters: {
         namespaceName,
         resourceLimits,
@@ -762,33 +1506,13 @@ class WorkflowService {
       }
     };
     
-    const steps = [
-      { id: uuidv4(), name: 'validate-namespace', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'create-namespace', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'apply-limit-range', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'apply-network-policy', status: 'pending', startTime: null, endTime: null },
-      { id: uuidv4(), name: 'verify-resources', status: 'pending', startTime: null, endTime: null }
-    ];
+    const steps = this.generateNamespaceProvisioningWorkflowSteps(networkIsolated);
     
-    // If network isolation is disabled, skip the network policy step
-    if (!networkIsolated) {
-      steps.splice(3, 1); // Remove network policy step
-    }
-    
-    this.workflows.set(workflowId, workflow);
+    this.saveWorkflow(workflow);
     this.workflowSteps.set(workflowId, steps);
-    this.workflowLogs.set(workflowId, []);
     
-    // Create actual Argo Workflow for namespace provisioning
-    try {
-      await this.createArgoNamespaceWorkflow(workflow);
-      this.addLog(workflowId, `Argo Workflow ${argoWorkflowName} created successfully`, 'info');
-    } catch (error) {
-      this.addLog(workflowId, `Failed to create Argo Workflow: ${error.message}`, 'error');
-      workflow.status = 'failed';
-      workflow.error = error.message;
-      this.workflows.set(workflowId, workflow);
-    }
+    // Start the workflow execution
+    this.executeNamespaceWorkflow(workflowId);
     
     return workflow;
   }
@@ -807,6 +1531,7 @@ class WorkflowService {
       status: 'running',
       namespaceName,
       startTime: new Date(),
+      requestId: getRequestId(),
       parameters: {
         namespaceName,
         updates
@@ -820,9 +1545,8 @@ class WorkflowService {
       { id: uuidv4(), name: 'verify-changes', status: 'pending', startTime: null, endTime: null }
     ];
     
-    this.workflows.set(workflowId, workflow);
+    this.saveWorkflow(workflow);
     this.workflowSteps.set(workflowId, steps);
-    this.workflowLogs.set(workflowId, []);
     
     // Start the workflow execution
     this.executeNamespaceUpdateWorkflow(workflowId);
@@ -844,6 +1568,7 @@ class WorkflowService {
       status: 'running',
       namespaceName,
       startTime: new Date(),
+      requestId: getRequestId(),
       parameters: {
         namespaceName,
         force
@@ -857,9 +1582,8 @@ class WorkflowService {
       { id: uuidv4(), name: 'verify-deletion', status: 'pending', startTime: null, endTime: null }
     ];
     
-    this.workflows.set(workflowId, workflow);
+    this.saveWorkflow(workflow);
     this.workflowSteps.set(workflowId, steps);
-    this.workflowLogs.set(workflowId, []);
     
     // Start the workflow execution
     this.executeNamespaceDeletionWorkflow(workflowId);
@@ -867,219 +1591,222 @@ class WorkflowService {
     return workflow;
   }
 
-  async executeNamespaceWorkflow(workflowId) {
+  // Run a namespace workflow's steps on the step engine and record the outcome.
+  // handlers maps step name -> step implementation (workflowId, params, signal)
+  async runNamespaceWorkflow(workflowId, label, handlers) {
     const workflow = this.workflows.get(workflowId);
     const steps = this.workflowSteps.get(workflowId);
     
     if (!workflow || !steps) {
-      console.error(`Workflow ${workflowId} not found`);
+      logger.error(`Workflow ${workflowId} not found`, { workflowId });
       return;
     }
 
-    this.addLog(workflowId, `Starting namespace provisioning workflow for ${workflow.namespaceName}`, 'info');
+    this.addLog(workflowId, `Starting ${label.toLowerCase()} workflow for ${workflow.namespaceName}`, 'info');
+    
+    const boundHandlers = Object.fromEntries(
+      Object.entries(handlers).map(([stepName, handler]) => [
+        stepName,
+        signal => handler.call(this, workflowId, workflow.parameters, signal)
+      ])
+    );
     
     try {
-      for (const step of steps) {
-        this.updateStepStatus(workflowId, step.id, 'running');
-        
-        switch (step.name) {
-          case 'validate-namespace':
-            await this.validateNamespaceCreation(workflowId, workflow.parameters);
-            break;
-          case 'create-namespace':
-            await this.createNamespaceResource(workflowId, workflow.parameters);
-            break;
-          case 'apply-limit-range':
-            await this.applyLimitRange(workflowId, workflow.parameters);
-            break;
-          case 'apply-network-policy':
-            await this.applyNetworkPolicy(workflowId, workflow.parameters);
-            break;
-          case 'verify-resources':
-            await this.verifyNamespaceResources(workflowId, workflow.parameters);
-            break;
-          default:
-            throw new Error(`Unknown step: ${step.name}`);
-        }
-        
-        this.updateStepStatus(workflowId, step.id, 'completed');
-      }
+      await this.stepEngine.run(workflowId, steps, boundHandlers);
       
-      // Mark workflow as completed
-      workflow.status = 'completed';
+      workflow.status = 'succeeded';
       workflow.endTime = new Date();
-      this.workflows.set(workflowId, workflow);
-      this.addLog(workflowId, 'Namespace provisioning workflow completed successfully', 'info');
+      this.saveWorkflow(workflow);
+      this.addLog(workflowId, `${label} workflow completed successfully`, 'info');
       
     } catch (error) {
-      workflow.status = 'failed';
-      workflow.endTime = new Date();
-      workflow.error = error.message;
-      this.workflows.set(workflowId, workflow);
-      this.addLog(workflowId, `Workflow failed: ${error.message}`, 'error');
-    }
-  }
-
-  async executeNamespaceUpdateWorkflow(workflowId) {
-    const workflow = this.workflows.get(workflowId);
-    const steps = this.workflowSteps.get(workflowId);
-    
-    this.addLog(workflowId, `Starting namespace update workflow for ${workflow.namespaceName}`, 'info');
-    
-    try {
-      for (const step of steps) {
-        this.updateStepStatus(workflowId, step.id, 'running');
-        
-        switch (step.name) {
-          case 'validate-updates':
-            await this.validateNamespaceUpdates(workflowId, workflow.parameters);
-            break;
-          case 'update-limit-range':
-            await this.updateLimitRange(workflowId, workflow.parameters);
-            break;
-          case 'update-annotations':
-            await this.updateNamespaceAnnotations(workflowId, workflow.parameters);
-            break;
-          case 'verify-changes':
-            await this.verifyNamespaceUpdates(workflowId, workflow.parameters);
-            break;
-        }
-        
-        this.updateStepStatus(workflowId, step.id, 'completed');
+      // abortWorkflow has already recorded the aborted status
+      if (error instanceof WorkflowAbortedError) {
+        return;
       }
       
-      workflow.status = 'completed';
-      workflow.endTime = new Date();
-      this.workflows.set(workflowId, workflow);
-      this.addLog(workflowId, 'Namespace update workflow completed successfully', 'info');
-      
-    } catch (error) {
       workflow.status = 'failed';
       workflow.endTime = new Date();
       workflow.error = error.message;
-      this.workflows.set(workflowId, workflow);
-      this.addLog(workflowId, `Update workflow failed: ${error.message}`, 'error');
+      this.saveWorkflow(workflow);
+      this.addLog(workflowId, `${label} workflow failed: ${error.message}`, 'error');
     }
   }
 
-  async executeNamespaceDeletionWorkflow(workflowId) {
-    const workflow = this.workflows.get(workflowId);
-    const steps = this.workflowSteps.get(workflowId);
-    
-    this.addLog(workflowId, `Starting namespace deletion workflow for ${workflow.namespaceName}`, 'info');
-    
-    try {
-      for (const step of steps) {
-        this.updateStepStatus(workflowId, step.id, 'running');
-        
-        switch (step.name) {
-          case 'validate-deletion':
-            await this.validateNamespaceDeletion(workflowId, workflow.parameters);
-            break;
-          case 'cleanup-resources':
-            await this.cleanupNamespaceResources(workflowId, workflow.parameters);
-            break;
-          case 'delete-namespace':
-            await this.deleteNamespaceResource(workflowId, workflow.parameters);
-            break;
-          case 'verify-deletion':
-            await this.verifyNamespaceDeletion(workflowId, workflow.parameters);
-            break;
-        }
-        
-        this.updateStepStatus(workflowId, step.id, 'completed');
-      }
-      
-      workflow.status = 'completed';
-      workflow.endTime = new Date();
-      this.workflows.set(workflowId, workflow);
-      this.addLog(workflowId, 'Namespace deletion workflow completed successfully', 'info');
-      
-    } catch (error) {
-      workflow.status = 'failed';
-      workflow.endTime = new Date();
-      workflow.error = error.message;
-      this.workflows.set(workflowId, workflow);
-      this.addLog(workflowId, `Deletion workflow failed: ${error.message}`, 'error');
-    }
+  executeNamespaceWorkflow(workflowId) {
+    return this.runNamespaceWorkflow(workflowId, 'Namespace provisioning', {
+      'validate-namespace': this.validateNamespaceCreation,
+      'create-namespace': this.createNamespaceResource,
+      'apply-limit-range': this.applyLimitRange,
+      'apply-network-policy': this.applyNetworkPolicy,
+      'verify-resources': this.verifyNamespaceResources
+    });
+  }
+
+  executeNamespaceUpdateWorkflow(workflowId) {
+    return this.runNamespaceWorkflow(workflowId, 'Namespace update', {
+      'validate-updates': this.validateNamespaceUpdates,
+      'update-limit-range': this.updateLimitRange,
+      'update-annotations': this.updateNamespaceAnnotations,
+      'verify-changes': this.verifyNamespaceUpdates
+    });
+  }
+
+  executeNamespaceDeletionWorkflow(workflowId) {
+    return this.runNamespaceWorkflow(workflowId, 'Namespace deletion', {
+      'validate-deletion': this.validateNamespaceDeletion,
+      'cleanup-resources': this.cleanupNamespaceResources,
+      'delete-namespace': this.deleteNamespaceResource,
+      'verify-deletion': this.verifyNamespaceDeletion
+    });
   }
 
   // Namespace workflow step implementations
-  async validateNamespaceCreation(workflowId, params) {
+  async validateNamespaceCreation(workflowId, params, signal) {
     this.addLog(workflowId, 'Validating namespace creation parameters...', 'info');
-    await new Promise(resolve => setTimeout(resolve, 500));
+    await sleep(500, undefined, { signal });
     this.addLog(workflowId, `Namespace ${params.namespaceName} validation passed`, 'info');
   }
 
-  async createNamespaceResource(workflowId, params) {
+  // Manifests captured when the workflow started; regenerated from the tracked
+  // namespace when the workflow was recovered from Argo without them
+  getNamespaceManifests(params) {
+    if (params.manifests) {
+      return params.manifests;
+    }
+
+    const { namespaceName } = params;
+    const tracked = NamespaceService.getTrackedNamespace(namespaceName) || {};
+    const resourceLimits = tracked.resourceLimits || params.resourceLimits;
+    const networkIsolated = tracked.networkIsolated ?? params.networkIsolated;
+
+    if (!resourceLimits?.cpu?.limit || !resourceLimits?.memory?.limit) {
+      throw new Error(`No resource limits recorded for namespace ${namespaceName}`);
+    }
+
+    return {
+      namespace: NamespaceService.generateNamespaceManifest(namespaceName, tracked.description),
+      limitRange: NamespaceService.generateLimitRangeManifest(namespaceName, resourceLimits),
+      networkPolicy: networkIsolated ? NamespaceService.generateNetworkPolicyManifest(namespaceName) : null
+    };
+  }
+
+  // Server-side apply a manifest and confirm the object is readable afterwards.
+  // The Kubernetes client cannot cancel a call, so an abort is honoured between calls.
+  async applyNamespaceManifest(workflowId, manifest, signal) {
+    const { kind, metadata: { name } } = manifest;
+
+    signal.throwIfAborted();
+    await NamespaceService.applyManifest(manifest);
+
+    signal.throwIfAborted();
+    const applied = await NamespaceService.readManifestResource(manifest);
+    if (!applied) {
+      throw new Error(`${kind} ${name} not found after apply`);
+    }
+
+    this.addLog(workflowId, `Applied ${kind} ${name} (resourceVersion ${applied.metadata.resourceVersion})`, 'info');
+    return applied;
+  }
+
+  async createNamespaceResource(workflowId, params, signal) {
     this.addLog(workflowId, `Creating namespace ${params.namespaceName}...`, 'info');
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    const { namespace } = this.getNamespaceManifests(params);
+    await this.applyNamespaceManifest(workflowId, namespace, signal);
     this.addLog(workflowId, `Namespace ${params.namespaceName} created successfully`, 'info');
   }
 
-  async applyLimitRange(workflowId, params) {
+  async applyLimitRange(workflowId, params, signal) {
     this.addLog(workflowId, 'Applying resource limits...', 'info');
-    await new Promise(resolve => setTimeout(resolve, 800));
+    const { limitRange } = this.getNamespaceManifests(params);
+    await this.applyNamespaceManifest(workflowId, limitRange, signal);
     this.addLog(workflowId, 'Resource limits applied successfully', 'info');
   }
 
-  async applyNetworkPolicy(workflowId, params) {
+  async applyNetworkPolicy(workflowId, params, signal) {
+    const { networkPolicy } = this.getNamespaceManifests(params);
+    if (!networkPolicy) {
+      this.addLog(workflowId, 'Network isolation disabled, no policy to apply', 'info');
+      return;
+    }
+
     this.addLog(workflowId, 'Applying network isolation policy...', 'info');
-    await new Promise(resolve => setTimeout(resolve, 700));
+    await this.applyNamespaceManifest(workflowId, networkPolicy, signal);
     this.addLog(workflowId, 'Network policy applied successfully', 'info');
   }
 
-  async verifyNamespaceResources(workflowId, params) {
+  async verifyNamespaceResources(workflowId, params, signal) {
     this.addLog(workflowId, 'Verifying namespace resources...', 'info');
-    await new Promise(resolve => setTimeout(resolve, 600));
+
+    const manifests = Object.values(this.getNamespaceManifests(params)).filter(Boolean);
+    const problems = [];
+
+    for (const manifest of manifests) {
+      const { kind, metadata: { name } } = manifest;
+      signal.throwIfAborted();
+      const resource = await NamespaceService.readManifestResource(manifest);
+
+      if (!resource) {
+        problems.push(`${kind} ${name} is missing`);
+      } else if (kind === 'Namespace' && resource.status?.phase !== 'Active') {
+        problems.push(`Namespace ${name} is ${resource.status?.phase || 'not active'}`);
+      } else {
+        this.addLog(workflowId, `Verified ${kind} ${name}`, 'info');
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Namespace verification failed: ${problems.join('; ')}`);
+    }
+
     this.addLog(workflowId, 'All namespace resources verified', 'info');
   }
 
-  async validateNamespaceUpdates(workflowId, params) {
+  async validateNamespaceUpdates(workflowId, params, signal) {
     this.addLog(workflowId, 'Validating update parameters...', 'info');
-    await new Promise(resolve => setTimeout(resolve, 400));
+    await sleep(400, undefined, { signal });
     this.addLog(workflowId, 'Update validation completed', 'info');
   }
 
-  async updateLimitRange(workflowId, params) {
+  async updateLimitRange(workflowId, params, signal) {
     this.addLog(workflowId, 'Updating resource limits...', 'info');
-    await new Promise(resolve => setTimeout(resolve, 800));
+    await sleep(800, undefined, { signal });
     this.addLog(workflowId, 'Resource limits updated successfully', 'info');
   }
 
-  async updateNamespaceAnnotations(workflowId, params) {
+  async updateNamespaceAnnotations(workflowId, params, signal) {
     this.addLog(workflowId, 'Updating namespace annotations...', 'info');
-    await new Promise(resolve => setTimeout(resolve, 300));
+    await sleep(300, undefined, { signal });
     this.addLog(workflowId, 'Annotations updated successfully', 'info');
   }
 
-  async verifyNamespaceUpdates(workflowId, params) {
+  async verifyNamespaceUpdates(workflowId, params, signal) {
     this.addLog(workflowId, 'Verifying namespace updates...', 'info');
-    await new Promise(resolve => setTimeout(resolve, 500));
+    await sleep(500, undefined, { signal });
     this.addLog(workflowId, 'Update verification completed', 'info');
   }
 
-  async validateNamespaceDeletion(workflowId, params) {
+  async validateNamespaceDeletion(workflowId, params, signal) {
     this.addLog(workflowId, 'Validating namespace deletion...', 'info');
-    await new Promise(resolve => setTimeout(resolve, 400));
+    await sleep(400, undefined, { signal });
     this.addLog(workflowId, 'Deletion validation passed', 'info');
   }
 
-  async cleanupNamespaceResources(workflowId, params) {
+  async cleanupNamespaceResources(workflowId, params, signal) {
     this.addLog(workflowId, 'Cleaning up namespace resources...', 'info');
-    await new Promise(resolve => setTimeout(resolve, 1200));
+    await sleep(1200, undefined, { signal });
     this.addLog(workflowId, 'Resource cleanup completed', 'info');
   }
 
-  async deleteNamespaceResource(workflowId, params) {
+  async deleteNamespaceResource(workflowId, params, signal) {
     this.addLog(workflowId, `Deleting namespace ${params.namespaceName}...`, 'info');
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    await sleep(1000, undefined, { signal });
     this.addLog(workflowId, `Namespace ${params.namespaceName} deleted successfully`, 'info');
   }
 
-  async verifyNamespaceDeletion(workflowId, params) {
+  async verifyNamespaceDeletion(workflowId, params, signal) {
     this.addLog(workflowId, 'Verifying namespace deletion...', 'info');
-    await new Promise(resolve => setTimeout(resolve, 500));
+    await sleep(500, undefined, { signal });
     this.addLog(workflowId, 'Deletion verification completed', 'info');
   }
 }
@@ -0,0 +1,140 @@
+const fs = require('fs/promises');
+const path = require('path');
+const k8s = require('@kubernetes/client-node');
+const { logger } = require('../logger');
+
+// Task names a DAG task waits for, from `dependencies` or an enhanced `depends`
+// expression such as "(a.Succeeded || b.Failed) && c"
+const getTaskDependencies = (task) => {
+  if (task.dependencies) {
+    return task.dependencies;
+  }
+  if (!task.depends) {
+    return [];
+  }
+  return task.depends
+    .split(/&&|\|\||[!()]/)
+    .map(term => term.trim().split('.')[0])
+    .filter(Boolean);
+};
+
+// Tasks in dependency order, keeping declaration order among independent tasks
+const sortDagTasks = (tasks) => {
+  const sorted = [];
+  const placed = new Set();
+  let remaining = [...tasks];
+
+  while (remaining.length > 0) {
+    const ready = remaining.filter(task =>
+      getTaskDependencies(task).every(dependency => placed.has(dependency) || !tasks.some(t => t.name === dependency))
+    );
+    // A dependency cycle is invalid in Argo anyway; keep the rest in declaration order
+    const batch = ready.length > 0 ? ready : remaining;
+    batch.forEach(task => {
+      sorted.push(task);
+      placed.add(task.name);
+    });
+    remaining = remaining.filter(task => !placed.has(task.name));
+  }
+
+  return sorted;
+};
+
+// Reads WorkflowTemplates from the cluster, falling back to the bundled YAML in
+// WORKFLOW_TEMPLATES_DIR (the image copies k8s-manifests/argo-workflows to
+// /app/workflow-templates; from a checkout it is read in place), and flattens them into the
+// ordered list of leaf templates a run will execute. Step names are template names,
+// which is what Argo reports as a node's templateName.
+class WorkflowTemplateService {
+  constructor() {
+    this.kc = new k8s.KubeConfig();
+    this.kc.loadFromDefault();
+    this.customApi = this.kc.makeApiClient(k8s.CustomObjectsApi);
+    this.argoNamespace = process.env.ARGO_NAMESPACE || 'default';
+    this.templatesDir = process.env.WORKFLOW_TEMPLATES_DIR
+      || path.join(__dirname, '..', '..', '..', 'k8s-manifests', 'argo-workflows');
+  }
+
+  async getTemplate(name) {
+    try {
+      const response = await this.customApi.getNamespacedCustomObject(
+        'argoproj.io',
+        'v1alpha1',
+        this.argoNamespace,
+        'workflowtemplates',
+        name
+      );
+      return response.body;
+    } catch (error) {
+      if (error.response?.statusCode !== 404) {
+        logger.warn(`Error reading WorkflowTemplate ${name}, using the bundled copy`, { error });
+      }
+      return this.getBundledTemplate(name);
+    }
+  }
+
+  async getBundledTemplate(name) {
+    try {
+      const files = (await fs.readdir(this.templatesDir)).filter(file => /\.ya?ml$/.test(file));
+      for (const file of files) {
+        const documents = k8s.loadAllYaml(await fs.readFile(path.join(this.templatesDir, file), 'utf8'));
+        const template = documents.find(document =>
+          document?.kind === 'WorkflowTemplate' && document.metadata?.name === name
+        );
+        if (template) {
+          return template;
+        }
+      }
+    } catch (error) {
+      logger.error(`Error reading bundled WorkflowTemplates from ${this.templatesDir}`, { error });
+    }
+    return null;
+  }
+
+  // Ordered step names of a WorkflowTemplate: its entrypoint expanded through nested
+  // dag/steps templates, followed by the onExit handler. Empty if the template is unknown.
+  async getStepNames(name) {
+    const workflowTemplate = await this.getTemplate(name);
+    if (!workflowTemplate?.spec) {
+      return [];
+    }
+
+    const templates = new Map((workflowTemplate.spec.templates || []).map(template => [template.name, template]));
+    const stepNames = [];
+
+    const expand = (templateName, expanding = new Set()) => {
+      const template = templates.get(templateName);
+      if (!template || !(template.dag || template.steps)) {
+        if (!stepNames.includes(templateName)) {
+          stepNames.push(templateName);
+        }
+        return;
+      }
+      if (expanding.has(templateName)) {
+        return;
+      }
+
+      const nested = new Set(expanding).add(templateName);
+      const invocations = template.dag
+        ? sortDagTasks(template.dag.tasks || [])
+        : (template.steps || []).flat();
+
+      // Templates referenced from another WorkflowTemplate report that template's name
+      invocations.forEach(invocation => {
+        const target = invocation.template || invocation.templateRef?.template;
+        if (target) {
+          expand(target, nested);
+        }
+      });
+    };
+
+    expand(workflowTemplate.spec.entrypoint);
+    if (workflowTemplate.spec.onExit) {
+      expand(workflowTemplate.spec.onExit);
+    }
+
+    return stepNames;
+  }
+}
+
+module.exports = new WorkflowTemplateService();
@@ -0,0 +1,49 @@
+const { logger } = require('../logger');
+
+// Append-only record log (e.g. the audit trail). Entries are kept in memory
+// in insertion order and appended to the backing store; there is deliberately
+// no way to update an entry once written. compact() drops entries wholesale
+// for logs that have a retention policy.
+class AppendLog {
+  constructor(store, log) {
+    this.store = store;
+    this.log = log;
+    this.entries = [];
+    this.pending = Promise.resolve();
+  }
+
+  async load() {
+    this.entries = await this.store.readLog(this.log);
+    return this;
+  }
+
+  append(entry) {
+    this.entries.push(entry);
+    this.pending = this.pending
+      .then(() => this.store.append(this.log, entry))
+      .catch(error => {
+        logger.error(`Failed to append ${this.log} entry`, { error });
+      });
+    return entry;
+  }
+
+  // Keep only the entries matching keep and rewrite the stored log to match.
+  // Queued behind pending appends, which are already part of the kept snapshot.
+  compact(keep) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter(keep);
+    const kept = [...this.entries];
+    this.pending = this.pending
+      .then(() => this.store.rewriteLog(this.log, kept))
+      .catch(error => {
+        logger.error(`Failed to compact ${this.log}`, { error });
+      });
+    return before - kept.length;
+  }
+
+  async flush() {
+    await this.pending;
+  }
+}
+
+module.exports = AppendLog;
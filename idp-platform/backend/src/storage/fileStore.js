@@ -0,0 +1,147 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('../logger');
+
+// Date#toJSON output only; longer fractions (e.g. nanosecond pod log timestamps) stay strings
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/;
+
+// Restore Date objects so records read back look the same as freshly created ones
+const reviveDates = (key, value) => {
+  if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+    return new Date(value);
+  }
+  return value;
+};
+
+// Durable store that keeps one JSON document per record:
+//   <root>/<collection>/<encoded key>.json
+// Writes go to a temp file first and are renamed into place so a crash
+// mid-write never leaves a truncated record behind. Append-only logs are
+// JSON Lines files: <root>/<log>.jsonl
+class FileStore {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    this.metaFile = path.join(rootDir, '_meta.json');
+  }
+
+  async open() {
+    await fs.mkdir(this.rootDir, { recursive: true });
+  }
+
+  async getSchemaVersion() {
+    try {
+      const meta = JSON.parse(await fs.readFile(this.metaFile, 'utf8'));
+      return meta.schemaVersion || 0;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+  }
+
+  async setSchemaVersion(version) {
+    await this.writeAtomic(this.metaFile, {
+      schemaVersion: version,
+      migratedAt: new Date()
+    });
+  }
+
+  collectionDir(collection) {
+    return path.join(this.rootDir, collection);
+  }
+
+  recordFile(collection, key) {
+    return path.join(this.collectionDir(collection), `${encodeURIComponent(key)}.json`);
+  }
+
+  async ensureCollection(collection) {
+    await fs.mkdir(this.collectionDir(collection), { recursive: true });
+  }
+
+  async loadCollection(collection) {
+    await this.ensureCollection(collection);
+
+    const files = await fs.readdir(this.collectionDir(collection));
+    const entries = [];
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      const key = decodeURIComponent(file.slice(0, -'.json'.length));
+      try {
+        const content = await fs.readFile(path.join(this.collectionDir(collection), file), 'utf8');
+        entries.push([key, JSON.parse(content, reviveDates)]);
+      } catch (error) {
+        logger.warn(`Skipping unreadable ${collection} record ${key}`, { error });
+      }
+    }
+
+    return entries;
+  }
+
+  async put(collection, key, value) {
+    await this.ensureCollection(collection);
+    await this.writeAtomic(this.recordFile(collection, key), value);
+  }
+
+  async remove(collection, key) {
+    try {
+      await fs.unlink(this.recordFile(collection, key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  logFile(log) {
+    return path.join(this.rootDir, `${log}.jsonl`);
+  }
+
+  async ensureLog(log) {
+    await fs.appendFile(this.logFile(log), '');
+  }
+
+  async readLog(log) {
+    let content;
+    try {
+      content = await fs.readFile(this.logFile(log), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const records = [];
+    content.split('\n').filter(Boolean).forEach((line, index) => {
+      try {
+        records.push(JSON.parse(line, reviveDates));
+      } catch (error) {
+        logger.warn(`Skipping unreadable ${log} log line ${index + 1}`, { error });
+      }
+    });
+    return records;
+  }
+
+  async append(log, record) {
+    await fs.appendFile(this.logFile(log), `${JSON.stringify(record)}\n`);
+  }
+
+  // Replace a log's contents in one rename, e.g. after retention dropped old entries
+  async rewriteLog(log, records) {
+    const file = this.logFile(log);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+    await fs.rename(tmpFile, file);
+  }
+
+  async writeAtomic(file, value) {
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(value, null, 2));
+    await fs.rename(tmpFile, file);
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,60 @@
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+const Repository = require('./repository');
+const AppendLog = require('./appendLog');
+const { runMigrations } = require('./migrations');
+
+// Storage backend selection:
+//   STORAGE_BACKEND=file   (default) JSON records under STORAGE_PATH
+//   STORAGE_BACKEND=memory nothing survives a restart
+const createStore = () => {
+  const backend = process.env.STORAGE_BACKEND || 'file';
+
+  switch (backend) {
+    case 'file':
+      return new FileStore(process.env.STORAGE_PATH || path.join(__dirname, '..', '..', 'data'));
+    case 'memory':
+      return new MemoryStore();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+};
+
+const store = createStore();
+const repositories = [];
+const appendLogs = [];
+let initialized = null;
+
+const createRepository = (collection) => {
+  const repository = new Repository(store, collection);
+  repositories.push(repository);
+  return repository;
+};
+
+const createAppendLog = (log) => {
+  const appendLog = new AppendLog(store, log);
+  appendLogs.push(appendLog);
+  return appendLog;
+};
+
+// Open the store and apply pending migrations (idempotent)
+const initializeStorage = () => {
+  if (!initialized) {
+    initialized = store.open().then(() => runMigrations(store));
+  }
+  return initialized;
+};
+
+// Wait for all queued writes, e.g. before shutting down
+const flushStorage = () => Promise.all(
+  [...repositories, ...appendLogs].map(persisted => persisted.flush())
+);
+
+module.exports = {
+  store,
+  createRepository,
+  createAppendLog,
+  initializeStorage,
+  flushStorage
+};
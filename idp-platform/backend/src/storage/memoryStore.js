@@ -0,0 +1,62 @@
+// Non-durable store used when STORAGE_BACKEND=memory (tests, throwaway demos)
+class MemoryStore {
+  constructor() {
+    this.collections = new Map();
+    this.logs = new Map();
+    this.schemaVersion = 0;
+  }
+
+  async open() {}
+
+  async getSchemaVersion() {
+    return this.schemaVersion;
+  }
+
+  async setSchemaVersion(version) {
+    this.schemaVersion = version;
+  }
+
+  async ensureCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+  }
+
+  async loadCollection(collection) {
+    await this.ensureCollection(collection);
+    return Array.from(this.collections.get(collection).entries());
+  }
+
+  async put(collection, key, value) {
+    await this.ensureCollection(collection);
+    // Store a snapshot so later in-place mutations only land on the next put
+    this.collections.get(collection).set(key, JSON.parse(JSON.stringify(value)));
+  }
+
+  async remove(collection, key) {
+    await this.ensureCollection(collection);
+    this.collections.get(collection).delete(key);
+  }
+
+  async ensureLog(log) {
+    if (!this.logs.has(log)) {
+      this.logs.set(log, []);
+    }
+  }
+
+  async readLog(log) {
+    await this.ensureLog(log);
+    return [...this.logs.get(log)];
+  }
+
+  async append(log, record) {
+    await this.ensureLog(log);
+    this.logs.get(log).push(JSON.parse(JSON.stringify(record)));
+  }
+
+  async rewriteLog(log, records) {
+    this.logs.set(log, records.map(record => JSON.parse(JSON.stringify(record))));
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,74 @@
+const { logger } = require('../logger');
+
+// Ordered schema migrations. Each entry runs once per store; the highest
+// applied version is recorded by the store itself. Append new migrations
+// to the end of the list and never renumber existing ones.
+const COLLECTIONS = ['clusters', 'namespaces', 'workflows', 'workflowSteps', 'workflowLogs'];
+const LOGS = ['audit', 'stepLogs', 'workflowLogs'];
+
+const migrations = [
+  {
+    version: 1,
+    name: 'create-collections',
+    up: async (store) => {
+      for (const collection of COLLECTIONS) {
+        await store.ensureCollection(collection);
+      }
+    }
+  },
+  {
+    version: 2,
+    name: 'create-audit-log',
+    up: async (store) => {
+      await store.ensureLog('audit');
+    }
+  },
+  {
+    version: 3,
+    name: 'create-step-log',
+    up: async (store) => {
+      await store.ensureLog('stepLogs');
+    }
+  },
+  {
+    version: 4,
+    name: 'cluster-lifecycle-states',
+    // Clusters whose provisioning succeeded used to be recorded as 'running'
+    up: async (store) => {
+      for (const [key, cluster] of await store.loadCollection('clusters')) {
+        if (cluster.status === 'running') {
+          await store.put('clusters', key, { ...cluster, status: 'ready' });
+        }
+      }
+    }
+  },
+  {
+    version: 5,
+    name: 'workflow-logs-append-only',
+    // Workflow logs were one record per workflow, rewritten in full for every line
+    up: async (store) => {
+      await store.ensureLog('workflowLogs');
+      for (const [workflowId, logs] of await store.loadCollection('workflowLogs')) {
+        for (const log of logs) {
+          await store.append('workflowLogs', { workflowId, ...log });
+        }
+        await store.remove('workflowLogs', workflowId);
+      }
+    }
+  }
+];
+
+const runMigrations = async (store) => {
+  const currentVersion = await store.getSchemaVersion();
+  const pending = migrations.filter(migration => migration.version > currentVersion);
+
+  for (const migration of pending) {
+    logger.info(`Applying storage migration ${migration.version} (${migration.name})`);
+    await migration.up(store);
+    await store.setSchemaVersion(migration.version);
+  }
+
+  return pending.length;
+};
+
+module.exports = { migrations, runMigrations, COLLECTIONS, LOGS };
@@ -0,0 +1,63 @@
+const { logger } = require('../logger');
+
+// Map-compatible repository that writes every set/delete through to the
+// backing store. Services keep using the familiar Map API while records
+// survive restarts; call load() once at startup to rehydrate.
+class Repository extends Map {
+  constructor(store, collection) {
+    super();
+    this.store = store;
+    this.collection = collection;
+    this.pending = Promise.resolve();
+  }
+
+  async load() {
+    const entries = await this.store.loadCollection(this.collection);
+    super.clear();
+    entries.forEach(([key, value]) => super.set(key, value));
+    return this;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.persist(() => this.store.put(this.collection, key, value));
+    return this;
+  }
+
+  // Persist a record that was changed in place after being read from the map
+  save(key) {
+    if (super.has(key)) {
+      this.set(key, super.get(key));
+    }
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    if (existed) {
+      this.persist(() => this.store.remove(this.collection, key));
+    }
+    return existed;
+  }
+
+  clear() {
+    const keys = Array.from(this.keys());
+    super.clear();
+    keys.forEach(key => this.persist(() => this.store.remove(this.collection, key)));
+  }
+
+  // Writes are chained so records for the same key never land out of order
+  persist(operation) {
+    this.pending = this.pending
+      .then(operation)
+      .catch(error => {
+        logger.error(`Failed to persist ${this.collection} record`, { error });
+      });
+  }
+
+  async flush() {
+    await this.pending;
+  }
+}
+
+module.exports = Repository;
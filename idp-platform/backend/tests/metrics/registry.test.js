@@ -0,0 +1,82 @@
+const express = require('express');
+const request = require('supertest');
+const { Registry } = require('../../src/metrics/registry');
+const { registry } = require('../../src/metrics');
+const { recordRequestMetrics } = require('../../src/middleware/metrics');
+
+describe('Registry', () => {
+  it('renders counters with HELP/TYPE headers and declared labels only, in order', () => {
+    const registry = new Registry();
+    const created = registry.counter({
+      name: 'idp_clusters_created_total',
+      help: 'Cluster provisioning requests accepted',
+      labelNames: ['dry_run', 'region']
+    });
+    created.inc({ region: 'eastus', dry_run: true, ignored: 'x' });
+    created.inc({ dry_run: true, region: 'eastus' }, 2);
+    created.inc({ dry_run: false });
+
+    expect(registry.render()).toBe([
+      '# HELP idp_clusters_created_total Cluster provisioning requests accepted',
+      '# TYPE idp_clusters_created_total counter',
+      'idp_clusters_created_total{dry_run="true",region="eastus"} 3',
+      'idp_clusters_created_total{dry_run="false",region=""} 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('escapes label values', () => {
+    const registry = new Registry();
+    registry.counter({ name: 'errors_total', help: 'Errors', labelNames: ['reason'] })
+      .inc({ reason: 'bad "quote" \\ and\nnewline' });
+
+    expect(registry.render()).toContain('errors_total{reason="bad \\"quote\\" \\\\ and\\nnewline"} 1');
+  });
+
+  it('refreshes gauges through collect on every render', () => {
+    const registry = new Registry();
+    let clients = 1;
+    registry.gauge({ name: 'idp_websocket_clients', help: 'Clients', collect: gauge => gauge.set({}, clients) });
+
+    expect(registry.render()).toContain('\nidp_websocket_clients 1\n');
+    clients = 4;
+    expect(registry.render()).toContain('\nidp_websocket_clients 4\n');
+  });
+
+  it('renders cumulative histogram buckets with +Inf, sum and count', () => {
+    const registry = new Registry();
+    const duration = registry.histogram({
+      name: 'request_seconds',
+      help: 'Latency',
+      labelNames: ['route'],
+      buckets: [1, 0.1]
+    });
+    duration.observe({ route: '/a' }, 0.05);
+    duration.observe({ route: '/a' }, 0.5);
+    duration.observe({ route: '/a' }, 3);
+
+    expect(registry.render().split('\n').slice(2, 7)).toEqual([
+      'request_seconds_bucket{route="/a",le="0.1"} 1',
+      'request_seconds_bucket{route="/a",le="1"} 2',
+      'request_seconds_bucket{route="/a",le="+Inf"} 3',
+      'request_seconds_sum{route="/a"} 3.55',
+      'request_seconds_count{route="/a"} 3'
+    ]);
+  });
+});
+
+describe('request metrics middleware', () => {
+  it('labels requests with the matched route pattern, not the raw path', async () => {
+    const app = express();
+    app.use(recordRequestMetrics);
+    app.get('/api/workflows/:id', (req, res) => res.json({ id: req.params.id }));
+
+    await request(app).get('/api/workflows/wf-123').expect(200);
+    await request(app).get('/nowhere').expect(404);
+
+    const output = registry.render();
+    expect(output).toContain('idp_http_request_duration_seconds_count{method="GET",route="/api/workflows/:id",status_code="200"} 1');
+    expect(output).toContain('idp_http_request_duration_seconds_count{method="GET",route="unmatched",status_code="404"} 1');
+    expect(output).not.toContain('wf-123');
+  });
+});
@@ -0,0 +1,66 @@
+const express = require('express');
+const request = require('supertest');
+const AuditService = require('../../src/services/auditService');
+const { audit } = require('../../src/middleware/audit');
+
+// Entries are recorded on 'finish', which can land just after supertest resolves
+const lastEntry = () => new Promise(resolve => setImmediate(() => {
+  const { entries } = AuditService.entries;
+  resolve(entries[entries.length - 1]);
+}));
+
+describe('audit middleware', () => {
+  const namespaces = new Map();
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'u1', name: 'Dev', email: 'dev@example.com', role: 'developer' };
+    next();
+  });
+  app.put(
+    '/namespaces/:name',
+    audit('namespace.update', {
+      target: (req) => ({ namespaceName: req.params.name }),
+      before: (req) => namespaces.get(req.params.name)
+    }),
+    (req, res) => {
+      const namespace = namespaces.get(req.params.name);
+      if (!namespace) {
+        return res.status(404).json({ error: 'Namespace not found' });
+      }
+      // Handlers mutate live records; the diff must still be against the state before
+      Object.assign(namespace, req.body);
+      res.json({ namespace });
+    }
+  );
+
+  beforeEach(() => {
+    namespaces.set('team-a', { name: 'team-a', networkIsolated: true, resourceLimits: { cpu: { limit: '1000m' } } });
+  });
+
+  it('records the actor, target and the diff against the record before the call', async () => {
+    await request(app)
+      .put('/namespaces/team-a')
+      .send({ resourceLimits: { cpu: { limit: '2000m' } } })
+      .expect(200);
+
+    const entry = await lastEntry();
+    expect(entry).toMatchObject({
+      action: 'namespace.update',
+      actor: { id: 'u1', email: 'dev@example.com' },
+      target: { namespaceName: 'team-a' },
+      changes: [{ path: 'resourceLimits.cpu.limit', from: '1000m', to: '2000m' }],
+      outcome: { status: 'success', statusCode: 200 }
+    });
+  });
+
+  it('records failed calls with their error', async () => {
+    await request(app).put('/namespaces/missing').send({ networkIsolated: false }).expect(404);
+
+    expect((await lastEntry()).outcome).toEqual({
+      status: 'failure',
+      statusCode: 404,
+      error: 'Namespace not found'
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+const ISSUER = 'https://login.example.com/';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+process.env.AUTH_JWKS = JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test', use: 'sig' }] });
+process.env.AUTH_ISSUER = ISSUER;
+
+const { ROLES, authenticate, authenticateWebSocket, requireRole, hasRole } = require('../../src/middleware/auth');
+const clusterRoutes = require('../../src/routes/clusters');
+const namespaceRoutes = require('../../src/routes/namespaces');
+
+const sign = (claims = {}, options = {}) => jwt.sign(
+  { sub: 'u1', name: 'Test User', roles: ['viewer'], ...claims },
+  privateKey,
+  { algorithm: 'RS256', keyid: 'test', issuer: ISSUER, expiresIn: '5m', ...options }
+);
+
+const app = express();
+app.use(express.json());
+app.use('/api', authenticate);
+app.get('/api/whoami', requireRole('viewer'), (req, res) => res.json({ user: req.user }));
+app.use('/api/clusters', clusterRoutes);
+app.use('/api/namespaces', namespaceRoutes);
+
+const bearer = (role) => `Bearer ${sign({ roles: [role] })}`;
+
+describe('authenticate', () => {
+  it('accepts a valid token and resolves the highest known role', async () => {
+    const response = await request(app)
+      .get('/api/whoami')
+      .set('Authorization', `Bearer ${sign({ roles: ['viewer', 'unknown', 'developer'] })}`)
+      .expect(200);
+
+    expect(response.body.user).toMatchObject({ id: 'u1', name: 'Test User', role: 'developer' });
+  });
+
+  it.each([
+    ['no token', undefined],
+    ['a malformed token', 'Bearer not-a-jwt'],
+    ['an expired token', `Bearer ${sign({}, { expiresIn: -60 })}`],
+    ['a token from another issuer', `Bearer ${sign({}, { issuer: 'https://evil.example.com/' })}`],
+    ['a token signed with another key', `Bearer ${jwt.sign(
+      { sub: 'u1', roles: ['platform-admin'] },
+      crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey,
+      { algorithm: 'RS256', keyid: 'test', issuer: ISSUER }
+    )}`]
+  ])('answers 401 for %s', async (description, authorization) => {
+    const call = request(app).get('/api/whoami');
+    if (authorization) {
+      call.set('Authorization', authorization);
+    }
+    await call.expect(401);
+  });
+});
+
+describe('requireRole', () => {
+  it('orders the roles viewer < developer < platform-admin', () => {
+    expect(ROLES).toEqual(['viewer', 'developer', 'platform-admin']);
+    expect(hasRole({ role: 'platform-admin' }, 'developer')).toBe(true);
+    expect(hasRole({ role: 'developer' }, 'viewer')).toBe(true);
+    expect(hasRole({ role: 'developer' }, 'platform-admin')).toBe(false);
+    expect(hasRole({ role: 'viewer' }, 'developer')).toBe(false);
+    expect(hasRole({ role: null }, 'viewer')).toBe(false);
+  });
+
+  it('answers 403 with the required role when a viewer creates a cluster', async () => {
+    const response = await request(app)
+      .post('/api/clusters')
+      .set('Authorization', bearer('viewer'))
+      .send({ name: 'dev-aks', location: 'eastus', nodePoolType: 'standard' })
+      .expect(403);
+
+    expect(response.body).toEqual({ error: 'Insufficient permissions', requiredRole: 'developer' });
+  });
+
+  it('reserves forced and real cluster deletions for platform admins', async () => {
+    await request(app).delete('/api/clusters/c1?force=true').set('Authorization', bearer('developer')).expect(403);
+    await request(app).delete('/api/clusters/c1?dryRun=false').set('Authorization', bearer('developer')).expect(403);
+    await request(app).delete('/api/clusters/c1').set('Authorization', bearer('developer')).expect(404);
+    await request(app).delete('/api/clusters/c1?force=true').set('Authorization', bearer('platform-admin')).expect(404);
+  });
+
+  it('reserves forced namespace deletions for platform admins', async () => {
+    const response = await request(app)
+      .delete('/api/namespaces/team-a?force=true')
+      .set('Authorization', bearer('developer'))
+      .expect(403);
+
+    expect(response.body.requiredRole).toBe('platform-admin');
+  });
+
+  it('reserves admin kubeconfigs for platform admins', async () => {
+    await request(app).get('/api/clusters/c1/kubeconfig?access=admin').set('Authorization', bearer('developer')).expect(403);
+    await request(app).get('/api/clusters/c1/kubeconfig').set('Authorization', bearer('viewer')).expect(403);
+  });
+});
+
+describe('authenticateWebSocket', () => {
+  const upgrade = (query, headers = {}) => ({ url: `/ws${query}`, headers });
+
+  it('accepts a valid access_token and falls back to the Authorization header', () => {
+    expect(authenticateWebSocket(upgrade(`?access_token=${sign()}`)).role).toBe('viewer');
+    expect(authenticateWebSocket(upgrade('', { authorization: bearer('developer') })).role).toBe('developer');
+  });
+
+  it('rejects a missing, invalid or role-less access_token', () => {
+    expect(() => authenticateWebSocket(upgrade(''))).toThrow('Authentication required');
+    expect(() => authenticateWebSocket(upgrade('?access_token=not-a-jwt'))).toThrow('Malformed token');
+    expect(() => authenticateWebSocket(upgrade(`?access_token=${sign({}, { expiresIn: -60 })}`))).toThrow('jwt expired');
+    expect(() => authenticateWebSocket(upgrade(`?access_token=${sign({}, { issuer: 'https://evil.example.com/' })}`)))
+      .toThrow('jwt issuer invalid');
+    expect(() => authenticateWebSocket(upgrade(`?access_token=${sign({ roles: [] })}`))).toThrow('Insufficient permissions');
+  });
+});
@@ -0,0 +1,68 @@
+const express = require('express');
+const request = require('supertest');
+const ClusterService = require('../../src/services/clusterService');
+const KubeconfigService = require('../../src/services/kubeconfigService');
+const clusterRoutes = require('../../src/routes/clusters');
+
+const app = express();
+let role;
+app.use((req, res, next) => {
+  req.user = { id: 'u1', name: 'Test User', role };
+  next();
+});
+app.use('/api/clusters', clusterRoutes);
+
+describe('GET /api/clusters/:id/kubeconfig', () => {
+  let getKubeconfig;
+
+  beforeEach(async () => {
+    ClusterService.clusters.clear();
+    await ClusterService.createCluster({ id: 'c1', name: 'dev-aks', status: 'ready', createdAt: new Date() });
+    getKubeconfig = jest.spyOn(KubeconfigService, 'getKubeconfig')
+      .mockResolvedValue({ expiresAt: null, kubeconfig: 'apiVersion: v1\n' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ['viewer', 'user', 403],
+    ['developer', 'user', 200],
+    ['developer', 'admin', 403],
+    ['platform-admin', 'admin', 200]
+  ])('answers a %s asking for %s access with %i', async (userRole, access, status) => {
+    role = userRole;
+    await request(app).get(`/api/clusters/c1/kubeconfig?access=${access}`).expect(status);
+    expect(getKubeconfig).toHaveBeenCalledTimes(status === 200 ? 1 : 0);
+  });
+
+  it('sends the kubeconfig as a download with its expiry', async () => {
+    role = 'developer';
+    getKubeconfig.mockResolvedValue({ expiresAt: new Date('2026-01-01T11:00:00.000Z'), kubeconfig: 'apiVersion: v1\n' });
+
+    const response = await request(app).get('/api/clusters/c1/kubeconfig?ttlSeconds=3600').expect(200);
+
+    expect(getKubeconfig).toHaveBeenCalledWith(expect.objectContaining({ id: 'c1' }), { access: 'user', ttlSeconds: 3600 });
+    expect(response.headers['content-disposition']).toBe('attachment; filename="dev-aks-user.kubeconfig"');
+    expect(response.text).toBe('# Expires at 2026-01-01T11:00:00.000Z\napiVersion: v1\n');
+  });
+
+  it('rejects a ttlSeconds outside 10 minutes to a day', async () => {
+    role = 'developer';
+    await request(app).get('/api/clusters/c1/kubeconfig?ttlSeconds=60').expect(400);
+    await request(app).get('/api/clusters/c1/kubeconfig?ttlSeconds=90000').expect(400);
+    expect(getKubeconfig).not.toHaveBeenCalled();
+  });
+
+  it('answers with the status of a cluster that cannot hand out credentials', async () => {
+    role = 'developer';
+    getKubeconfig.mockRestore();
+    await ClusterService.createCluster({ id: 'c2', name: 'dry-aks', status: 'ready', dryRun: true, createdAt: new Date() });
+
+    const response = await request(app).get('/api/clusters/c2/kubeconfig').expect(409);
+
+    expect(response.body.error).toBe('Cluster dry-aks is a dry run and has no credentials');
+    await request(app).get('/api/clusters/missing/kubeconfig').expect(404);
+  });
+});
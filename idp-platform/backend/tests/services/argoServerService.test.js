@@ -0,0 +1,31 @@
+const ArgoServerService = require('../../src/services/argoServerService');
+
+describe('ArgoServerService.retryWorkflow', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('PUTs the retry to the Argo Server workflow endpoint', async () => {
+    const put = jest.spyOn(ArgoServerService.client, 'put').mockResolvedValue({ data: { metadata: { name: 'wf' } } });
+
+    const result = await ArgoServerService.retryWorkflow('argo', 'wf', {
+      restartSuccessful: true,
+      nodeFieldSelector: 'templateName=create-managed-cluster'
+    });
+
+    expect(result).toEqual({ metadata: { name: 'wf' } });
+    expect(put).toHaveBeenCalledWith(
+      '/api/v1/workflows/argo/wf/retry',
+      { name: 'wf', namespace: 'argo', restartSuccessful: true, nodeFieldSelector: 'templateName=create-managed-cluster' },
+      expect.objectContaining({ headers: expect.any(Object) })
+    );
+  });
+
+  it('reports the Argo Server message when the retry is refused', async () => {
+    jest.spyOn(ArgoServerService.client, 'put')
+      .mockRejectedValue(Object.assign(new Error('Request failed'), { response: { data: { message: 'workflow must be Failed/Error to retry' } } }));
+
+    await expect(ArgoServerService.retryWorkflow('argo', 'wf'))
+      .rejects.toThrow('Argo Server retry of wf failed: workflow must be Failed/Error to retry');
+  });
+});
@@ -0,0 +1,39 @@
+const AuditService = require('../../src/services/auditService');
+
+describe('AuditService.computeChanges', () => {
+  it('diffs a create against nothing', () => {
+    expect(AuditService.computeChanges('POST', null, { name: 'team-a', networkIsolated: true })).toEqual([
+      { path: 'name', from: null, to: 'team-a' },
+      { path: 'networkIsolated', from: null, to: true }
+    ]);
+  });
+
+  it('reports only the nested leaves an update changes', () => {
+    const previous = {
+      name: 'team-a',
+      resourceLimits: { cpu: { request: '100m', limit: '1000m' }, memory: { request: '128Mi', limit: '1Gi' } }
+    };
+    const payload = { resourceLimits: { cpu: { request: '100m', limit: '2000m' }, memory: previous.resourceLimits.memory } };
+
+    expect(AuditService.computeChanges('PUT', previous, payload)).toEqual([
+      { path: 'resourceLimits.cpu.limit', from: '1000m', to: '2000m' }
+    ]);
+  });
+
+  it('compares arrays and dates as whole values', () => {
+    const createdAt = new Date('2026-01-01T00:00:00.000Z');
+    const previous = { tags: ['a', 'b'], createdAt };
+
+    expect(AuditService.computeChanges('PATCH', previous, { tags: ['a', 'b'], createdAt })).toEqual([]);
+    expect(AuditService.computeChanges('PATCH', previous, { tags: ['a'] })).toEqual([
+      { path: 'tags', from: ['a', 'b'], to: ['a'] }
+    ]);
+  });
+
+  it('removes the whole record on delete', () => {
+    expect(AuditService.computeChanges('DELETE', { id: 'c1', location: { region: 'eastus' } }, { force: true })).toEqual([
+      { path: 'id', from: 'c1', to: null },
+      { path: 'location', from: { region: 'eastus' }, to: null }
+    ]);
+  });
+});
@@ -0,0 +1,71 @@
+const ClusterService = require('../../src/services/clusterService');
+const ClusterHealthService = require('../../src/services/clusterHealthService');
+
+const healthyResources = {
+  kroInstances: [{ kind: 'AKSCluster', metadata: { name: 'dev-aks' }, status: { phase: 'ACTIVE' } }],
+  asoResources: []
+};
+
+const createCluster = (fields = {}) => ClusterService.createCluster({
+  id: 'c1',
+  name: 'dev-aks',
+  status: 'ready',
+  createdAt: new Date('2026-01-01T00:00:00.000Z'),
+  ...fields
+});
+
+describe('ClusterHealthService', () => {
+  let getClusterResources;
+
+  beforeEach(() => {
+    ClusterService.clusters.clear();
+    getClusterResources = jest.spyOn(ClusterService, 'getClusterResources').mockResolvedValue(healthyResources);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only rechecks on request once the recorded health is older than refreshMinMs', async () => {
+    const cluster = await createCluster({ health: { status: 'unknown', checkedAt: new Date() } });
+
+    expect(await ClusterHealthService.refreshCluster(cluster)).toBeNull();
+    expect(getClusterResources).not.toHaveBeenCalled();
+
+    const stale = await ClusterService.updateCluster('c1', {
+      health: { status: 'unknown', checkedAt: new Date(Date.now() - ClusterHealthService.refreshMinMs - 1) }
+    });
+    const [first, second] = await Promise.all([
+      ClusterHealthService.refreshCluster(stale),
+      ClusterHealthService.refreshCluster(stale)
+    ]);
+
+    expect(getClusterResources).toHaveBeenCalledTimes(1);
+    expect(second).toBe(first);
+    expect(first.health.status).toBe('healthy');
+    expect(await ClusterHealthService.refreshCluster(first.cluster)).toBeNull();
+  });
+
+  it('does not check dry-run or deleted clusters', async () => {
+    expect(await ClusterHealthService.refreshCluster(await createCluster({ id: 'c1', dryRun: true }))).toBeNull();
+    expect(await ClusterHealthService.refreshCluster(await createCluster({ id: 'c2', status: 'deleted' }))).toBeNull();
+    expect(getClusterResources).not.toHaveBeenCalled();
+  });
+
+  it('lists the labelled ASO resources once per pass and hands each cluster its share', async () => {
+    await createCluster();
+    await createCluster({ id: 'c2', name: 'prod-aks' });
+    const labelled = [{ kind: 'ResourceGroup', metadata: { name: 'rg-dev-aks' } }];
+    const listLabelled = jest.spyOn(ClusterService, 'listLabelledASOResources')
+      .mockResolvedValue(new Map([['dev-aks', labelled]]));
+
+    await ClusterHealthService.reconcileAll();
+
+    expect(listLabelled).toHaveBeenCalledTimes(1);
+    expect(getClusterResources.mock.calls).toEqual([
+      ['c1', { labelled }],
+      ['c2', { labelled: [] }]
+    ]);
+    expect((await ClusterService.getCluster('c2')).health.status).toBe('healthy');
+  });
+});
@@ -0,0 +1,168 @@
+const ClusterService = require('../../src/services/clusterService');
+
+const createCluster = (fields = {}) => ClusterService.createCluster({
+  id: 'c1',
+  name: 'dev-aks',
+  status: 'provisioning',
+  workflowId: 'wf-provision',
+  createdAt: new Date('2026-01-01T00:00:00.000Z'),
+  ...fields
+});
+
+const workflow = (fields) => ({ clusterId: 'c1', type: 'cluster-provisioning', id: 'wf-provision', ...fields });
+
+describe('ClusterService lifecycle', () => {
+  beforeEach(() => {
+    ClusterService.clusters.clear();
+  });
+
+  it('follows provisioning → ready → deleting → deleted and records each step', async () => {
+    await createCluster();
+
+    await ClusterService.transitionCluster('c1', 'ready', { workflowId: 'wf-provision' });
+    await ClusterService.beginDeletion('c1', 'wf-delete');
+    const deleted = await ClusterService.deleteCluster('c1', 'wf-delete');
+
+    expect(deleted.status).toBe('deleted');
+    expect(deleted.deletionWorkflowId).toBe('wf-delete');
+    expect(deleted.deletedAt).toBeInstanceOf(Date);
+    expect(deleted.statusHistory.map(({ status, workflowId }) => [status, workflowId])).toEqual([
+      ['provisioning', 'wf-provision'],
+      ['ready', 'wf-provision'],
+      ['deleting', 'wf-delete'],
+      ['deleted', 'wf-delete']
+    ]);
+  });
+
+  it.each([
+    ['provisioning', 'deleting', 'Cluster dev-aks is provisioning and cannot be deleted'],
+    ['ready', 'provisioning', 'Cluster dev-aks is ready and cannot be moved to provisioning'],
+    ['deleted', 'deleting', 'Cluster dev-aks is deleted and cannot be deleted']
+  ])('rejects %s → %s with a 409', async (from, to, message) => {
+    await createCluster({ status: from });
+
+    await expect(ClusterService.transitionCluster('c1', to)).rejects.toMatchObject({ statusCode: 409, message });
+    expect((await ClusterService.getCluster('c1')).status).toBe(from);
+  });
+
+  it('lets a failed cluster be provisioned again or deleted', async () => {
+    await createCluster({ status: 'failed' });
+    expect((await ClusterService.transitionCluster('c1', 'provisioning')).status).toBe('provisioning');
+
+    await ClusterService.transitionCluster('c1', 'failed');
+    expect((await ClusterService.beginDeletion('c1', 'wf-delete')).status).toBe('deleting');
+  });
+
+  it('answers 404 for an unknown cluster', async () => {
+    await expect(ClusterService.transitionCluster('missing', 'ready')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('ClusterService.applyWorkflowStatus', () => {
+  beforeEach(() => {
+    ClusterService.clusters.clear();
+  });
+
+  it('moves the cluster with its current provisioning workflow', async () => {
+    await createCluster();
+
+    expect((await ClusterService.applyWorkflowStatus(workflow({ status: 'running' }))).status).toBe('provisioning');
+    const failed = await ClusterService.applyWorkflowStatus(workflow({ status: 'failed', error: 'quota exceeded' }));
+    expect(failed).toMatchObject({ status: 'failed', error: 'quota exceeded' });
+
+    await ClusterService.transitionCluster('c1', 'provisioning', { workflowId: 'wf-provision' });
+    expect((await ClusterService.applyWorkflowStatus(workflow({ status: 'succeeded' }))))
+      .toMatchObject({ status: 'ready', error: null });
+  });
+
+  it('tombstones the cluster when its deletion workflow succeeds and fails it when aborted', async () => {
+    await createCluster({ status: 'ready' });
+    await ClusterService.beginDeletion('c1', 'wf-delete');
+    const deletion = { type: 'cluster-deletion', id: 'wf-delete' };
+
+    expect(await ClusterService.applyWorkflowStatus(workflow({ ...deletion, status: 'aborted' })))
+      .toMatchObject({ status: 'failed', error: 'Workflow aborted' });
+
+    await ClusterService.beginDeletion('c1', 'wf-delete-2');
+    expect((await ClusterService.applyWorkflowStatus(workflow({ ...deletion, id: 'wf-delete-2', status: 'succeeded' }))).status)
+      .toBe('deleted');
+  });
+
+  it('ignores superseded workflows and transitions the lifecycle does not allow', async () => {
+    await createCluster({ status: 'ready' });
+
+    const stale = await ClusterService.applyWorkflowStatus(workflow({ id: 'wf-old', status: 'failed' }));
+    expect(stale.status).toBe('ready');
+
+    // A late "running" from the provisioning workflow cannot take a ready cluster back
+    const late = await ClusterService.applyWorkflowStatus(workflow({ status: 'running' }));
+    expect(late.status).toBe('ready');
+    expect(await ClusterService.applyWorkflowStatus({ type: 'cluster-provisioning', status: 'failed' })).toBeNull();
+  });
+});
+
+describe('ClusterService.getClusterResources', () => {
+  const resource = (kind, name, labels) => ({ kind, metadata: { uid: `${kind}/${name}`, name, labels } });
+  const notFound = () => Object.assign(new Error('Not Found'), { response: { statusCode: 404 } });
+
+  beforeEach(async () => {
+    ClusterService.clusters.clear();
+    await createCluster();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lists ASO resources by the cluster label and reads unlabelled roots by name', async () => {
+    const list = jest.spyOn(ClusterService.customApi, 'listNamespacedCustomObject')
+      .mockImplementation(async (group, version, namespace, plural) => ({
+        body: { items: plural === 'userassignedidentities' ? [resource('UserAssignedIdentity', 'id-dev-aks', { 'idp-platform/cluster-name': 'dev-aks' })] : [] }
+      }));
+    const get = jest.spyOn(ClusterService.customApi, 'getNamespacedCustomObject')
+      .mockImplementation(async (group, version, namespace, plural, name) => {
+        if (plural === 'managedclusters') {
+          return { body: resource('ManagedCluster', name) };
+        }
+        throw notFound();
+      });
+
+    const { kroInstances, asoResources, error } = await ClusterService.getClusterResources('c1');
+
+    expect(error).toBeUndefined();
+    expect(kroInstances).toEqual([]);
+    expect(asoResources.map(({ kind, metadata }) => [kind, metadata.name])).toEqual([
+      ['UserAssignedIdentity', 'id-dev-aks'],
+      ['ManagedCluster', 'dev-aks']
+    ]);
+    list.mock.calls.forEach(call => expect(call[8]).toBe('idp-platform/cluster-name=dev-aks'));
+    expect(get.mock.calls.map(call => call[3]).sort()).toEqual(['aksclusters', 'managedclusters', 'resourcegroups']);
+  });
+
+  it('skips the per-cluster lists when handed the labelled resources', async () => {
+    const list = jest.spyOn(ClusterService.customApi, 'listNamespacedCustomObject');
+    const get = jest.spyOn(ClusterService.customApi, 'getNamespacedCustomObject').mockRejectedValue(notFound());
+    const labelled = [
+      resource('ManagedCluster', 'dev-aks', { 'idp-platform/cluster-name': 'dev-aks' }),
+      resource('ResourceGroup', 'rg-dev-aks', { 'idp-platform/cluster-name': 'dev-aks' })
+    ];
+
+    const { asoResources } = await ClusterService.getClusterResources('c1', { labelled });
+
+    expect(asoResources.map(({ kind }) => kind)).toEqual(['ResourceGroup', 'ManagedCluster']);
+    expect(list).not.toHaveBeenCalled();
+    expect(get.mock.calls.map(call => call[3])).toEqual(['aksclusters']);
+  });
+
+  it('answers empty groups with the error when Kubernetes cannot be read', async () => {
+    jest.spyOn(ClusterService.customApi, 'getNamespacedCustomObject')
+      .mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { response: { statusCode: 503 } }));
+    jest.spyOn(ClusterService.customApi, 'listNamespacedCustomObject').mockResolvedValue({ body: { items: [] } });
+
+    expect(await ClusterService.getClusterResources('c1')).toEqual({
+      kroInstances: [],
+      asoResources: [],
+      error: 'connect ECONNREFUSED'
+    });
+  });
+});
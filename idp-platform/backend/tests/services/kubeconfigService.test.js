@@ -0,0 +1,89 @@
+const k8s = require('@kubernetes/client-node');
+const ClusterService = require('../../src/services/clusterService');
+const KubeconfigService = require('../../src/services/kubeconfigService');
+
+const cluster = { id: 'c1', name: 'dev-aks', status: 'ready', dryRun: false };
+
+const exportedKubeconfig = k8s.dumpYaml({
+  apiVersion: 'v1',
+  kind: 'Config',
+  clusters: [{ name: 'dev-aks', cluster: { server: 'https://dev-aks.hcp.eastus.azmk8s.io:443', 'certificate-authority-data': 'Q0E=' } }],
+  users: [{ name: 'clusterAdmin', user: { token: 'admin-token' } }],
+  contexts: [{ name: 'dev-aks', context: { cluster: 'dev-aks', user: 'clusterAdmin' } }],
+  'current-context': 'dev-aks'
+});
+
+const managedCluster = {
+  kind: 'ManagedCluster',
+  metadata: { name: 'dev-aks' },
+  spec: {
+    operatorSpec: {
+      secrets: {
+        adminCredentials: { name: 'dev-aks-admin-kubeconfig', key: 'kubeconfig' },
+        userCredentials: { name: 'dev-aks-user-kubeconfig', key: 'kubeconfig' }
+      }
+    }
+  }
+};
+
+describe('KubeconfigService', () => {
+  let readSecret;
+
+  beforeEach(() => {
+    jest.spyOn(ClusterService, 'getManagedCluster').mockResolvedValue(managedCluster);
+    readSecret = jest.spyOn(k8s.CoreV1Api.prototype, 'readNamespacedSecret').mockResolvedValue({
+      body: { data: { kubeconfig: Buffer.from(exportedKubeconfig).toString('base64') } }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the credentials ASO exported for the requested access', async () => {
+    const result = await KubeconfigService.getKubeconfig(cluster, { access: 'user' });
+
+    expect(result).toEqual({ expiresAt: null, kubeconfig: exportedKubeconfig });
+    expect(readSecret).toHaveBeenCalledWith('dev-aks-user-kubeconfig', ClusterService.asoNamespace);
+  });
+
+  it.each([
+    ['a dry-run cluster', { dryRun: true }, 'Cluster dev-aks is a dry run and has no credentials'],
+    ['a provisioning cluster', { status: 'provisioning' }, 'Cluster dev-aks is provisioning; credentials are only available once it is ready']
+  ])('refuses %s with a 409', async (description, fields, message) => {
+    await expect(KubeconfigService.getKubeconfig({ ...cluster, ...fields }, { access: 'user' }))
+      .rejects.toMatchObject({ statusCode: 409, message });
+    expect(readSecret).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 while ASO has not written the credential secret', async () => {
+    readSecret.mockRejectedValue(Object.assign(new Error('Not Found'), { response: { statusCode: 404 } }));
+
+    await expect(KubeconfigService.getKubeconfig(cluster, { access: 'admin' })).rejects.toMatchObject({
+      statusCode: 404,
+      message: 'Credential secret dev-aks-admin-kubeconfig has not been written by ASO yet'
+    });
+  });
+
+  it('issues a token that expires after ttlSeconds for a short-lived kubeconfig', async () => {
+    const expirationTimestamp = '2026-01-01T11:00:00Z';
+    jest.spyOn(k8s.CoreV1Api.prototype, 'createNamespacedServiceAccount')
+      .mockRejectedValue(Object.assign(new Error('AlreadyExists'), { response: { statusCode: 409 } }));
+    jest.spyOn(k8s.RbacAuthorizationV1Api.prototype, 'createClusterRoleBinding').mockResolvedValue({});
+    const requestToken = jest.spyOn(k8s.CoreV1Api.prototype, 'createNamespacedServiceAccountToken')
+      .mockResolvedValue({ body: { status: { token: 'short-lived', expirationTimestamp } } });
+
+    const { expiresAt, kubeconfig } = await KubeconfigService.getKubeconfig(cluster, { access: 'user', ttlSeconds: 3600 });
+
+    expect(readSecret).toHaveBeenCalledWith('dev-aks-admin-kubeconfig', ClusterService.asoNamespace);
+    expect(requestToken).toHaveBeenCalledWith('idp-platform-user', 'kube-system', expect.objectContaining({
+      kind: 'TokenRequest',
+      spec: { expirationSeconds: 3600 }
+    }));
+    expect(expiresAt).toEqual(new Date(expirationTimestamp));
+
+    const config = k8s.loadYaml(kubeconfig);
+    expect(config.clusters[0].cluster.server).toBe('https://dev-aks.hcp.eastus.azmk8s.io:443');
+    expect(config.users).toEqual([{ name: 'dev-aks-user-token', user: { token: 'short-lived' } }]);
+  });
+});
@@ -0,0 +1,86 @@
+const ClusterService = require('../../src/services/clusterService');
+const NamespaceService = require('../../src/services/namespaceService');
+const WorkflowService = require('../../src/services/workflowService');
+const ReconciliationService = require('../../src/services/reconciliationService');
+
+const at = (minute) => new Date(Date.UTC(2026, 0, 1, 10, minute));
+
+const provisioning = {
+  id: 'wf-provision',
+  type: 'cluster-provisioning',
+  clusterId: 'c1',
+  status: 'succeeded',
+  startTime: at(0),
+  parameters: { clusterName: 'dev-aks', location: 'eastus', nodePoolType: 'standard', dryRun: false }
+};
+
+const deletion = (fields = {}) => ({
+  id: 'wf-delete',
+  type: 'cluster-deletion',
+  clusterId: 'c1',
+  status: 'running',
+  startTime: at(30),
+  parameters: { clusterName: 'dev-aks', force: false, dryRun: false },
+  ...fields
+});
+
+// Each recovered workflow stands for one labelled Argo Workflow
+const recoverFromArgo = (...workflows) => {
+  jest.spyOn(WorkflowService, 'listArgoWorkflows').mockResolvedValue(workflows.map((workflow, index) => ({
+    metadata: { name: `argo-${index}`, labels: { 'idp.platform/workflow-id': workflow.id }, creationTimestamp: workflow.startTime }
+  })));
+  jest.spyOn(WorkflowService, 'restoreWorkflowFromArgo').mockImplementation(async (argoWorkflow) => {
+    const workflow = workflows.find(({ id }) => id === argoWorkflow.metadata.labels['idp.platform/workflow-id']);
+    WorkflowService.workflows.set(workflow.id, workflow);
+    return { workflow, recovered: true };
+  });
+};
+
+describe('ReconciliationService.reconcile', () => {
+  beforeEach(() => {
+    ClusterService.clusters.clear();
+    WorkflowService.workflows.clear();
+    jest.spyOn(NamespaceService, 'listOnboardedNamespaces').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('links a recovered deletion workflow after recreating the cluster from its provisioning workflow', async () => {
+    recoverFromArgo(deletion({ status: 'succeeded' }), provisioning);
+
+    const summary = await ReconciliationService.reconcile();
+
+    const cluster = await ClusterService.getCluster('c1');
+    expect(summary).toEqual({ workflows: 2, clusters: 2, namespaces: 0 });
+    expect(cluster).toMatchObject({ status: 'deleted', workflowId: 'wf-provision', deletionWorkflowId: 'wf-delete' });
+    expect(cluster.statusHistory.map(({ status, workflowId }) => [status, workflowId])).toEqual([
+      ['ready', 'wf-provision'],
+      ['deleting', 'wf-delete'],
+      ['deleted', 'wf-delete']
+    ]);
+  });
+
+  it('moves a stored cluster to deleting while its recovered deletion workflow runs', async () => {
+    await ClusterService.createCluster({ id: 'c1', name: 'dev-aks', status: 'ready', workflowId: 'wf-provision', createdAt: at(0) });
+    recoverFromArgo(deletion());
+
+    await ReconciliationService.reconcile();
+
+    expect(await ClusterService.getCluster('c1')).toMatchObject({ status: 'deleting', deletionWorkflowId: 'wf-delete' });
+  });
+
+  it('keeps the newest deletion and ignores dry-run previews of a real cluster', async () => {
+    await ClusterService.createCluster({ id: 'c1', name: 'dev-aks', status: 'ready', workflowId: 'wf-provision', createdAt: at(0) });
+    recoverFromArgo(
+      deletion({ id: 'wf-preview', status: 'succeeded', startTime: at(50), parameters: { clusterName: 'dev-aks', dryRun: true } }),
+      deletion({ id: 'wf-retry', startTime: at(40) }),
+      deletion({ status: 'failed', error: 'drain timed out' })
+    );
+
+    await ReconciliationService.reconcile();
+
+    expect(await ClusterService.getCluster('c1')).toMatchObject({ status: 'deleting', deletionWorkflowId: 'wf-retry' });
+  });
+});
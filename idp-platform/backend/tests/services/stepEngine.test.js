@@ -0,0 +1,108 @@
+const { StepEngine, StepTimeoutError, WorkflowAbortedError } = require('../../src/services/stepEngine');
+
+const createSteps = (...names) => names.map(name => ({ id: `${name}-id`, name, status: 'pending' }));
+
+describe('StepEngine', () => {
+  let transitions;
+  let engine;
+
+  beforeEach(() => {
+    transitions = [];
+    engine = new StepEngine({
+      timeoutMs: 50,
+      onStepStatus: (executionId, stepId, status, error) => transitions.push([stepId, status, error])
+    });
+  });
+
+  it('runs the steps in order and reports each transition', async () => {
+    const order = [];
+    await engine.run('wf-1', createSteps('a', 'b'), {
+      a: async () => order.push('a'),
+      b: async () => order.push('b')
+    });
+
+    expect(order).toEqual(['a', 'b']);
+    expect(transitions).toEqual([
+      ['a-id', 'running', undefined],
+      ['a-id', 'succeeded', undefined],
+      ['b-id', 'running', undefined],
+      ['b-id', 'succeeded', undefined]
+    ]);
+    expect(engine.isRunning('wf-1')).toBe(false);
+  });
+
+  it('fails a step that outlives the timeout and stops there', async () => {
+    const b = jest.fn();
+    const run = engine.run('wf-1', createSteps('a', 'b'), {
+      a: () => new Promise(resolve => setTimeout(resolve, 1000).unref()),
+      b
+    });
+
+    await expect(run).rejects.toBeInstanceOf(StepTimeoutError);
+    expect(transitions).toEqual([
+      ['a-id', 'running', undefined],
+      ['a-id', 'failed', 'Step a timed out after 50ms']
+    ]);
+    expect(b).not.toHaveBeenCalled();
+  });
+
+  it('fails on a handler error and on unknown steps', async () => {
+    await expect(engine.run('wf-1', createSteps('a'), {
+      a: async () => { throw new Error('boom'); }
+    })).rejects.toThrow('boom');
+    await expect(engine.run('wf-2', createSteps('missing'), {})).rejects.toThrow('Unknown step: missing');
+
+    expect(transitions.filter(([, status]) => status === 'failed').map(([, , error]) => error))
+      .toEqual(['boom', 'Unknown step: missing']);
+  });
+
+  it('aborts the current step on cancel and hands the handler an aborted signal', async () => {
+    let signal;
+    const b = jest.fn();
+    const run = engine.run('wf-1', createSteps('a', 'b'), {
+      a: (stepSignal) => {
+        signal = stepSignal;
+        return new Promise(() => {});
+      },
+      b
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(engine.isRunning('wf-1')).toBe(true);
+    expect(engine.cancel('wf-1', 'requested by user')).toBe(true);
+
+    await expect(run).rejects.toBeInstanceOf(WorkflowAbortedError);
+    expect(signal.aborted).toBe(true);
+    expect(transitions).toEqual([
+      ['a-id', 'running', undefined],
+      ['a-id', 'aborted', 'Workflow aborted: requested by user']
+    ]);
+    expect(b).not.toHaveBeenCalled();
+    expect(engine.cancel('wf-1')).toBe(false);
+  });
+
+  it('does not run steps marked skipped', async () => {
+    const a = jest.fn();
+    const b = jest.fn();
+    const steps = createSteps('a', 'b');
+    steps[0].status = 'skipped';
+
+    await engine.run('wf-1', steps, { a, b });
+
+    expect(a).not.toHaveBeenCalled();
+    expect(b).toHaveBeenCalledTimes(1);
+    expect(transitions.map(([stepId]) => stepId)).toEqual(['b-id', 'b-id']);
+  });
+
+  it('refuses to run the same execution twice at once', async () => {
+    let finish;
+    const first = engine.run('wf-1', createSteps('a'), { a: () => new Promise(resolve => { finish = resolve; }) });
+    await new Promise(resolve => setImmediate(resolve));
+
+    await expect(engine.run('wf-1', createSteps('a'), { a: jest.fn() }))
+      .rejects.toThrow('Workflow wf-1 is already running');
+
+    finish();
+    await first;
+  });
+});
@@ -0,0 +1,343 @@
+const ArgoServerService = require('../../src/services/argoServerService');
+const ClusterService = require('../../src/services/clusterService');
+const NamespaceService = require('../../src/services/namespaceService');
+const WorkflowService = require('../../src/services/workflowService');
+
+const minutes = (n) => new Date(Date.UTC(2026, 0, 1, 10, n));
+
+const addWorkflow = (id, fields = {}) => {
+  WorkflowService.workflows.set(id, {
+    id,
+    type: 'namespace-provisioning',
+    status: 'succeeded',
+    startTime: minutes(0),
+    endTime: null,
+    ...fields
+  });
+};
+
+// Follow nextCursor until the last page
+const readAllPages = async (filters) => {
+  const ids = [];
+  let cursor;
+  do {
+    const page = await WorkflowService.getWorkflows({ ...filters, cursor });
+    ids.push(...page.workflows.map(workflow => workflow.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return ids;
+};
+
+describe('WorkflowService.getWorkflows', () => {
+  beforeEach(() => {
+    WorkflowService.workflows.clear();
+  });
+
+  it('pages newest first by default and ends with a null cursor', async () => {
+    for (let i = 1; i <= 5; i++) {
+      addWorkflow(`wf-${i}`, { startTime: minutes(i) });
+    }
+
+    const first = await WorkflowService.getWorkflows({ limit: 2 });
+    expect(first.workflows.map(workflow => workflow.id)).toEqual(['wf-5', 'wf-4']);
+    expect(first.total).toBe(5);
+    expect(first.nextCursor).toEqual(expect.any(String));
+
+    expect(await readAllPages({ limit: 2 })).toEqual(['wf-5', 'wf-4', 'wf-3', 'wf-2', 'wf-1']);
+  });
+
+  it('breaks ties on id so equal sort values are neither repeated nor skipped', async () => {
+    ['c', 'a', 'e', 'b', 'd'].forEach(id => addWorkflow(id, { startTime: minutes(1) }));
+
+    expect(await readAllPages({ limit: 2, order: 'asc' })).toEqual(['a', 'b', 'c', 'd', 'e']);
+  });
+
+  it('keeps later pages stable when workflows are added between requests', async () => {
+    for (let i = 1; i <= 4; i++) {
+      addWorkflow(`wf-${i}`, { startTime: minutes(i) });
+    }
+
+    const first = await WorkflowService.getWorkflows({ limit: 2 });
+    addWorkflow('wf-new', { startTime: minutes(30) });
+    const second = await WorkflowService.getWorkflows({ limit: 2, cursor: first.nextCursor });
+
+    expect(second.workflows.map(workflow => workflow.id)).toEqual(['wf-2', 'wf-1']);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  it('puts workflows without a sort value last', async () => {
+    addWorkflow('running', { status: 'running', startTime: minutes(5), endTime: null });
+    addWorkflow('quick', { startTime: minutes(1), endTime: minutes(2) });
+    addWorkflow('slow', { startTime: minutes(1), endTime: minutes(9) });
+
+    expect(await readAllPages({ limit: 1, sortBy: 'duration', order: 'desc' })).toEqual(['slow', 'quick', 'running']);
+    expect(await readAllPages({ limit: 1, sortBy: 'endTime', order: 'asc' })).toEqual(['quick', 'slow', 'running']);
+  });
+
+  it('applies the filters before paging', async () => {
+    addWorkflow('ns-1', { startTime: minutes(1), namespaceName: 'team-a' });
+    addWorkflow('ns-2', { startTime: minutes(2), namespaceName: 'team-b' });
+    addWorkflow('cl-1', { startTime: minutes(3), type: 'cluster-provisioning', status: 'failed', clusterId: 'c1' });
+    addWorkflow('cl-2', { startTime: minutes(4), type: 'cluster-provisioning', status: 'running', clusterId: 'c1' });
+
+    const clusterPage = await WorkflowService.getWorkflows({ type: 'cluster-provisioning', statuses: ['failed'], limit: 10 });
+    expect(clusterPage.workflows.map(workflow => workflow.id)).toEqual(['cl-1']);
+    expect(clusterPage.total).toBe(1);
+
+    expect(await readAllPages({ from: minutes(2), to: minutes(3), limit: 1 })).toEqual(['cl-1', 'ns-2']);
+    expect(await readAllPages({ namespaceName: 'team-a', limit: 1 })).toEqual(['ns-1']);
+  });
+
+  it('rejects a malformed cursor or one issued for another sort', async () => {
+    for (let i = 1; i <= 3; i++) {
+      addWorkflow(`wf-${i}`, { startTime: minutes(i) });
+    }
+    const { nextCursor } = await WorkflowService.getWorkflows({ limit: 1 });
+
+    await expect(WorkflowService.getWorkflows({ cursor: 'not-a-cursor' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid cursor for this sort order' });
+    await expect(WorkflowService.getWorkflows({ cursor: nextCursor, order: 'asc' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('WorkflowService.retryWorkflow', () => {
+  const steps = (...statuses) => statuses.map((status, index) => ({ id: `s${index}`, name: `step-${index}`, status }));
+
+  beforeEach(() => {
+    WorkflowService.workflows.clear();
+    WorkflowService.workflowSteps.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs a namespace workflow again on the step engine, skipping the steps before fromStep', async () => {
+    const execute = jest.spyOn(WorkflowService, 'executeNamespaceWorkflow').mockResolvedValue();
+    addWorkflow('ns-1', { status: 'failed', error: 'boom' });
+    WorkflowService.workflowSteps.set('ns-1', steps('succeeded', 'failed', 'pending'));
+
+    const workflow = await WorkflowService.retryWorkflow('ns-1', 'step-1');
+
+    expect(execute).toHaveBeenCalledWith('ns-1');
+    expect(workflow).toMatchObject({ status: 'running', retryCount: 1, resumedFromStep: 'step-1', error: null });
+    expect(workflow.attempts).toEqual([expect.objectContaining({ attempt: 1, status: 'failed', error: 'boom' })]);
+    expect(WorkflowService.workflowSteps.get('ns-1').map(step => step.status)).toEqual(['skipped', 'pending', 'pending']);
+  });
+
+  it.each([
+    ['Karpenter provisioning', { type: 'cluster-provisioning', workflowType: 'karpenter' }, 'createArgoKarpenterWorkflow'],
+    ['KRO provisioning', { type: 'cluster-provisioning', workflowType: 'kro' }, 'createArgoWorkflow'],
+    ['cluster deletion', { type: 'cluster-deletion' }, 'createArgoClusterDeletionWorkflow']
+  ])('resubmits a %s workflow with the engine it was recorded with', async (description, fields, submitter) => {
+    const submit = jest.spyOn(WorkflowService, submitter).mockResolvedValue();
+    addWorkflow('cl-1', { ...fields, status: 'failed', argoWorkflowName: 'provision-dev-aks-retry-1', retryCount: 1 });
+
+    const workflow = await WorkflowService.retryWorkflow('cl-1');
+
+    expect(submit).toHaveBeenCalledWith(workflow);
+    expect(workflow).toMatchObject({ status: 'running', retryCount: 2, argoWorkflowName: 'provision-dev-aks-retry-2' });
+    expect(workflow.attempts[0].argoWorkflowName).toBe('provision-dev-aks-retry-1');
+  });
+
+  it('retries an Argo workflow in place from a step through the Argo Server', async () => {
+    jest.spyOn(WorkflowService, 'getArgoWorkflow').mockResolvedValue({ status: { phase: 'Failed' } });
+    const retry = jest.spyOn(ArgoServerService, 'retryWorkflow').mockResolvedValue({});
+    addWorkflow('cl-1', { type: 'cluster-provisioning', workflowType: 'kro', status: 'failed', argoWorkflowName: 'provision-dev-aks' });
+    WorkflowService.workflowSteps.set('cl-1', steps('succeeded', 'failed'));
+
+    const workflow = await WorkflowService.retryWorkflow('cl-1', 'step-1');
+
+    expect(retry).toHaveBeenCalledWith(WorkflowService.argoNamespace, 'provision-dev-aks', {
+      restartSuccessful: true,
+      nodeFieldSelector: 'templateName=step-1'
+    });
+    expect(workflow).toMatchObject({ status: 'running', argoWorkflowName: 'provision-dev-aks', resumedFromStep: 'step-1' });
+  });
+
+  it.each(['running', 'aborting'])('answers 409 for a workflow that is %s', async (status) => {
+    const execute = jest.spyOn(WorkflowService, 'executeNamespaceWorkflow').mockResolvedValue();
+    addWorkflow('ns-1', { status });
+
+    await expect(WorkflowService.retryWorkflow('ns-1'))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Workflow is still running' });
+    expect(execute).not.toHaveBeenCalled();
+  });
+
+  it('answers 409 for types that cannot be retried and 404 for unknown workflows', async () => {
+    addWorkflow('wf-1', { type: 'something-else', status: 'failed' });
+
+    await expect(WorkflowService.retryWorkflow('wf-1'))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Workflows of type something-else cannot be retried' });
+    await expect(WorkflowService.retryWorkflow('missing')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('refuses to resume past a step that did not succeed', async () => {
+    addWorkflow('ns-1', { status: 'failed' });
+    WorkflowService.workflowSteps.set('ns-1', steps('failed', 'pending'));
+
+    await expect(WorkflowService.retryWorkflow('ns-1', 'step-1'))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Cannot resume from step-1: earlier step step-0 is failed' });
+    await expect(WorkflowService.retryWorkflow('ns-1', 'nope')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('WorkflowService.abortWorkflow', () => {
+  let patch;
+
+  beforeEach(() => {
+    WorkflowService.workflows.clear();
+    WorkflowService.workflowSteps.clear();
+    patch = jest.spyOn(WorkflowService.customApi, 'patchNamespacedCustomObject').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ['stop', 'Stop'],
+    ['terminate', 'Terminate']
+  ])('asks Argo to %s through spec.shutdown and waits for its terminal phase', async (mode, shutdown) => {
+    addWorkflow('cl-1', { type: 'cluster-provisioning', status: 'running', argoWorkflowName: 'provision-dev-aks' });
+
+    const workflow = await WorkflowService.abortWorkflow('cl-1', 'wrong region', mode);
+
+    expect(patch).toHaveBeenCalledWith(
+      'argoproj.io', 'v1alpha1', WorkflowService.argoNamespace, 'workflows', 'provision-dev-aks',
+      { spec: { shutdown } },
+      undefined, undefined, undefined,
+      expect.objectContaining({ headers: { 'Content-Type': 'application/merge-patch+json' } })
+    );
+    expect(workflow).toMatchObject({ status: 'aborting', abortReason: 'wrong region', abortMode: mode, endTime: null });
+  });
+
+  it('marks the workflow aborted when Argo no longer has it, and answers 502 for other Argo errors', async () => {
+    addWorkflow('cl-1', { type: 'cluster-provisioning', status: 'running', argoWorkflowName: 'gone' });
+    patch.mockRejectedValueOnce(Object.assign(new Error('Not Found'), { response: { statusCode: 404 } }));
+
+    expect(await WorkflowService.abortWorkflow('cl-1', 'cleanup')).toMatchObject({ status: 'aborted' });
+
+    addWorkflow('cl-2', { type: 'cluster-provisioning', status: 'running', argoWorkflowName: 'busy' });
+    patch.mockRejectedValueOnce(Object.assign(new Error('etcd timeout'), { response: { statusCode: 500 } }));
+    await expect(WorkflowService.abortWorkflow('cl-2', 'cleanup')).rejects.toMatchObject({
+      statusCode: 502,
+      message: 'Failed to stop Argo Workflow busy: etcd timeout'
+    });
+  });
+
+  it('cancels an in-process execution at its current step through its AbortSignal', async () => {
+    addWorkflow('ns-1', { status: 'running' });
+    const steps = [{ id: 's0', name: 'create-namespace', status: 'pending' }, { id: 's1', name: 'verify', status: 'pending' }];
+    WorkflowService.workflowSteps.set('ns-1', steps);
+    const current = jest.fn(signal => new Promise(resolve => signal.addEventListener('abort', resolve)));
+    const next = jest.fn();
+    const run = WorkflowService.stepEngine.run('ns-1', steps, { 'create-namespace': current, verify: next });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const workflow = await WorkflowService.abortWorkflow('ns-1', 'requested by user');
+
+    await expect(run).rejects.toThrow('Workflow aborted: requested by user');
+    expect(current.mock.calls[0][0].aborted).toBe(true);
+    expect(next).not.toHaveBeenCalled();
+    expect(patch).not.toHaveBeenCalled();
+    expect(workflow).toMatchObject({ status: 'aborted', abortReason: 'requested by user' });
+    expect(workflow.endTime).toBeInstanceOf(Date);
+    expect(WorkflowService.workflowSteps.get('ns-1').map(step => step.status)).toEqual(['aborted', 'pending']);
+  });
+
+  it.each(['succeeded', 'failed', 'aborted'])('answers 409 for a workflow that already %s', async (status) => {
+    addWorkflow('wf-1', { status, argoWorkflowName: 'done' });
+
+    await expect(WorkflowService.abortWorkflow('wf-1', 'too late'))
+      .rejects.toMatchObject({ statusCode: 409, message: `Workflow is already ${status}` });
+    expect(patch).not.toHaveBeenCalled();
+    expect(WorkflowService.workflows.get('wf-1').abortReason).toBeUndefined();
+  });
+});
+
+describe('WorkflowService namespace steps', () => {
+  beforeEach(() => {
+    WorkflowService.workflows.clear();
+    WorkflowService.workflowSteps.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('makes no further Kubernetes calls once the workflow is aborted mid-step', async () => {
+    const namespace = { kind: 'Namespace', metadata: { name: 'team-a' } };
+    addWorkflow('ns-1', {
+      status: 'running',
+      namespaceName: 'team-a',
+      parameters: { namespaceName: 'team-a', manifests: { namespace, limitRange: null, networkPolicy: null } }
+    });
+    WorkflowService.workflowSteps.set('ns-1', [{ id: 's0', name: 'create-namespace', status: 'pending' }]);
+    let applied;
+    const handlerDone = new Promise(resolve => { applied = resolve; });
+    jest.spyOn(NamespaceService, 'applyManifest').mockImplementation(async () => {
+      await WorkflowService.abortWorkflow('ns-1', 'requested by user');
+      setImmediate(applied);
+    });
+    const read = jest.spyOn(NamespaceService, 'readManifestResource').mockResolvedValue(namespace);
+
+    await WorkflowService.executeNamespaceWorkflow('ns-1');
+    await handlerDone;
+
+    expect(read).not.toHaveBeenCalled();
+    expect(WorkflowService.workflows.get('ns-1').status).toBe('aborted');
+    expect(WorkflowService.workflowSteps.get('ns-1')[0].status).toBe('aborted');
+  });
+});
+
+describe('WorkflowService.retryWorkflow for cluster workflows', () => {
+  beforeEach(async () => {
+    WorkflowService.workflows.clear();
+    ClusterService.clusters.clear();
+    await ClusterService.createCluster({ id: 'c1', name: 'dev-aks', status: 'ready', workflowId: 'cl-1', createdAt: minutes(0) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses to provision a ready cluster again', async () => {
+    const submit = jest.spyOn(WorkflowService, 'createArgoWorkflow').mockResolvedValue();
+    addWorkflow('cl-1', { type: 'cluster-provisioning', workflowType: 'kro', clusterId: 'c1', argoWorkflowName: 'provision-dev-aks' });
+
+    await expect(WorkflowService.retryWorkflow('cl-1')).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Cluster dev-aks is ready and cannot be moved to provisioning'
+    });
+    expect(submit).not.toHaveBeenCalled();
+    expect(WorkflowService.workflows.get('cl-1').retryCount).toBeUndefined();
+  });
+
+  it('moves a failed cluster back to provisioning when its workflow is retried', async () => {
+    jest.spyOn(WorkflowService, 'createArgoWorkflow').mockResolvedValue();
+    await ClusterService.transitionCluster('c1', 'deleting', { deletionWorkflowId: 'del-1' });
+    await ClusterService.transitionCluster('c1', 'failed');
+    addWorkflow('cl-1', { type: 'cluster-provisioning', workflowType: 'kro', clusterId: 'c1', status: 'failed', argoWorkflowName: 'provision-dev-aks' });
+
+    await WorkflowService.retryWorkflow('cl-1');
+
+    expect((await ClusterService.getCluster('c1')).status).toBe('provisioning');
+  });
+
+  it('reruns a dry-run deletion preview of a real cluster without touching the cluster', async () => {
+    const submit = jest.spyOn(WorkflowService, 'createArgoClusterDeletionWorkflow').mockResolvedValue();
+    addWorkflow('del-1', {
+      type: 'cluster-deletion',
+      clusterId: 'c1',
+      argoWorkflowName: 'cluster-deletion-dev-aks',
+      parameters: { clusterName: 'dev-aks', dryRun: true }
+    });
+
+    await WorkflowService.retryWorkflow('del-1');
+
+    expect(submit).toHaveBeenCalled();
+    expect((await ClusterService.getCluster('c1')).status).toBe('ready');
+  });
+});
@@ -0,0 +1,87 @@
+const WorkflowTemplateService = require('../../src/services/workflowTemplateService');
+
+const notFound = () => Object.assign(new Error('not found'), { response: { statusCode: 404 } });
+
+const serveTemplate = (spec) => {
+  WorkflowTemplateService.customApi.getNamespacedCustomObject = jest.fn(async () => ({
+    body: { kind: 'WorkflowTemplate', metadata: { name: 'test' }, spec }
+  }));
+};
+
+describe('WorkflowTemplateService.getStepNames', () => {
+  it('expands a DAG in dependency order, keeping declaration order among independent tasks', async () => {
+    serveTemplate({
+      entrypoint: 'main',
+      templates: [
+        {
+          name: 'main',
+          dag: {
+            tasks: [
+              { name: 'report', template: 'report', depends: '(deploy.Succeeded || deploy.Failed) && notify' },
+              { name: 'deploy', template: 'deploy', dependencies: ['validate'] },
+              { name: 'validate', template: 'validate' },
+              { name: 'notify', template: 'notify', dependencies: ['validate'] }
+            ]
+          }
+        },
+        { name: 'validate', container: {} },
+        { name: 'deploy', container: {} },
+        { name: 'notify', container: {} },
+        { name: 'report', container: {} }
+      ]
+    });
+
+    expect(await WorkflowTemplateService.getStepNames('test')).toEqual(['validate', 'deploy', 'notify', 'report']);
+  });
+
+  it('flattens nested steps, follows templateRefs and appends the onExit handler', async () => {
+    serveTemplate({
+      entrypoint: 'main',
+      onExit: 'cleanup',
+      templates: [
+        {
+          name: 'main',
+          steps: [
+            [{ name: 'prepare', template: 'prepare' }],
+            [{ name: 'parallel-a', template: 'group' }, { name: 'shared', templateRef: { name: 'other', template: 'shared-step' } }]
+          ]
+        },
+        { name: 'group', steps: [[{ name: 'inner', template: 'inner' }], [{ name: 'again', template: 'prepare' }]] },
+        { name: 'prepare', script: {} },
+        { name: 'inner', container: {} },
+        { name: 'cleanup', container: {} }
+      ]
+    });
+
+    expect(await WorkflowTemplateService.getStepNames('test'))
+      .toEqual(['prepare', 'inner', 'shared-step', 'cleanup']);
+  });
+
+  it('stops at templates that reference themselves', async () => {
+    serveTemplate({
+      entrypoint: 'loop',
+      templates: [
+        { name: 'loop', steps: [[{ name: 'work', template: 'work' }], [{ name: 'again', template: 'loop' }]] },
+        { name: 'work', container: {} }
+      ]
+    });
+
+    expect(await WorkflowTemplateService.getStepNames('test')).toEqual(['work']);
+  });
+
+  it('falls back to the bundled YAML when the cluster has no copy', async () => {
+    WorkflowTemplateService.customApi.getNamespacedCustomObject = jest.fn(async () => {
+      throw notFound();
+    });
+
+    expect(await WorkflowTemplateService.getStepNames('aks-cluster-deletion')).toEqual([
+      'validate-cluster-deletion',
+      'backup-configuration',
+      'drain-cluster-workloads',
+      'delete-aso-manifests',
+      'delete-kro-cluster',
+      'cleanup-remaining-resources'
+    ]);
+    expect(await WorkflowTemplateService.getStepNames('unknown-template')).toEqual([]);
+  });
+});
@@ -0,0 +1,3 @@
+// Services are singletons that open the store when first required; keep tests off disk and quiet
+process.env.STORAGE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'error';
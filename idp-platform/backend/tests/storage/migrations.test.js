@@ -0,0 +1,27 @@
+const MemoryStore = require('../../src/storage/memoryStore');
+const { migrations, runMigrations } = require('../../src/storage/migrations');
+
+describe('runMigrations', () => {
+  it('applies every migration once and records the version', async () => {
+    const store = new MemoryStore();
+
+    expect(await runMigrations(store)).toBe(migrations.length);
+    expect(await store.getSchemaVersion()).toBe(migrations[migrations.length - 1].version);
+    expect(await runMigrations(store)).toBe(0);
+  });
+
+  it('moves per-workflow log records into the workflowLogs append log', async () => {
+    const store = new MemoryStore();
+    await store.setSchemaVersion(4);
+    await store.put('workflowLogs', 'wf-1', [
+      { timestamp: '2026-01-01T10:00:00.000Z', level: 'info', message: 'started' },
+      { timestamp: '2026-01-01T10:00:01.000Z', level: 'error', message: 'failed' }
+    ]);
+
+    await runMigrations(store);
+
+    expect(await store.loadCollection('workflowLogs')).toEqual([]);
+    expect((await store.readLog('workflowLogs')).map(log => [log.workflowId, log.message]))
+      .toEqual([['wf-1', 'started'], ['wf-1', 'failed']]);
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../../src/storage/fileStore');
+const MemoryStore = require('../../src/storage/memoryStore');
+const Repository = require('../../src/storage/repository');
+const AppendLog = require('../../src/storage/appendLog');
+
+describe('Repository', () => {
+  let rootDir;
+
+  beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'idp-storage-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  const reopen = async (collection) => {
+    const repository = new Repository(new FileStore(rootDir), collection);
+    return repository.load();
+  };
+
+  it('reloads what was set, with dates revived', async () => {
+    const workflows = new Repository(new FileStore(rootDir), 'workflows');
+    const startTime = new Date('2026-01-01T10:00:00.000Z');
+    workflows.set('wf/1', { id: 'wf/1', status: 'running', startTime });
+    workflows.set('wf-2', { id: 'wf-2', status: 'pending', startTime: null });
+    await workflows.flush();
+
+    const reloaded = await reopen('workflows');
+
+    expect(reloaded.size).toBe(2);
+    expect(reloaded.get('wf/1')).toEqual({ id: 'wf/1', status: 'running', startTime });
+    expect(reloaded.get('wf/1').startTime).toBeInstanceOf(Date);
+    expect(reloaded.get('wf-2').startTime).toBeNull();
+  });
+
+  it('persists deletes and clears', async () => {
+    const clusters = new Repository(new FileStore(rootDir), 'clusters');
+    clusters.set('a', { id: 'a' });
+    clusters.set('b', { id: 'b' });
+    clusters.set('c', { id: 'c' });
+    clusters.delete('a');
+    await clusters.flush();
+    expect(Array.from((await reopen('clusters')).keys()).sort()).toEqual(['b', 'c']);
+
+    clusters.clear();
+    await clusters.flush();
+    expect((await reopen('clusters')).size).toBe(0);
+  });
+
+  it('only persists in-place changes once the record is saved', async () => {
+    const store = new MemoryStore();
+    const steps = new Repository(store, 'workflowSteps');
+    steps.set('wf-1', [{ name: 'validate', status: 'pending' }]);
+    await steps.flush();
+
+    steps.get('wf-1')[0].status = 'running';
+    expect((await new Repository(store, 'workflowSteps').load()).get('wf-1')[0].status).toBe('pending');
+
+    steps.save('wf-1');
+    steps.save('unknown');
+    await steps.flush();
+    const reloaded = await new Repository(store, 'workflowSteps').load();
+    expect(reloaded.get('wf-1')[0].status).toBe('running');
+    expect(reloaded.has('unknown')).toBe(false);
+  });
+});
+
+describe('AppendLog', () => {
+  let rootDir;
+
+  beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'idp-storage-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  it('reloads appended entries in order and keeps nanosecond timestamps as strings', async () => {
+    const log = new AppendLog(new FileStore(rootDir), 'stepLogs');
+    log.append({ workflowId: 'wf-1', rawTimestamp: '2026-01-01T10:00:00.123456789Z', message: 'one' });
+    log.append({ workflowId: 'wf-1', rawTimestamp: '2026-01-01T10:00:01.000000000Z', message: 'two' });
+    await log.flush();
+
+    const reloaded = await new AppendLog(new FileStore(rootDir), 'stepLogs').load();
+
+    expect(reloaded.entries.map(entry => entry.message)).toEqual(['one', 'two']);
+    expect(reloaded.entries[0].rawTimestamp).toBe('2026-01-01T10:00:00.123456789Z');
+  });
+
+  it('rewrites the stored log when compacted', async () => {
+    const log = new AppendLog(new FileStore(rootDir), 'stepLogs');
+    ['wf-1', 'wf-2', 'wf-1'].forEach((workflowId, index) => log.append({ workflowId, index }));
+
+    expect(log.compact(entry => entry.workflowId !== 'wf-1')).toBe(2);
+    log.append({ workflowId: 'wf-3', index: 3 });
+    await log.flush();
+
+    const reloaded = await new AppendLog(new FileStore(rootDir), 'stepLogs').load();
+    expect(reloaded.entries).toEqual([{ workflowId: 'wf-2', index: 1 }, { workflowId: 'wf-3', index: 3 }]);
+  });
+});
@@ -111,10 +111,10 @@ describe('Smoke Tests - Basic Application Functionality', { tags: ['@smoke'] },
   it('should check API connectivity', () => {
     const apiUrl = Cypress.env('apiUrl')
     
-    // Test backend health endpoint
-    cy.request(`${apiUrl}/health`).then((response) => {
+    // Test backend liveness endpoint (/health also reports Kubernetes dependencies)
+    cy.request(`${apiUrl}/health/live`).then((response) => {
       expect(response.status).to.eq(200)
-      expect(response.body).to.have.property('status', 'healthy')
+      expect(response.body).to.have.property('status', 'alive')
     })
     
     // Test clusters endpoint
@@ -52,8 +52,13 @@ describe('IDP Pod Health Validation', { tags: ['@idp-health', '@pods'] }, () =>
       }).then((response) => {
         expect(response.status).to.eq(200)
         expect(response.body).to.have.property('status')
-        expect(response.body.status).to.match(/healthy|ok/i)
+        // In AKS the Kubernetes API and store must be up; missing CRDs or templates only degrade
+        expect(response.body.status).to.be.oneOf(['healthy', 'degraded'])
         expect(response.body).to.have.property('timestamp')
+        expect(response.body.checks).to.be.an('array')
+        response.body.checks
+          .filter(check => check.required)
+          .forEach(check => expect(check.status, check.name).to.eq('ok'))
         
         // Log response for debugging
         cy.log('Backend health response:', JSON.stringify(response.body))
@@ -5,7 +5,9 @@ import ClusterOnboarding from './pages/ClusterOnboarding';
 import WorkflowDashboard from './pages/WorkflowDashboard';
 import ClusterManagement from './pages/ClusterManagement';
 import NamespaceOnboarding from './pages/NamespaceOnboarding';
+import AuditLog from './pages/AuditLog';
 import Navigation from './components/Navigation';
+import AccessTokenButton from './components/AccessTokenButton';
 
 function App() {
   return (
@@ -15,6 +17,7 @@ function App() {
           <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
             AKS Internal Developer Platform
           </Typography>
+          <AccessTokenButton />
         </Toolbar>
       </AppBar>
       
@@ -27,6 +30,7 @@ function App() {
           <Route path="/namespaces" element={<NamespaceOnboarding />} />
           <Route path="/dashboard" element={<WorkflowDashboard />} />
           <Route path="/management" element={<ClusterManagement />} />
+          <Route path="/audit" element={<AuditLog />} />
         </Routes>
       </Container>
     </Box>
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Typography
+} from '@mui/material';
+import { AccountCircle } from '@mui/icons-material';
+import { getAccessToken, setAccessToken, getTokenClaims } from '../services/auth';
+
+const AccessTokenButton = () => {
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [token, setToken] = useState(getAccessToken() || '');
+  const claims = getTokenClaims();
+  const roles = claims?.roles || [];
+
+  const handleSave = () => {
+    setAccessToken(token.trim());
+    // Reload so every slice and the WebSocket pick up the new identity
+    window.location.reload();
+  };
+
+  const handleSignOut = () => {
+    setAccessToken(null);
+    window.location.reload();
+  };
+
+  return (
+    <>
+      {claims ? (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Typography variant="body2" data-testid="current-user">
+            {claims.name || claims.preferred_username || claims.sub}
+          </Typography>
+          {roles.map(role => (
+            <Chip key={role} label={role} size="small" color="secondary" />
+          ))}
+          <Button color="inherit" onClick={() => setDialogOpen(true)}>
+            Change Token
+          </Button>
+        </Box>
+      ) : (
+        <Button
+          color="inherit"
+          startIcon={<AccountCircle />}
+          onClick={() => setDialogOpen(true)}
+          data-testid="sign-in-button"
+        >
+          Sign In
+        </Button>
+      )}
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Access Token</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Paste the bearer token issued by your identity provider. It is stored in this browser only.
+          </Typography>
+          <TextField
+            autoFocus
+            margin="dense"
+            label="Bearer token"
+            fullWidth
+            multiline
+            minRows={4}
+            value={token}
+            onChange={(e) => setToken(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          {claims && (
+            <Button onClick={handleSignOut} color="error">
+              Sign Out
+            </Button>
+          )}
+          <Button onClick={() => setDialogOpen(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} variant="contained" disabled={!token.trim()}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default AccessTokenButton;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Button,
+  FormControlLabel,
+  Paper,
+  Switch,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography
+} from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+
+const LOG_LEVELS = ['info', 'warning', 'error'];
+const SEARCH_DEBOUNCE_MS = 300;
+
+const LEVEL_COLORS = {
+  error: 'error.main',
+  warning: 'warning.main'
+};
+
+const formatTimestamp = (timestamp, utc) => {
+  const date = new Date(timestamp);
+  return utc ? date.toISOString() : date.toLocaleString();
+};
+
+// Same matching as the backend's level/since/text query parameters, so lines that
+// arrive over the WebSocket respect the active filters too
+const matchesFilters = (log, { levels, since, text }) => {
+  if (!levels.includes(log.level)) {
+    return false;
+  }
+  if (since && new Date(log.timestamp) < new Date(since)) {
+    return false;
+  }
+  return !text || log.message.toLowerCase().includes(text.toLowerCase());
+};
+
+const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Filterable log list. onQueryChange({ level, since, text }) lets the parent refetch
+// the logs server-side whenever the (debounced) filters change.
+const LogViewer = ({ logs, fileName = 'logs', onQueryChange, maxHeight = 400 }) => {
+  const [levels, setLevels] = useState(LOG_LEVELS);
+  const [since, setSince] = useState('');
+  const [search, setSearch] = useState('');
+  const [text, setText] = useState('');
+  const [utc, setUtc] = useState(false);
+  const [autoScroll, setAutoScroll] = useState(true);
+  const scrollRef = useRef(null);
+  const queryChangeRef = useRef(onQueryChange);
+  queryChangeRef.current = onQueryChange;
+  // The parent loads the unfiltered logs itself; only report actual filter changes
+  const lastQuery = useRef(JSON.stringify({ level: LOG_LEVELS.join(','), since: '', text: '' }));
+
+  useEffect(() => {
+    const timer = setTimeout(() => setText(search.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const sinceIso = since ? new Date(since).toISOString() : '';
+  const levelQuery = levels.join(',');
+
+  useEffect(() => {
+    const query = JSON.stringify({ level: levelQuery, since: sinceIso, text });
+    if (query === lastQuery.current) {
+      return;
+    }
+    lastQuery.current = query;
+    if (queryChangeRef.current) {
+      queryChangeRef.current({
+        level: levelQuery || undefined,
+        since: sinceIso || undefined,
+        text: text || undefined
+      });
+    }
+  }, [levelQuery, sinceIso, text]);
+
+  const filteredLogs = logs.filter(log => matchesFilters(log, { levels, since: sinceIso, text }));
+
+  useEffect(() => {
+    if (autoScroll && scrollRef.current) {
+      scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+    }
+  }, [autoScroll, filteredLogs.length]);
+
+  const handleDownloadLog = () => {
+    const content = filteredLogs
+      .map(log => `${new Date(log.timestamp).toISOString()} [${log.level.toUpperCase()}] ${log.message}`)
+      .join('\n');
+    downloadFile(`${content}\n`, `${fileName}.log`, 'text/plain');
+  };
+
+  const handleDownloadJson = () => {
+    downloadFile(JSON.stringify(filteredLogs, null, 2), `${fileName}.json`, 'application/json');
+  };
+
+  return (
+    <Box data-testid="log-viewer">
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mb: 1 }}>
+        <ToggleButtonGroup
+          size="small"
+          value={levels}
+          onChange={(event, value) => setLevels(value)}
+          aria-label="log levels"
+        >
+          {LOG_LEVELS.map(level => (
+            <ToggleButton key={level} value={level} data-testid={`log-level-${level}`}>
+              {level}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        <TextField
+          size="small"
+          placeholder="Search logs"
+          value={search}
+          onChange={(event) => setSearch(event.target.value)}
+          data-testid="log-search"
+        />
+        <TextField
+          label="Since"
+          type="datetime-local"
+          size="small"
+          value={since}
+          onChange={(event) => setSince(event.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mb: 1 }}>
+        <FormControlLabel
+          control={<Switch size="small" checked={utc} onChange={(event) => setUtc(event.target.checked)} />}
+          label="UTC"
+        />
+        <FormControlLabel
+          control={<Switch size="small" checked={autoScroll} onChange={(event) => setAutoScroll(event.target.checked)} />}
+          label="Auto-scroll"
+        />
+        <Box sx={{ flexGrow: 1 }} />
+        <Button size="small" startIcon={<DownloadIcon />} onClick={handleDownloadLog} disabled={filteredLogs.length === 0}>
+          .log
+        </Button>
+        <Button size="small" startIcon={<DownloadIcon />} onClick={handleDownloadJson} disabled={filteredLogs.length === 0}>
+          .json
+        </Button>
+      </Box>
+
+      <Paper
+        ref={scrollRef}
+        variant="outlined"
+        sx={{
+          p: 2,
+          maxHeight,
+          overflow: 'auto',
+          backgroundColor: '#f5f5f5',
+          fontFamily: 'monospace'
+        }}
+      >
+        {filteredLogs.length === 0 ? (
+          <Typography color="text.secondary">
+            No log lines match the current filters
+          </Typography>
+        ) : (
+          filteredLogs.map((log, index) => (
+            <Box key={index} sx={{ mb: 1 }}>
+              <Typography
+                variant="caption"
+                color={log.level === 'error' ? 'error' : 'text.secondary'}
+              >
+                [{formatTimestamp(log.timestamp, utc)}] [{log.level.toUpperCase()}]
+              </Typography>
+              <Typography
+                variant="body2"
+                sx={{
+                  fontFamily: 'monospace',
+                  whiteSpace: 'pre-wrap',
+                  color: LEVEL_COLORS[log.level] || 'text.primary'
+                }}
+              >
+                {log.message}
+              </Typography>
+            </Box>
+          ))
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default LogViewer;
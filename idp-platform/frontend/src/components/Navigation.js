@@ -10,7 +10,8 @@ import {
   CloudUpload, 
   Dashboard, 
   Storage,
-  AccountTree
+  AccountTree,
+  History
 } from '@mui/icons-material';
 
 const Navigation = () => {
@@ -28,6 +29,8 @@ const Navigation = () => {
         return 2;
       case '/management':
         return 3;
+      case '/audit':
+        return 4;
       default:
         return 0;
     }
@@ -47,6 +50,9 @@ const Navigation = () => {
       case 3:
         navigate('/management');
         break;
+      case 4:
+        navigate('/audit');
+        break;
       default:
         navigate('/onboarding');
     }
@@ -90,6 +96,13 @@ const Navigation = () => {
             aria-controls="tabpanel-3"
             data-testid="nav-management"
           />
+          <Tab
+            icon={<History />}
+            label="Audit Log"
+            id="tab-4"
+            aria-controls="tabpanel-4"
+            data-testid="nav-audit"
+          />
         </Tabs>
       </Box>
     </Paper>
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Chip,
+  Collapse,
+  IconButton,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  ExpandMore as ExpandMoreIcon,
+  ChevronRight as ChevronRightIcon,
+  Code as CodeIcon
+} from '@mui/icons-material';
+
+const INDENT = 3;
+
+// Ready condition → chip colour; a False condition is only an error when ASO says so
+const readyColor = (ready) => {
+  if (!ready) {
+    return 'default';
+  }
+  if (ready.status === 'True') {
+    return 'success';
+  }
+  if (ready.status === 'False') {
+    return ready.severity === 'Error' || !ready.severity ? 'error' : 'warning';
+  }
+  return 'info';
+};
+
+const readyLabel = (ready) => {
+  if (!ready) {
+    return 'No Ready condition';
+  }
+  return ready.status === 'True' ? 'Ready' : ready.reason || `Ready=${ready.status}`;
+};
+
+const nodeKey = (node) => `${node.kind}/${node.namespace || ''}/${node.name}`;
+
+const ResourceNode = ({ node, depth }) => {
+  const [expanded, setExpanded] = useState(true);
+  const [showYaml, setShowYaml] = useState(false);
+  const hasChildren = node.children.length > 0;
+
+  return (
+    <Box data-testid="resource-tree-node">
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, pl: depth * INDENT, py: 0.5 }}>
+        <IconButton
+          size="small"
+          onClick={() => setExpanded(!expanded)}
+          sx={{ visibility: hasChildren ? 'visible' : 'hidden' }}
+        >
+          {expanded ? <ExpandMoreIcon fontSize="small" /> : <ChevronRightIcon fontSize="small" />}
+        </IconButton>
+        <Chip label={node.kind} size="small" variant="outlined" />
+        <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+          {node.namespace ? `${node.namespace}/${node.name}` : node.name}
+        </Typography>
+        <Tooltip title={node.ready?.message || ''}>
+          <Chip label={readyLabel(node.ready)} color={readyColor(node.ready)} size="small" />
+        </Tooltip>
+        <IconButton
+          size="small"
+          onClick={() => setShowYaml(!showYaml)}
+          title={showYaml ? 'Hide YAML' : 'Show YAML'}
+          color={showYaml ? 'primary' : 'default'}
+        >
+          <CodeIcon fontSize="small" />
+        </IconButton>
+      </Box>
+      <Collapse in={showYaml} unmountOnExit>
+        <Box
+          component="pre"
+          sx={{
+            ml: depth * INDENT + 5,
+            p: 1.5,
+            maxHeight: 300,
+            overflow: 'auto',
+            bgcolor: 'grey.100',
+            borderRadius: 1,
+            fontSize: 12
+          }}
+        >
+          {node.yaml}
+        </Box>
+      </Collapse>
+      {hasChildren && (
+        <Collapse in={expanded}>
+          {node.children.map(child => (
+            <ResourceNode key={nodeKey(child)} node={child} depth={depth + 1} />
+          ))}
+        </Collapse>
+      )}
+    </Box>
+  );
+};
+
+// KRO instance → ASO resources (nested by ownership) → Karpenter objects, as served by
+// GET /api/clusters/:id/resources
+const ResourceTree = ({ resources }) => {
+  if (!resources || resources.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No KRO, ASO or Karpenter resources found for this cluster.
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      {resources.map(node => (
+        <ResourceNode key={nodeKey(node)} node={node} depth={0} />
+      ))}
+    </Box>
+  );
+};
+
+export default ResourceTree;
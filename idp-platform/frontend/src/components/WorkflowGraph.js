@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Chip,
+  IconButton,
+  Paper,
+  Typography
+} from '@mui/material';
+import {
+  ZoomIn as ZoomInIcon,
+  ZoomOut as ZoomOutIcon
+} from '@mui/icons-material';
+
+const NODE_WIDTH = 170;
+const NODE_HEIGHT = 48;
+const COLUMN_GAP = 60;
+const ROW_GAP = 16;
+const PADDING = 16;
+const MIN_SCALE = 0.4;
+const MAX_SCALE = 1.6;
+
+const STATUS_COLORS = {
+  succeeded: '#2e7d32',
+  failed: '#d32f2f',
+  running: '#1976d2',
+  skipped: '#9e9e9e',
+  aborted: '#ed6c02',
+  pending: '#bdbdbd'
+};
+
+// Argo nodes that only group others (step groups, retries, the Steps/DAG root)
+const GROUP_TYPES = ['Steps', 'StepGroup', 'DAG', 'TaskGroup', 'Retry'];
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) {
+    return '—';
+  }
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  if (seconds < 3600) {
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  }
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+};
+
+// Layered left-to-right layout: a node's column is its longest distance from a root
+const layoutGraph = (nodes, edges) => {
+  const incoming = new Map(nodes.map(node => [node.id, 0]));
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  edges.forEach(edge => {
+    if (incoming.has(edge.to) && outgoing.has(edge.from)) {
+      incoming.set(edge.to, incoming.get(edge.to) + 1);
+      outgoing.get(edge.from).push(edge.to);
+    }
+  });
+
+  // Kahn's algorithm; anything left over (a cycle) stays in column 0
+  const depth = new Map(nodes.map(node => [node.id, 0]));
+  const remaining = new Map(incoming);
+  const queue = nodes.filter(node => remaining.get(node.id) === 0).map(node => node.id);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    outgoing.get(id).forEach(childId => {
+      depth.set(childId, Math.max(depth.get(childId), depth.get(id) + 1));
+      remaining.set(childId, remaining.get(childId) - 1);
+      if (remaining.get(childId) === 0) {
+        queue.push(childId);
+      }
+    });
+  }
+
+  const rows = new Map();
+  const positions = new Map();
+  nodes.forEach(node => {
+    const column = depth.get(node.id);
+    const row = rows.get(column) || 0;
+    rows.set(column, row + 1);
+    positions.set(node.id, {
+      x: PADDING + column * (NODE_WIDTH + COLUMN_GAP),
+      y: PADDING + row * (NODE_HEIGHT + ROW_GAP)
+    });
+  });
+
+  const columns = Math.max(0, ...depth.values()) + 1;
+  const maxRows = Math.max(1, ...rows.values());
+  return {
+    positions,
+    width: PADDING * 2 + columns * NODE_WIDTH + (columns - 1) * COLUMN_GAP,
+    height: PADDING * 2 + maxRows * NODE_HEIGHT + (maxRows - 1) * ROW_GAP
+  };
+};
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const WorkflowGraph = ({ graph }) => {
+  const [scale, setScale] = useState(1);
+  const [selectedId, setSelectedId] = useState(null);
+
+  if (!graph || graph.nodes.length === 0) {
+    return (
+      <Typography color="text.secondary">
+        No graph available for this workflow
+      </Typography>
+    );
+  }
+
+  const { positions, width, height } = layoutGraph(graph.nodes, graph.edges);
+  const selected = graph.nodes.find(node => node.id === selectedId);
+
+  return (
+    <Box data-testid="workflow-graph">
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Chip
+          label={graph.source === 'argo' ? 'Argo node graph' : 'Step sequence'}
+          size="small"
+          variant="outlined"
+        />
+        <Box sx={{ flexGrow: 1 }} />
+        <IconButton size="small" onClick={() => setScale(Math.max(MIN_SCALE, scale - 0.2))} title="Zoom Out">
+          <ZoomOutIcon />
+        </IconButton>
+        <IconButton size="small" onClick={() => setScale(Math.min(MAX_SCALE, scale + 0.2))} title="Zoom In">
+          <ZoomInIcon />
+        </IconButton>
+      </Box>
+
+      <Paper variant="outlined" sx={{ overflow: 'auto', maxHeight: 500, backgroundColor: '#fafafa' }}>
+        <svg width={width * scale} height={height * scale} viewBox={`0 0 ${width} ${height}`}>
+          <defs>
+            <marker id="graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill="#9e9e9e" />
+            </marker>
+          </defs>
+
+          {graph.edges.map(edge => {
+            const from = positions.get(edge.from);
+            const to = positions.get(edge.to);
+            if (!from || !to) {
+              return null;
+            }
+            const x1 = from.x + NODE_WIDTH;
+            const y1 = from.y + NODE_HEIGHT / 2;
+            const x2 = to.x;
+            const y2 = to.y + NODE_HEIGHT / 2;
+            const bend = (x2 - x1) / 2;
+            return (
+              <path
+                key={`${edge.from}-${edge.to}`}
+                d={`M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`}
+                fill="none"
+                stroke="#9e9e9e"
+                markerEnd="url(#graph-arrow)"
+              />
+            );
+          })}
+
+          {graph.nodes.map(node => {
+            const { x, y } = positions.get(node.id);
+            const color = STATUS_COLORS[node.status] || STATUS_COLORS.pending;
+            const isGroup = GROUP_TYPES.includes(node.type);
+            return (
+              <g
+                key={node.id}
+                transform={`translate(${x}, ${y})`}
+                onClick={() => setSelectedId(node.id === selectedId ? null : node.id)}
+                style={{ cursor: 'pointer' }}
+                data-testid="workflow-graph-node"
+              >
+                <title>{node.message || `${node.name}: ${node.status}`}</title>
+                <rect
+                  width={NODE_WIDTH}
+                  height={NODE_HEIGHT}
+                  rx={6}
+                  fill="#ffffff"
+                  stroke={color}
+                  strokeWidth={node.id === selectedId ? 3 : 1.5}
+                  strokeDasharray={isGroup ? '4 3' : undefined}
+                />
+                <rect width={6} height={NODE_HEIGHT} rx={3} fill={color} />
+                <text x={14} y={20} fontSize={12} fontWeight={600} fill="#212121">
+                  {truncate(node.onExit ? `onExit: ${node.templateName || node.name}` : node.name, 22)}
+                </text>
+                <text x={14} y={37} fontSize={11} fill="#616161">
+                  {`${node.type} · ${node.status} · ${formatDuration(node.duration)}`}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </Paper>
+
+      {selected && (
+        <Paper variant="outlined" sx={{ p: 2, mt: 1 }} data-testid="workflow-graph-node-details">
+          <Typography variant="subtitle2" gutterBottom>
+            {selected.name}
+          </Typography>
+          <Typography variant="body2">
+            <strong>Type:</strong> {selected.type}
+            {selected.templateName && ` · Template: ${selected.templateName}`}
+          </Typography>
+          <Typography variant="body2">
+            <strong>Status:</strong> {selected.status}
+            {selected.phase && ` (${selected.phase})`}
+          </Typography>
+          <Typography variant="body2">
+            <strong>Started:</strong> {selected.startTime ? new Date(selected.startTime).toLocaleString() : '—'}
+            {' · '}
+            <strong>Duration:</strong> {formatDuration(selected.duration)}
+          </Typography>
+          {selected.message && (
+            <Typography variant="body2" color={selected.status === 'failed' ? 'error' : 'text.primary'}>
+              <strong>Message:</strong> {selected.message}
+            </Typography>
+          )}
+        </Paper>
+      )}
+    </Box>
+  );
+};
+
+export default WorkflowGraph;
@@ -0,0 +1,205 @@
+import React from 'react';
+import {
+  Box,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography
+} from '@mui/material';
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) {
+    return '—';
+  }
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  if (seconds < 3600) {
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  }
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+};
+
+const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${Math.round(rate * 100)}%`);
+
+// Horizontal bars: p50 solid with the p95 tail lighter behind it
+const DurationChart = ({ rows, label }) => {
+  const max = Math.max(1, ...rows.map(row => row.duration.p95 || 0));
+  return (
+    <Box>
+      {rows.map(row => (
+        <Box key={label(row)} sx={{ mb: 1.5 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+            <Typography variant="body2">{label(row)}</Typography>
+            <Typography variant="caption" color="text.secondary">
+              p50 {formatDuration(row.duration.p50)} · p95 {formatDuration(row.duration.p95)} · {row.duration.count} runs
+            </Typography>
+          </Box>
+          <Tooltip title={`p95 ${formatDuration(row.duration.p95)}`}>
+            <Box sx={{ position: 'relative', height: 10, backgroundColor: 'grey.200', borderRadius: 1 }}>
+              <Box sx={{
+                position: 'absolute',
+                height: '100%',
+                width: `${((row.duration.p95 || 0) / max) * 100}%`,
+                backgroundColor: 'primary.light',
+                borderRadius: 1
+              }} />
+              <Box sx={{
+                position: 'absolute',
+                height: '100%',
+                width: `${((row.duration.p50 || 0) / max) * 100}%`,
+                backgroundColor: 'primary.main',
+                borderRadius: 1
+              }} />
+            </Box>
+          </Tooltip>
+        </Box>
+      ))}
+    </Box>
+  );
+};
+
+const FailureRateChart = ({ rows, label }) => (
+  <Box>
+    {rows.map(row => (
+      <Box key={label(row)} sx={{ mb: 1.5 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+          <Typography variant="body2">{label(row)}</Typography>
+          <Typography variant="caption" color="text.secondary">
+            {formatRate(row.failureRate)} · {row.failed} of {row.succeeded + row.failed} failed
+          </Typography>
+        </Box>
+        <Box sx={{ height: 10, backgroundColor: 'grey.200', borderRadius: 1 }}>
+          <Box sx={{
+            height: '100%',
+            width: `${(row.failureRate || 0) * 100}%`,
+            backgroundColor: 'error.main',
+            borderRadius: 1
+          }} />
+        </Box>
+      </Box>
+    ))}
+  </Box>
+);
+
+// Charts for GET /api/workflows/stats
+const WorkflowStats = ({ stats }) => {
+  if (!stats) {
+    return null;
+  }
+  if (stats.runs === 0) {
+    return (
+      <Typography color="text.secondary">
+        No finished workflows to analyse yet
+      </Typography>
+    );
+  }
+
+  const failingSteps = [...stats.steps]
+    .filter(step => step.failed > 0)
+    .sort((a, b) => (b.failureRate || 0) - (a.failureRate || 0))
+    .slice(0, 10);
+
+  return (
+    <Grid container spacing={3} data-testid="workflow-stats">
+      <Grid item xs={12} md={6}>
+        <Typography variant="subtitle1" gutterBottom>
+          Duration by workflow type
+        </Typography>
+        <DurationChart rows={stats.workflowTypes} label={row => row.type} />
+      </Grid>
+      <Grid item xs={12} md={6}>
+        <Typography variant="subtitle1" gutterBottom>
+          Failure rate by workflow type
+        </Typography>
+        <FailureRateChart rows={stats.workflowTypes} label={row => row.type} />
+      </Grid>
+
+      {stats.clusterProvisioning.length > 0 && (
+        <Grid item xs={12} md={6}>
+          <Typography variant="subtitle1" gutterBottom>
+            Cluster provisioning by region and node pool type
+          </Typography>
+          <DurationChart
+            rows={stats.clusterProvisioning}
+            label={row => `${row.location} / ${row.nodePoolType}`}
+          />
+        </Grid>
+      )}
+      <Grid item xs={12} md={6}>
+        <Typography variant="subtitle1" gutterBottom>
+          Most failing steps
+        </Typography>
+        {failingSteps.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No step failures recorded
+          </Typography>
+        ) : (
+          <FailureRateChart rows={failingSteps} label={row => `${row.type} / ${row.step}`} />
+        )}
+      </Grid>
+
+      <Grid item xs={12} md={6}>
+        <Typography variant="subtitle1" gutterBottom>
+          Step durations
+        </Typography>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Step</TableCell>
+              <TableCell align="right">p50</TableCell>
+              <TableCell align="right">p95</TableCell>
+              <TableCell align="right">Failure rate</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {stats.steps.map(step => (
+              <TableRow key={`${step.type}/${step.step}`}>
+                <TableCell>{step.type} / {step.step}</TableCell>
+                <TableCell align="right">{formatDuration(step.duration.p50)}</TableCell>
+                <TableCell align="right">{formatDuration(step.duration.p95)}</TableCell>
+                <TableCell align="right">{formatRate(step.failureRate)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Grid>
+      <Grid item xs={12} md={6}>
+        <Typography variant="subtitle1" gutterBottom>
+          Top errors
+        </Typography>
+        {stats.topErrors.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No errors recorded
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Error</TableCell>
+                <TableCell>Where</TableCell>
+                <TableCell align="right">Count</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {stats.topErrors.map(error => (
+                <TableRow key={`${error.type}/${error.step}/${error.message}`}>
+                  <TableCell sx={{ wordBreak: 'break-word' }}>{error.message}</TableCell>
+                  <TableCell>{error.step ? `${error.type} / ${error.step}` : error.type}</TableCell>
+                  <TableCell align="right">{error.count}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </Grid>
+    </Grid>
+  );
+};
+
+export default WorkflowStats;
@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box,
+  Card,
+  CardContent,
+  CardHeader,
+  Typography,
+  Button,
+  IconButton,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Alert,
+  TextField,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import {
+  Visibility as VisibilityIcon,
+  Refresh as RefreshIcon
+} from '@mui/icons-material';
+import { DataGrid } from '@mui/x-data-grid';
+import { fetchAuditEntries } from '../store/auditSlice';
+
+const EMPTY_FILTERS = { actor: '', target: '', from: '', to: '' };
+
+// datetime-local inputs have no timezone; send them as ISO instants
+const toIsoString = (value) => (value ? new Date(value).toISOString() : '');
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) {
+    return '—';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const AuditLog = () => {
+  const dispatch = useDispatch();
+  const { entries, total, loading, error } = useSelector(state => state.audit);
+
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [selectedEntry, setSelectedEntry] = useState(null);
+
+  const loadEntries = (currentFilters) => {
+    dispatch(fetchAuditEntries({
+      actor: currentFilters.actor.trim(),
+      target: currentFilters.target.trim(),
+      from: toIsoString(currentFilters.from),
+      to: toIsoString(currentFilters.to)
+    }));
+  };
+
+  useEffect(() => {
+    dispatch(fetchAuditEntries());
+  }, [dispatch]);
+
+  const handleFilterChange = (field) => (event) => {
+    setFilters({ ...filters, [field]: event.target.value });
+  };
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    loadEntries(EMPTY_FILTERS);
+  };
+
+  const columns = [
+    {
+      field: 'timestamp',
+      headerName: 'Time',
+      width: 180,
+      renderCell: (params) => (
+        <Typography variant="body2">
+          {new Date(params.value).toLocaleString()}
+        </Typography>
+      )
+    },
+    {
+      field: 'actor',
+      headerName: 'Actor',
+      width: 180,
+      valueGetter: (params) => params.row.actor?.name || params.row.actor?.id
+    },
+    {
+      field: 'action',
+      headerName: 'Action',
+      width: 160
+    },
+    {
+      field: 'target',
+      headerName: 'Target',
+      width: 260,
+      sortable: false,
+      renderCell: (params) => (
+        <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+          {Object.entries(params.value || {}).map(([key, value]) => (
+            <Chip key={key} label={`${key}: ${value}`} size="small" variant="outlined" />
+          ))}
+        </Box>
+      )
+    },
+    {
+      field: 'outcome',
+      headerName: 'Outcome',
+      width: 120,
+      valueGetter: (params) => params.row.outcome?.statusCode,
+      renderCell: (params) => (
+        <Chip
+          label={params.value}
+          color={params.row.outcome?.status === 'success' ? 'success' : 'error'}
+          size="small"
+        />
+      )
+    },
+    {
+      field: 'actions',
+      headerName: 'Details',
+      width: 90,
+      sortable: false,
+      renderCell: (params) => (
+        <IconButton
+          size="small"
+          onClick={() => setSelectedEntry(params.row)}
+          title="View Details"
+        >
+          <VisibilityIcon />
+        </IconButton>
+      )
+    }
+  ];
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Audit Log
+      </Typography>
+      <Typography variant="subtitle1" color="text.secondary" gutterBottom>
+        Who created, updated, aborted, retried or deleted what
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+            <TextField
+              label="Actor"
+              size="small"
+              value={filters.actor}
+              onChange={handleFilterChange('actor')}
+              placeholder="User id, name or email"
+              data-testid="audit-filter-actor"
+            />
+            <TextField
+              label="Target"
+              size="small"
+              value={filters.target}
+              onChange={handleFilterChange('target')}
+              placeholder="Cluster id, namespace or workflow id"
+              data-testid="audit-filter-target"
+            />
+            <TextField
+              label="From"
+              type="datetime-local"
+              size="small"
+              value={filters.from}
+              onChange={handleFilterChange('from')}
+              InputLabelProps={{ shrink: true }}
+            />
+            <TextField
+              label="To"
+              type="datetime-local"
+              size="small"
+              value={filters.to}
+              onChange={handleFilterChange('to')}
+              InputLabelProps={{ shrink: true }}
+            />
+            <Button variant="contained" onClick={() => loadEntries(filters)} disabled={loading}>
+              Apply
+            </Button>
+            <Button onClick={handleClearFilters} disabled={loading}>
+              Clear
+            </Button>
+          </Box>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader
+          title={`Entries (${total})`}
+          action={
+            <Button
+              variant="outlined"
+              startIcon={<RefreshIcon />}
+              onClick={() => loadEntries(filters)}
+              disabled={loading}
+            >
+              Refresh
+            </Button>
+          }
+        />
+        <CardContent>
+          <Box sx={{ height: 600, width: '100%' }}>
+            <DataGrid
+              rows={entries}
+              columns={columns}
+              pageSize={25}
+              rowsPerPageOptions={[25, 50, 100]}
+              loading={loading}
+              disableSelectionOnClick
+              sx={{
+                '& .MuiDataGrid-cell:focus': {
+                  outline: 'none',
+                },
+              }}
+            />
+          </Box>
+        </CardContent>
+      </Card>
+
+      {/* Entry Details Dialog */}
+      <Dialog open={Boolean(selectedEntry)} onClose={() => setSelectedEntry(null)} maxWidth="md" fullWidth>
+        <DialogTitle>
+          {selectedEntry?.action} by {selectedEntry?.actor?.name || selectedEntry?.actor?.id}
+        </DialogTitle>
+        <DialogContent>
+          {selectedEntry && (
+            <Box>
+              <Typography variant="body2" gutterBottom>
+                <strong>Request:</strong> {selectedEntry.request?.method} {selectedEntry.request?.path}
+              </Typography>
+              <Typography variant="body2" gutterBottom>
+                <strong>Outcome:</strong> {selectedEntry.outcome?.status} ({selectedEntry.outcome?.statusCode})
+                {selectedEntry.outcome?.error && ` — ${selectedEntry.outcome.error}`}
+              </Typography>
+
+              <Typography variant="h6" sx={{ mt: 2 }}>
+                Changes
+              </Typography>
+              {selectedEntry.changes?.length ? (
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Field</TableCell>
+                      <TableCell>Before</TableCell>
+                      <TableCell>After</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {selectedEntry.changes.map(change => (
+                      <TableRow key={change.path}>
+                        <TableCell>{change.path}</TableCell>
+                        <TableCell>{formatValue(change.from)}</TableCell>
+                        <TableCell>{formatValue(change.to)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  No payload changes recorded
+                </Typography>
+              )}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSelectedEntry(null)}>
+            Close
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default AuditLog;
@@ -13,30 +13,99 @@ import {
   DialogTitle,
   DialogContent,
   DialogActions,
-  Alert
+  Alert,
+  Tabs,
+  Tab,
+  FormControlLabel,
+  Switch,
+  Tooltip,
+  LinearProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
 } from '@mui/material';
 import {
   Delete as DeleteIcon,
   Visibility as VisibilityIcon,
-  CloudDownload as CloudDownloadIcon
+  CloudDownload as CloudDownloadIcon,
+  Download as DownloadIcon
 } from '@mui/icons-material';
 import { DataGrid } from '@mui/x-data-grid';
-import { fetchClusters, deleteCluster } from '../store/clustersSlice';
+import {
+  fetchClusters,
+  fetchCluster,
+  fetchClusterHistory,
+  fetchClusterResources,
+  downloadKubeconfig,
+  clearKubeconfigError,
+  deleteCluster
+} from '../store/clustersSlice';
+import { workflowSocket } from '../services/workflowSocket';
+import ResourceTree from '../components/ResourceTree';
+
+// Lifecycle states a deletion can start from (see ClusterService on the backend)
+const DELETABLE_STATUSES = ['ready', 'failed'];
+
+// Lifetimes offered for short-lived kubeconfig tokens (the backend accepts 10 minutes to 24 hours)
+const KUBECONFIG_TTLS = [
+  { label: '1 hour', seconds: 3600 },
+  { label: '8 hours', seconds: 8 * 3600 },
+  { label: '24 hours', seconds: 24 * 3600 }
+];
 
 const ClusterManagement = () => {
   const dispatch = useDispatch();
-  const { list: clusters, loading, error, deleting } = useSelector(state => state.clusters);
+  const {
+    list: clusters,
+    history,
+    current,
+    currentLoading,
+    resourceTree,
+    resourceTreeLoading,
+    resourceTreeError,
+    downloadingKubeconfig,
+    kubeconfigError,
+    loading,
+    historyLoading,
+    error,
+    deleting
+  } = useSelector(state => state.clusters);
   
+  const [activeTab, setActiveTab] = useState(0);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
+  const [deleteDryRun, setDeleteDryRun] = useState(true);
   const [selectedCluster, setSelectedCluster] = useState(null);
   const [detailsDialogOpen, setDetailsDialogOpen] = useState(false);
+  const [detailsTab, setDetailsTab] = useState(0);
+  const [kubeconfigDialogOpen, setKubeconfigDialogOpen] = useState(false);
+  const [kubeconfigAccess, setKubeconfigAccess] = useState('user');
+  const [kubeconfigShortLived, setKubeconfigShortLived] = useState(true);
+  const [kubeconfigTtl, setKubeconfigTtl] = useState(KUBECONFIG_TTLS[0].seconds);
   
   useEffect(() => {
     dispatch(fetchClusters());
+    dispatch(fetchClusterHistory());
+    
+    // Cluster status follows its provisioning and deletion workflows; refetch when one changes
+    const removeMessageListener = workflowSocket.onMessage((message) => {
+      if (message.type === 'workflow_update' && message.data?.event === 'status' && message.data.workflow?.clusterId) {
+        dispatch(fetchClusters());
+        dispatch(fetchClusterHistory());
+      }
+    });
+    workflowSocket.connect();
+    workflowSocket.subscribeAll();
+    
+    return () => {
+      removeMessageListener();
+      workflowSocket.unsubscribeAll();
+    };
   }, [dispatch]);
   
   const handleDeleteCluster = (cluster) => {
     setSelectedCluster(cluster);
+    setDeleteDryRun(true);
     setDeleteDialogOpen(true);
   };
   
@@ -45,7 +114,7 @@ const ClusterManagement = () => {
       dispatch(deleteCluster({
         clusterId: selectedCluster.id,
         force: false,
-        dryRun: true // Start with dry run
+        dryRun: deleteDryRun
       }));
     }
     setDeleteDialogOpen(false);
@@ -54,12 +123,45 @@ const ClusterManagement = () => {
   
   const handleViewCluster = (cluster) => {
     setSelectedCluster(cluster);
+    setDetailsTab(0);
     setDetailsDialogOpen(true);
+    dispatch(fetchCluster({ clusterId: cluster.id }));
+  };
+  
+  // Prefer the freshly fetched copy, which carries the latest recorded health
+  const detailsCluster = current?.id === selectedCluster?.id ? current : selectedCluster;
+  
+  // The resource tree is read live from Kubernetes, so only when its tab is opened
+  const handleDetailsTabChange = (tab) => {
+    setDetailsTab(tab);
+    if (tab === 1 && detailsCluster) {
+      dispatch(fetchClusterResources(detailsCluster.id));
+    }
+  };
+  
+  const handleDownloadKubeconfig = async () => {
+    try {
+      const { kubeconfig } = await dispatch(downloadKubeconfig({
+        clusterId: detailsCluster.id,
+        access: kubeconfigAccess,
+        ttlSeconds: kubeconfigShortLived ? kubeconfigTtl : undefined
+      })).unwrap();
+      
+      const url = URL.createObjectURL(new Blob([kubeconfig], { type: 'application/yaml' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${detailsCluster.name}-${kubeconfigAccess}.kubeconfig`;
+      link.click();
+      URL.revokeObjectURL(url);
+      setKubeconfigDialogOpen(false);
+    } catch (error) {
+      // kubeconfigError is shown in the dialog
+    }
   };
   
   const getStatusColor = (status) => {
     switch (status) {
-      case 'running':
+      case 'ready':
         return 'success';
       case 'provisioning':
         return 'primary';
@@ -72,6 +174,34 @@ const ClusterManagement = () => {
     }
   };
   
+  // Health comes from the live ASO/KRO conditions and is separate from the lifecycle status
+  const getHealthColor = (health) => {
+    switch (health) {
+      case 'healthy':
+        return 'success';
+      case 'progressing':
+        return 'info';
+      case 'degraded':
+        return 'warning';
+      case 'unhealthy':
+        return 'error';
+      default:
+        return 'default';
+    }
+  };
+  
+  const renderHealth = (health) => health && (
+    <Tooltip title={health.reason || ''}>
+      <Chip
+        label={health.status}
+        color={getHealthColor(health.status)}
+        size="small"
+        variant="outlined"
+        data-testid="cluster-health"
+      />
+    </Tooltip>
+  );
+  
   const columns = [
     {
       field: 'name',
@@ -86,13 +216,16 @@ const ClusterManagement = () => {
     {
       field: 'status',
       headerName: 'Status',
-      width: 130,
+      width: 220,
       renderCell: (params) => (
-        <Chip
-          label={params.value}
-          color={getStatusColor(params.value)}
-          size="small"
-        />
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Chip
+            label={params.value}
+            color={getStatusColor(params.value)}
+            size="small"
+          />
+          {renderHealth(params.row.health)}
+        </Box>
       )
     },
     {
@@ -152,7 +285,7 @@ const ClusterManagement = () => {
             onClick={() => handleDeleteCluster(params.row)}
             title="Delete Cluster"
             color="error"
-            disabled={params.row.status === 'deleting'}
+            disabled={!DELETABLE_STATUSES.includes(params.row.status)}
           >
             <DeleteIcon />
           </IconButton>
@@ -161,6 +294,38 @@ const ClusterManagement = () => {
     }
   ];
   
+  // Tombstoned clusters: read-only, with when they were deleted
+  const historyColumns = [
+    ...columns.filter(column => ['name', 'location', 'nodePoolType', 'createdAt'].includes(column.field)),
+    {
+      field: 'deletedAt',
+      headerName: 'Deleted',
+      width: 180,
+      renderCell: (params) => (
+        <Typography variant="body2">
+          {params.value ? new Date(params.value).toLocaleString() : '—'}
+        </Typography>
+      )
+    },
+    {
+      field: 'actions',
+      headerName: 'Actions',
+      width: 100,
+      sortable: false,
+      renderCell: (params) => (
+        <IconButton
+          size="small"
+          onClick={() => handleViewCluster(params.row)}
+          title="View Details"
+        >
+          <VisibilityIcon />
+        </IconButton>
+      )
+    }
+  ];
+  
+  const showingHistory = activeTab === 1;
+  
   return (
     <Box>
       <Typography variant="h4" gutterBottom>
@@ -176,15 +341,22 @@ const ClusterManagement = () => {
         </Alert>
       )}
       
+      <Box sx={{ borderBottom: 1, borderColor: 'divider', mb: 2 }}>
+        <Tabs value={activeTab} onChange={(e, newValue) => setActiveTab(newValue)}>
+          <Tab label="Clusters" />
+          <Tab label="Deleted" data-testid="deleted-clusters-tab" />
+        </Tabs>
+      </Box>
+      
       <Card>
         <CardHeader
-          title={`Clusters (${clusters.length})`}
+          title={showingHistory ? `Deleted clusters (${history.length})` : `Clusters (${clusters.length})`}
           action={
             <Button
               variant="outlined"
               startIcon={<CloudDownloadIcon />}
-              onClick={() => dispatch(fetchClusters())}
-              disabled={loading}
+              onClick={() => dispatch(showingHistory ? fetchClusterHistory() : fetchClusters())}
+              disabled={showingHistory ? historyLoading : loading}
             >
               Refresh
             </Button>
@@ -193,11 +365,11 @@ const ClusterManagement = () => {
         <CardContent>
           <Box sx={{ height: 600, width: '100%' }}>
             <DataGrid
-              rows={clusters}
-              columns={columns}
+              rows={showingHistory ? history : clusters}
+              columns={showingHistory ? historyColumns : columns}
               pageSize={10}
               rowsPerPageOptions={[10, 25, 50]}
-              loading={loading}
+              loading={showingHistory ? historyLoading : loading}
               disableSelectionOnClick
               sx={{
                 '& .MuiDataGrid-cell:focus': {
@@ -220,8 +392,20 @@ const ClusterManagement = () => {
           <Typography>
             Are you sure you want to delete cluster <strong>{selectedCluster?.name}</strong>?
           </Typography>
-          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
-            This action cannot be undone.
+          <FormControlLabel
+            sx={{ mt: 1 }}
+            control={
+              <Switch
+                checked={deleteDryRun}
+                onChange={(e) => setDeleteDryRun(e.target.checked)}
+              />
+            }
+            label="Dry run"
+          />
+          <Typography variant="body2" color="text.secondary">
+            {deleteDryRun && !selectedCluster?.dryRun
+              ? 'A dry run only previews the deletion; the cluster is left as it is.'
+              : `This action cannot be undone.${deleteDryRun ? '' : ' Real deletions require the platform-admin role.'}`}
           </Typography>
         </DialogContent>
         <DialogActions>
@@ -245,9 +429,30 @@ const ClusterManagement = () => {
         maxWidth="md"
         fullWidth
       >
-        <DialogTitle>Cluster Details: {selectedCluster?.name}</DialogTitle>
+        <DialogTitle>Cluster Details: {detailsCluster?.name}</DialogTitle>
         <DialogContent>
-          {selectedCluster && (
+          <Box sx={{ borderBottom: 1, borderColor: 'divider' }}>
+            <Tabs value={detailsTab} onChange={(e, newValue) => handleDetailsTabChange(newValue)}>
+              <Tab label="Overview" />
+              <Tab label="Resources" data-testid="cluster-resources-tab" />
+            </Tabs>
+          </Box>
+          
+          {detailsCluster && detailsTab === 1 && (
+            <Box sx={{ mt: 2 }}>
+              {resourceTreeLoading && <LinearProgress sx={{ mb: 2 }} />}
+              {resourceTreeError && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                  {resourceTreeError}
+                </Alert>
+              )}
+              {!resourceTreeLoading && resourceTree?.clusterId === detailsCluster.id && (
+                <ResourceTree resources={resourceTree.resources} />
+              )}
+            </Box>
+          )}
+          
+          {detailsCluster && detailsTab === 0 && (
             <Box sx={{ mt: 2 }}>
               <Typography variant="h6" gutterBottom>
                 Basic Information
@@ -255,33 +460,33 @@ const ClusterManagement = () => {
               <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2, mb: 3 }}>
                 <Box>
                   <Typography variant="caption">Cluster Name:</Typography>
-                  <Typography variant="body1">{selectedCluster.name}</Typography>
+                  <Typography variant="body1">{detailsCluster.name}</Typography>
                 </Box>
                 <Box>
                   <Typography variant="caption">Status:</Typography>
                   <Chip
-                    label={selectedCluster.status}
-                    color={getStatusColor(selectedCluster.status)}
+                    label={detailsCluster.status}
+                    color={getStatusColor(detailsCluster.status)}
                     size="small"
                     sx={{ ml: 1 }}
                   />
                 </Box>
                 <Box>
                   <Typography variant="caption">Location:</Typography>
-                  <Typography variant="body1">{selectedCluster.location}</Typography>
+                  <Typography variant="body1">{detailsCluster.location}</Typography>
                 </Box>
                 <Box>
                   <Typography variant="caption">Node Pool Type:</Typography>
-                  <Typography variant="body1">{selectedCluster.nodePoolType}</Typography>
+                  <Typography variant="body1">{detailsCluster.nodePoolType}</Typography>
                 </Box>
                 <Box>
                   <Typography variant="caption">NAP Enabled:</Typography>
-                  <Typography variant="body1">{selectedCluster.enableNAP ? 'Yes' : 'No'}</Typography>
+                  <Typography variant="body1">{detailsCluster.enableNAP ? 'Yes' : 'No'}</Typography>
                 </Box>
                 <Box>
                   <Typography variant="caption">Created:</Typography>
                   <Typography variant="body1">
-                    {new Date(selectedCluster.createdAt).toLocaleString()}
+                    {new Date(detailsCluster.createdAt).toLocaleString()}
                   </Typography>
                 </Box>
               </Box>
@@ -292,18 +497,182 @@ const ClusterManagement = () => {
               <Box>
                 <Typography variant="caption">Workflow ID:</Typography>
                 <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
-                  {selectedCluster.workflowId}
+                  {detailsCluster.workflowId}
                 </Typography>
               </Box>
+              {detailsCluster.deletionWorkflowId && (
+                <Box sx={{ mt: 1 }}>
+                  <Typography variant="caption">Deletion Workflow ID:</Typography>
+                  <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                    {detailsCluster.deletionWorkflowId}
+                  </Typography>
+                </Box>
+              )}
+              {detailsCluster.status === 'failed' && detailsCluster.error && (
+                <Alert severity="error" sx={{ mt: 2 }}>
+                  {detailsCluster.error}
+                </Alert>
+              )}
+              
+              {detailsCluster.health && (
+                <>
+                  <Typography variant="h6" gutterBottom sx={{ mt: 3 }}>
+                    Health {currentLoading && (
+                      <Typography component="span" variant="caption" color="text.secondary">
+                        (checking...)
+                      </Typography>
+                    )}
+                  </Typography>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                    {renderHealth(detailsCluster.health)}
+                    <Typography variant="body2">{detailsCluster.health.reason}</Typography>
+                  </Box>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <Typography variant="caption" color="text.secondary">
+                      Checked {new Date(detailsCluster.health.checkedAt).toLocaleString()}
+                    </Typography>
+                    <Button
+                      size="small"
+                      onClick={() => dispatch(fetchCluster({ clusterId: detailsCluster.id, refreshHealth: true }))}
+                      disabled={currentLoading}
+                    >
+                      Recheck
+                    </Button>
+                  </Box>
+                  {detailsCluster.health.resources?.map((resource) => (
+                    <Box key={`${resource.kind}/${resource.name}`} sx={{ display: 'flex', alignItems: 'flex-start', gap: 1, mt: 1 }}>
+                      <Chip
+                        label={resource.health}
+                        color={getHealthColor(resource.health)}
+                        size="small"
+                        variant="outlined"
+                      />
+                      <Box>
+                        <Typography variant="body2">
+                          <strong>{resource.kind}</strong> {resource.name}: {resource.message}
+                        </Typography>
+                        {resource.detail && resource.detail !== resource.message && (
+                          <Typography variant="caption" color="text.secondary">
+                            {resource.reason ? `${resource.reason}: ` : ''}{resource.detail}
+                          </Typography>
+                        )}
+                      </Box>
+                    </Box>
+                  ))}
+                </>
+              )}
+              
+              {detailsCluster.statusHistory?.length > 0 && (
+                <>
+                  <Typography variant="h6" gutterBottom sx={{ mt: 3 }}>
+                    Status History
+                  </Typography>
+                  {detailsCluster.statusHistory.map((entry, index) => (
+                    <Box key={index} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                      <Chip label={entry.status} color={getStatusColor(entry.status)} size="small" />
+                      <Typography variant="body2">{new Date(entry.at).toLocaleString()}</Typography>
+                      {entry.workflowId && (
+                        <Typography variant="caption" color="text.secondary" sx={{ fontFamily: 'monospace' }}>
+                          {entry.workflowId}
+                        </Typography>
+                      )}
+                    </Box>
+                  ))}
+                </>
+              )}
             </Box>
           )}
         </DialogContent>
         <DialogActions>
+          <Button
+            startIcon={<DownloadIcon />}
+            onClick={() => {
+              dispatch(clearKubeconfigError());
+              setKubeconfigDialogOpen(true);
+            }}
+            disabled={!detailsCluster || detailsCluster.dryRun || detailsCluster.status !== 'ready'}
+            data-testid="download-kubeconfig-button"
+          >
+            Download kubeconfig
+          </Button>
+          {detailsTab === 1 && (
+            <Button
+              onClick={() => dispatch(fetchClusterResources(detailsCluster.id))}
+              disabled={resourceTreeLoading}
+            >
+              Refresh
+            </Button>
+          )}
           <Button onClick={() => setDetailsDialogOpen(false)}>
             Close
           </Button>
         </DialogActions>
       </Dialog>
+      
+      {/* Kubeconfig Download Dialog */}
+      <Dialog open={kubeconfigDialogOpen} onClose={() => setKubeconfigDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Download kubeconfig: {detailsCluster?.name}</DialogTitle>
+        <DialogContent>
+          {kubeconfigError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {kubeconfigError}
+            </Alert>
+          )}
+          <FormControl fullWidth sx={{ mt: 1 }}>
+            <InputLabel>Access</InputLabel>
+            <Select
+              value={kubeconfigAccess}
+              onChange={(e) => setKubeconfigAccess(e.target.value)}
+              label="Access"
+            >
+              <MenuItem value="user">User</MenuItem>
+              <MenuItem value="admin">Admin (platform-admin only)</MenuItem>
+            </Select>
+          </FormControl>
+          <FormControlLabel
+            sx={{ mt: 1 }}
+            control={
+              <Switch
+                checked={kubeconfigShortLived}
+                onChange={(e) => setKubeconfigShortLived(e.target.checked)}
+              />
+            }
+            label="Short-lived token"
+          />
+          {kubeconfigShortLived && (
+            <FormControl fullWidth sx={{ mt: 1 }}>
+              <InputLabel>Expires after</InputLabel>
+              <Select
+                value={kubeconfigTtl}
+                onChange={(e) => setKubeconfigTtl(e.target.value)}
+                label="Expires after"
+              >
+                {KUBECONFIG_TTLS.map(ttl => (
+                  <MenuItem key={ttl.seconds} value={ttl.seconds}>{ttl.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            {kubeconfigShortLived
+              ? 'The kubeconfig holds a service account token that stops working when it expires.'
+              : 'The kubeconfig holds the long-lived credentials exported for the cluster. Keep it safe.'}
+            {' '}Every download is recorded in the audit log.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setKubeconfigDialogOpen(false)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleDownloadKubeconfig}
+            variant="contained"
+            disabled={downloadingKubeconfig}
+          >
+            {downloadingKubeconfig ? 'Downloading...' : 'Download'}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
@@ -21,7 +21,11 @@ import {
   DialogContent,
   DialogActions,
   TextField,
-  Alert
+  MenuItem,
+  Alert,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails
 } from '@mui/material';
 import {
   CheckCircle as CheckCircleIcon,
@@ -30,21 +34,102 @@ import {
   PlayArrow as PlayArrowIcon,
   Stop as StopIcon,
   Refresh as RefreshIcon,
-  Visibility as VisibilityIcon
+  Replay as ReplayIcon,
+  Visibility as VisibilityIcon,
+  Article as ArticleIcon,
+  ExpandMore as ExpandMoreIcon
 } from '@mui/icons-material';
-import { fetchWorkflows, fetchWorkflow, abortWorkflow, retryWorkflow } from '../store/workflowsSlice';
+import {
+  fetchWorkflows,
+  fetchMoreWorkflowHistory,
+  setWorkflowFilters,
+  DEFAULT_WORKFLOW_FILTERS,
+  fetchWorkflow,
+  abortWorkflow,
+  retryWorkflow,
+  fetchWorkflowLogs,
+  fetchWorkflowGraph,
+  fetchWorkflowStats,
+  fetchStepLogs,
+  clearStepLogs,
+  clearCurrentWorkflow,
+  setSocketConnected,
+  applyWorkflowSocketMessage
+} from '../store/workflowsSlice';
+import { workflowSocket } from '../services/workflowSocket';
+import LogViewer from '../components/LogViewer';
+import WorkflowGraph from '../components/WorkflowGraph';
+import WorkflowStats from '../components/WorkflowStats';
+
+const RETRYABLE_STATUSES = ['failed', 'error', 'aborted'];
+const STEP_LOG_PAGE_SIZE = 200;
+
+const WORKFLOW_TYPES = [
+  'cluster-provisioning',
+  'cluster-deletion',
+  'namespace-provisioning',
+  'namespace-update',
+  'namespace-deletion'
+];
+
+// datetime-local inputs have no timezone; send them as ISO instants
+const toIsoString = (value) => (value ? new Date(value).toISOString() : '');
 
 const WorkflowDashboard = () => {
   const dispatch = useDispatch();
-  const { active, history, current, loading, error } = useSelector(state => state.workflows);
+  const {
+    active,
+    history,
+    historyTotal,
+    historyCursor,
+    current,
+    stepLogs,
+    graph,
+    stats,
+    statsLoading,
+    loading,
+    error,
+    socketConnected
+  } = useSelector(state => state.workflows);
   
   const [selectedWorkflow, setSelectedWorkflow] = useState(null);
   const [abortDialogOpen, setAbortDialogOpen] = useState(false);
   const [abortReason, setAbortReason] = useState('');
+  const [abortMode, setAbortMode] = useState('stop');
+  const [filterDraft, setFilterDraft] = useState(DEFAULT_WORKFLOW_FILTERS);
+  const [statsOpen, setStatsOpen] = useState(false);
   
   useEffect(() => {
     dispatch(fetchWorkflows());
-    // Set up polling for active workflows
+    
+    // Live status, step and log updates over the /ws WebSocket
+    const removeMessageListener = workflowSocket.onMessage((message) => {
+      dispatch(applyWorkflowSocketMessage(message));
+    });
+    const removeConnectionListener = workflowSocket.onConnectionChange((connected) => {
+      dispatch(setSocketConnected(connected));
+      // Catch up on anything missed while disconnected
+      if (connected) {
+        dispatch(fetchWorkflows());
+      }
+    });
+    workflowSocket.connect();
+    workflowSocket.subscribeAll();
+    
+    return () => {
+      removeMessageListener();
+      removeConnectionListener();
+      workflowSocket.unsubscribeAll();
+      workflowSocket.unsubscribeWorkflow();
+    };
+  }, [dispatch]);
+  
+  // Fall back to polling only while the WebSocket is down
+  useEffect(() => {
+    if (socketConnected) {
+      return undefined;
+    }
+    
     const interval = setInterval(() => {
       if (active.length > 0) {
         dispatch(fetchWorkflows());
@@ -52,7 +137,16 @@ const WorkflowDashboard = () => {
     }, 5000);
     
     return () => clearInterval(interval);
-  }, [dispatch, active.length]);
+  }, [dispatch, socketConnected, active.length]);
+  
+  // Re-read the node graph whenever a step of the open workflow changes state
+  const currentWorkflowId = current?.workflow.id;
+  const stepStatusKey = current ? current.steps.map(step => step.status).join(',') : '';
+  useEffect(() => {
+    if (currentWorkflowId) {
+      dispatch(fetchWorkflowGraph(currentWorkflowId));
+    }
+  }, [dispatch, currentWorkflowId, stepStatusKey]);
   
   const getStatusIcon = (status) => {
     switch (status) {
@@ -63,6 +157,8 @@ const WorkflowDashboard = () => {
       case 'failed':
       case 'error':
         return <ErrorIcon color="error" />;
+      case 'aborted':
+        return <StopIcon color="warning" />;
       default:
         return <HourglassEmptyIcon color="disabled" />;
     }
@@ -77,6 +173,7 @@ const WorkflowDashboard = () => {
       case 'failed':
       case 'error':
         return 'error';
+      case 'aborting':
       case 'aborted':
         return 'warning';
       default:
@@ -84,9 +181,47 @@ const WorkflowDashboard = () => {
     }
   };
   
+  const handleFilterChange = (field) => (event) => {
+    setFilterDraft({ ...filterDraft, [field]: event.target.value });
+  };
+  
+  const applyFilters = (draft) => {
+    dispatch(setWorkflowFilters({
+      ...draft,
+      clusterId: draft.clusterId.trim(),
+      namespaceName: draft.namespaceName.trim(),
+      from: toIsoString(draft.from),
+      to: toIsoString(draft.to)
+    }));
+    dispatch(fetchWorkflows());
+    if (statsOpen) {
+      dispatch(fetchWorkflowStats());
+    }
+  };
+  
+  // Analytics are only computed once the panel is opened
+  const handleStatsToggle = (event, expanded) => {
+    setStatsOpen(expanded);
+    if (expanded) {
+      dispatch(fetchWorkflowStats());
+    }
+  };
+  
+  const handleClearFilters = () => {
+    setFilterDraft(DEFAULT_WORKFLOW_FILTERS);
+    applyFilters(DEFAULT_WORKFLOW_FILTERS);
+  };
+  
   const handleViewWorkflow = (workflow) => {
     setSelectedWorkflow(workflow);
     dispatch(fetchWorkflow(workflow.id));
+    workflowSocket.subscribeWorkflow(workflow.id);
+  };
+  
+  const handleCloseDetails = () => {
+    setSelectedWorkflow(null);
+    dispatch(clearCurrentWorkflow());
+    workflowSocket.unsubscribeWorkflow();
   };
   
   const handleAbortWorkflow = (workflow) => {
@@ -98,11 +233,13 @@ const WorkflowDashboard = () => {
     if (selectedWorkflow) {
       dispatch(abortWorkflow({
         workflowId: selectedWorkflow.id,
-        reason: abortReason
+        reason: abortReason,
+        mode: abortMode
       }));
     }
     setAbortDialogOpen(false);
     setAbortReason('');
+    setAbortMode('stop');
     setSelectedWorkflow(null);
   };
   
@@ -110,6 +247,31 @@ const WorkflowDashboard = () => {
     dispatch(retryWorkflow({ workflowId: workflow.id }));
   };
   
+  const handleRetryFromStep = (workflow, step) => {
+    dispatch(retryWorkflow({ workflowId: workflow.id, fromStep: step.name }));
+  };
+  
+  // Pod output of Argo steps; new lines arrive as step_log WebSocket messages
+  const handleViewStepLogs = (workflow, step) => {
+    dispatch(fetchStepLogs({ workflowId: workflow.id, stepName: step.name, limit: STEP_LOG_PAGE_SIZE }));
+  };
+  
+  const handleLoadEarlierStepLogs = () => {
+    dispatch(fetchStepLogs({
+      workflowId: stepLogs.workflowId,
+      stepName: stepLogs.stepName,
+      offset: Math.max(0, stepLogs.offset - STEP_LOG_PAGE_SIZE),
+      // Stop at the first line already shown so the pages never overlap
+      limit: Math.min(STEP_LOG_PAGE_SIZE, stepLogs.offset)
+    }));
+  };
+  
+  // A finished workflow can resume at a step once every earlier step succeeded
+  const canResumeFrom = (workflow, steps, index) =>
+    RETRYABLE_STATUSES.includes(workflow.status) &&
+    steps[index].status !== 'pending' &&
+    steps.slice(0, index).every(step => ['succeeded', 'skipped'].includes(step.status));
+  
   const formatDuration = (startTime, endTime) => {
     const start = new Date(startTime);
     const end = endTime ? new Date(endTime) : new Date();
@@ -155,7 +317,7 @@ const WorkflowDashboard = () => {
               >
                 <VisibilityIcon />
               </IconButton>
-              {workflow.status === 'running' && (
+              {['running', 'aborting'].includes(workflow.status) && (
                 <IconButton
                   size="small"
                   onClick={() => handleAbortWorkflow(workflow)}
@@ -165,7 +327,7 @@ const WorkflowDashboard = () => {
                   <StopIcon />
                 </IconButton>
               )}
-              {['failed', 'error', 'aborted'].includes(workflow.status) && (
+              {RETRYABLE_STATUSES.includes(workflow.status) && (
                 <IconButton
                   size="small"
                   onClick={() => handleRetryWorkflow(workflow)}
@@ -210,6 +372,123 @@ const WorkflowDashboard = () => {
         </Alert>
       )}
       
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+            <TextField
+              select
+              label="Type"
+              size="small"
+              value={filterDraft.type}
+              onChange={handleFilterChange('type')}
+              sx={{ minWidth: 200 }}
+              data-testid="workflow-filter-type"
+            >
+              <MenuItem value="">All</MenuItem>
+              {WORKFLOW_TYPES.map(type => (
+                <MenuItem key={type} value={type}>{type}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              label="Engine"
+              size="small"
+              value={filterDraft.workflowType}
+              onChange={handleFilterChange('workflowType')}
+              sx={{ minWidth: 120 }}
+            >
+              <MenuItem value="">All</MenuItem>
+              <MenuItem value="karpenter">Karpenter</MenuItem>
+              <MenuItem value="kro">KRO</MenuItem>
+            </TextField>
+            <TextField
+              label="Cluster ID"
+              size="small"
+              value={filterDraft.clusterId}
+              onChange={handleFilterChange('clusterId')}
+            />
+            <TextField
+              label="Namespace"
+              size="small"
+              value={filterDraft.namespaceName}
+              onChange={handleFilterChange('namespaceName')}
+            />
+            <TextField
+              label="Started after"
+              type="datetime-local"
+              size="small"
+              value={filterDraft.from}
+              onChange={handleFilterChange('from')}
+              InputLabelProps={{ shrink: true }}
+            />
+            <TextField
+              label="Started before"
+              type="datetime-local"
+              size="small"
+              value={filterDraft.to}
+              onChange={handleFilterChange('to')}
+              InputLabelProps={{ shrink: true }}
+            />
+            <TextField
+              select
+              label="Sort by"
+              size="small"
+              value={filterDraft.sortBy}
+              onChange={handleFilterChange('sortBy')}
+              sx={{ minWidth: 130 }}
+            >
+              <MenuItem value="startTime">Start time</MenuItem>
+              <MenuItem value="endTime">End time</MenuItem>
+              <MenuItem value="duration">Duration</MenuItem>
+            </TextField>
+            <TextField
+              select
+              label="Order"
+              size="small"
+              value={filterDraft.order}
+              onChange={handleFilterChange('order')}
+              sx={{ minWidth: 130 }}
+            >
+              <MenuItem value="desc">Descending</MenuItem>
+              <MenuItem value="asc">Ascending</MenuItem>
+            </TextField>
+            <Button variant="contained" onClick={() => applyFilters(filterDraft)} disabled={loading}>
+              Apply
+            </Button>
+            <Button onClick={handleClearFilters} disabled={loading}>
+              Clear
+            </Button>
+          </Box>
+        </CardContent>
+      </Card>
+      
+      <Accordion expanded={statsOpen} onChange={handleStatsToggle} sx={{ mb: 3 }} data-testid="workflow-analytics">
+        <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+          <Typography variant="h6">
+            Analytics
+          </Typography>
+          {stats && statsOpen && (
+            <Typography variant="body2" color="text.secondary" sx={{ ml: 2, alignSelf: 'center' }}>
+              {stats.runs} finished runs
+            </Typography>
+          )}
+        </AccordionSummary>
+        <AccordionDetails>
+          <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 1 }}>
+            <Button
+              size="small"
+              startIcon={<RefreshIcon />}
+              onClick={() => dispatch(fetchWorkflowStats())}
+              disabled={statsLoading}
+            >
+              Refresh
+            </Button>
+          </Box>
+          {statsLoading && <LinearProgress sx={{ mb: 2 }} />}
+          <WorkflowStats stats={stats} />
+        </AccordionDetails>
+      </Accordion>
+      
       <Grid container spacing={3}>
         {/* Active Workflows */}
         <Grid item xs={12} md={6}>
@@ -237,16 +516,27 @@ const WorkflowDashboard = () => {
         <Grid item xs={12} md={6}>
           <Paper sx={{ p: 2 }}>
             <Typography variant="h6" gutterBottom>
-              Recent History ({history.length})
+              History ({historyTotal})
             </Typography>
             {history.length === 0 ? (
               <Typography color="text.secondary">
                 No workflow history
               </Typography>
             ) : (
-              history.slice(0, 5).map(workflow => (
-                <WorkflowCard key={workflow.id} workflow={workflow} />
-              ))
+              <Box data-testid="workflow-history">
+                {history.map(workflow => (
+                  <WorkflowCard key={workflow.id} workflow={workflow} />
+                ))}
+              </Box>
+            )}
+            {historyCursor && (
+              <Button
+                fullWidth
+                onClick={() => dispatch(fetchMoreWorkflowHistory())}
+                data-testid="load-more-history"
+              >
+                Load more ({history.length} of {historyTotal})
+              </Button>
             )}
           </Paper>
         </Grid>
@@ -260,7 +550,7 @@ const WorkflowDashboard = () => {
                 action={
                   <Button
                     variant="outlined"
-                    onClick={() => setSelectedWorkflow(null)}
+                    onClick={handleCloseDetails}
                   >
                     Close
                   </Button>
@@ -274,56 +564,99 @@ const WorkflowDashboard = () => {
                     </Typography>
                     <List>
                       {current.steps.map((step, index) => (
-                        <ListItem key={step.id}>
+                        <ListItem
+                          key={step.id}
+                          secondaryAction={
+                            <Box sx={{ display: 'flex', gap: 1 }}>
+                              {current.workflow.argoWorkflowName && step.status !== 'pending' && (
+                                <IconButton
+                                  size="small"
+                                  onClick={() => handleViewStepLogs(current.workflow, step)}
+                                  title="View Step Logs"
+                                  data-testid="step-logs-button"
+                                >
+                                  <ArticleIcon />
+                                </IconButton>
+                              )}
+                              {canResumeFrom(current.workflow, current.steps, index) && (
+                                <Button
+                                  size="small"
+                                  startIcon={<ReplayIcon />}
+                                  onClick={() => handleRetryFromStep(current.workflow, step)}
+                                  data-testid="retry-from-step-button"
+                                >
+                                  Retry from here
+                                </Button>
+                              )}
+                            </Box>
+                          }
+                        >
                           <ListItemIcon>
                             {getStatusIcon(step.status)}
                           </ListItemIcon>
                           <ListItemText
                             primary={step.name}
-                            secondary={step.startTime ? 
+                            secondary={step.error || (step.startTime ? 
                               `Started: ${new Date(step.startTime).toLocaleString()}` : 
-                              'Not started'
-                            }
+                              step.status === 'skipped' ? 'Skipped' : 'Not started'
+                            )}
                           />
                         </ListItem>
                       ))}
                     </List>
+                    
+                    {current.workflow.attempts?.length > 0 && (
+                      <>
+                        <Typography variant="h6" gutterBottom sx={{ mt: 2 }}>
+                          Previous Attempts
+                        </Typography>
+                        <List dense>
+                          {[...current.workflow.attempts].reverse().map(attempt => (
+                            <ListItem key={attempt.attempt}>
+                              <ListItemIcon>
+                                {getStatusIcon(attempt.status)}
+                              </ListItemIcon>
+                              <ListItemText
+                                primary={`Attempt #${attempt.attempt}${attempt.fromStep ? ` (from ${attempt.fromStep})` : ''}: ${attempt.status}`}
+                                secondary={[
+                                  `Started: ${new Date(attempt.startTime).toLocaleString()}`,
+                                  attempt.argoWorkflowName,
+                                  attempt.error
+                                ].filter(Boolean).join(' · ')}
+                              />
+                            </ListItem>
+                          ))}
+                        </List>
+                      </>
+                    )}
                   </Grid>
                   
                   <Grid item xs={12} md={6}>
                     <Typography variant="h6" gutterBottom>
                       Logs
                     </Typography>
-                    <Paper 
-                      variant="outlined" 
-                      sx={{ 
-                        p: 2, 
-                        maxHeight: 400, 
-                        overflow: 'auto',
-                        backgroundColor: '#f5f5f5',
-                        fontFamily: 'monospace'
-                      }}
-                    >
-                      {current.logs.map((log, index) => (
-                        <Box key={index} sx={{ mb: 1 }}>
-                          <Typography 
-                            variant="caption" 
-                            color={log.level === 'error' ? 'error' : 'text.secondary'}
-                          >
-                            [{new Date(log.timestamp).toLocaleTimeString()}] [{log.level.toUpperCase()}]
-                          </Typography>
-                          <Typography 
-                            variant="body2" 
-                            sx={{ 
-                              fontFamily: 'monospace',
-                              color: log.level === 'error' ? 'error.main' : 'text.primary'
-                            }}
-                          >
-                            {log.message}
-                          </Typography>
-                        </Box>
-                      ))}
-                    </Paper>
+                    <LogViewer
+                      key={current.workflow.id}
+                      logs={current.logs}
+                      fileName={`workflow-${current.workflow.name}`}
+                      onQueryChange={(query) => dispatch(fetchWorkflowLogs({ workflowId: current.workflow.id, ...query }))}
+                    />
+                  </Grid>
+                  
+                  <Grid item xs={12}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                      <Typography variant="h6" gutterBottom>
+                        Graph
+                      </Typography>
+                      <IconButton
+                        size="small"
+                        onClick={() => dispatch(fetchWorkflowGraph(current.workflow.id))}
+                        title="Refresh Graph"
+                      >
+                        <RefreshIcon />
+                      </IconButton>
+                    </Box>
+                    <WorkflowGraph graph={graph} />
                   </Grid>
                 </Grid>
               </CardContent>
@@ -332,6 +665,45 @@ const WorkflowDashboard = () => {
         )}
       </Grid>
       
+      {/* Step Logs Dialog */}
+      <Dialog open={Boolean(stepLogs)} onClose={() => dispatch(clearStepLogs())} maxWidth="md" fullWidth>
+        <DialogTitle>
+          Logs: {stepLogs?.stepName}
+          {stepLogs?.streaming && (
+            <Chip label="Live" color="primary" size="small" sx={{ ml: 1 }} />
+          )}
+        </DialogTitle>
+        <DialogContent>
+          {stepLogs && (
+            <Box data-testid="step-logs">
+              {stepLogs.offset > 0 && (
+                <Button size="small" onClick={handleLoadEarlierStepLogs} disabled={stepLogs.loading} sx={{ mb: 1 }}>
+                  Load earlier ({stepLogs.offset} more)
+                </Button>
+              )}
+              {stepLogs.loading && <LinearProgress sx={{ mb: 1 }} />}
+              {stepLogs.logs.length === 0 && !stepLogs.loading ? (
+                <Typography color="text.secondary">
+                  No output collected for this step yet
+                </Typography>
+              ) : (
+                <LogViewer
+                  key={`${stepLogs.workflowId}-${stepLogs.stepName}`}
+                  logs={stepLogs.logs}
+                  fileName={`step-${stepLogs.stepName}`}
+                  maxHeight={500}
+                />
+              )}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => dispatch(clearStepLogs())}>
+            Close
+          </Button>
+        </DialogActions>
+      </Dialog>
+      
       {/* Abort Workflow Dialog */}
       <Dialog open={abortDialogOpen} onClose={() => setAbortDialogOpen(false)}>
         <DialogTitle>Abort Workflow</DialogTitle>
@@ -348,6 +720,21 @@ const WorkflowDashboard = () => {
             value={abortReason}
             onChange={(e) => setAbortReason(e.target.value)}
           />
+          <TextField
+            select
+            margin="dense"
+            label="Mode"
+            fullWidth
+            variant="outlined"
+            value={abortMode}
+            onChange={(e) => setAbortMode(e.target.value)}
+            helperText={abortMode === 'stop'
+              ? 'Stop: running steps finish their exit handlers (cleanup) before the workflow ends'
+              : 'Terminate: end immediately without running exit handlers'}
+          >
+            <MenuItem value="stop">Stop</MenuItem>
+            <MenuItem value="terminate">Terminate</MenuItem>
+          </TextField>
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setAbortDialogOpen(false)}>
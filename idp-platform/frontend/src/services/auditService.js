@@ -0,0 +1,15 @@
+import axios from 'axios';
+import { withAuth } from './auth';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || '/api';
+
+const apiClient = withAuth(axios.create({
+  baseURL: API_BASE_URL,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+}));
+
+export const getAuditEntries = (filters = {}) => {
+  return apiClient.get('/audit', { params: filters });
+};
@@ -0,0 +1,44 @@
+const TOKEN_STORAGE_KEY = 'idp.accessToken';
+
+// Bearer token issued by the platform's OIDC provider. It is pasted in via the
+// app bar (or baked in with REACT_APP_ACCESS_TOKEN for local development).
+export const getAccessToken = () => {
+  return localStorage.getItem(TOKEN_STORAGE_KEY) || process.env.REACT_APP_ACCESS_TOKEN || null;
+};
+
+export const setAccessToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+};
+
+export const authHeaders = () => {
+  const token = getAccessToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Attach the bearer token to every request made through an axios client
+export const withAuth = (apiClient) => {
+  apiClient.interceptors.request.use((config) => {
+    Object.assign(config.headers, authHeaders());
+    return config;
+  });
+  return apiClient;
+};
+
+// Decode (not verify) the token payload for display purposes
+export const getTokenClaims = () => {
+  const token = getAccessToken();
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload));
+  } catch (error) {
+    return null;
+  }
+};
@@ -1,13 +1,14 @@
 import axios from 'axios';
+import { withAuth } from './auth';
 
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || '/api';
 
-const apiClient = axios.create({
+const apiClient = withAuth(axios.create({
   baseURL: API_BASE_URL,
   headers: {
     'Content-Type': 'application/json',
   },
-});
+}));
 
 export const getLocations = () => {
   return apiClient.get('/azure/locations');
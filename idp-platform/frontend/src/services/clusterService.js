@@ -1,20 +1,40 @@
 import axios from 'axios';
+import { withAuth } from './auth';
 
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || '/api';
 
-const apiClient = axios.create({
+const apiClient = withAuth(axios.create({
   baseURL: API_BASE_URL,
   headers: {
     'Content-Type': 'application/json',
   },
-});
+}));
 
-export const getClusters = () => {
-  return apiClient.get('/clusters');
+// view: 'active' (default), 'deleted' (tombstoned clusters) or 'all'
+export const getClusters = (view) => {
+  return apiClient.get('/clusters', {
+    params: view ? { view } : undefined
+  });
+};
+
+// refreshHealth asks the backend to recheck the cluster's health (rate limited there)
+export const getCluster = (clusterId, { refreshHealth } = {}) => {
+  return apiClient.get(`/clusters/${clusterId}`, {
+    params: refreshHealth ? { refreshHealth } : undefined
+  });
 };
 
-export const getCluster = (clusterId) => {
-  return apiClient.get(`/clusters/${clusterId}`);
+// KRO instance, ASO resources and Karpenter objects as a tree, each with its YAML
+export const getClusterResources = (clusterId) => {
+  return apiClient.get(`/clusters/${clusterId}/resources`);
+};
+
+// Kubeconfig as YAML text. access: 'user' | 'admin'; ttlSeconds asks for a short-lived token
+export const getClusterKubeconfig = (clusterId, { access, ttlSeconds } = {}) => {
+  return apiClient.get(`/clusters/${clusterId}/kubeconfig`, {
+    params: { access, ttlSeconds },
+    responseType: 'text'
+  });
 };
 
 export const createCluster = (clusterData) => {
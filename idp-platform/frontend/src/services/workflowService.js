@@ -1,24 +1,38 @@
 import axios from 'axios';
+import { withAuth } from './auth';
 
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || '/api';
 
-const apiClient = axios.create({
+const apiClient = withAuth(axios.create({
   baseURL: API_BASE_URL,
   headers: {
     'Content-Type': 'application/json',
   },
-});
+}));
 
 export const getWorkflows = (filters = {}) => {
   return apiClient.get('/workflows', { params: filters });
 };
 
-export const getWorkflow = (workflowId) => {
-  return apiClient.get(`/workflows/${workflowId}`);
+export const getWorkflowStats = (params = {}) => {
+  return apiClient.get('/workflows/stats', { params });
 };
 
-export const abortWorkflow = (workflowId, reason) => {
-  return apiClient.post(`/workflows/${workflowId}/abort`, { reason });
+// params: level (comma-separated), since and text narrow the returned logs
+export const getWorkflow = (workflowId, params = {}) => {
+  return apiClient.get(`/workflows/${workflowId}`, { params });
+};
+
+export const getWorkflowGraph = (workflowId) => {
+  return apiClient.get(`/workflows/${workflowId}/graph`);
+};
+
+export const getStepLogs = (workflowId, stepName, params = {}) => {
+  return apiClient.get(`/workflows/${workflowId}/steps/${encodeURIComponent(stepName)}/logs`, { params });
+};
+
+export const abortWorkflow = (workflowId, reason, mode = 'stop') => {
+  return apiClient.post(`/workflows/${workflowId}/abort`, { reason, mode });
 };
 
 export const retryWorkflow = (workflowId, fromStep) => {
@@ -0,0 +1,124 @@
+import { getAccessToken } from './auth';
+
+const WS_URL = process.env.REACT_APP_WS_URL ||
+  `${window.location.protocol === 'https:' ? 'wss:' : 'ws:'}//${window.location.host}/ws`;
+
+const INITIAL_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+// Single shared connection to the backend /ws endpoint. Subscriptions are
+// remembered and replayed after every reconnect.
+class WorkflowSocket {
+  constructor() {
+    this.socket = null;
+    this.listeners = new Set();
+    this.connectionListeners = new Set();
+    this.subscribedToAll = false;
+    this.workflowId = null;
+    this.reconnectDelay = INITIAL_RECONNECT_DELAY;
+    this.reconnectTimer = null;
+    this.closedByClient = false;
+  }
+
+  connect() {
+    if (this.socket && this.socket.readyState <= WebSocket.OPEN) {
+      return;
+    }
+
+    this.closedByClient = false;
+    // Browsers cannot set headers on WebSocket upgrades, so the token goes in the query string
+    const token = getAccessToken();
+    this.socket = new WebSocket(token ? `${WS_URL}?access_token=${encodeURIComponent(token)}` : WS_URL);
+
+    this.socket.onopen = () => {
+      this.reconnectDelay = INITIAL_RECONNECT_DELAY;
+      this.resubscribe();
+      this.connectionListeners.forEach(listener => listener(true));
+    };
+
+    this.socket.onmessage = (event) => {
+      try {
+        const message = JSON.parse(event.data);
+        this.listeners.forEach(listener => listener(message));
+      } catch (error) {
+        console.error('Error parsing WebSocket message:', error);
+      }
+    };
+
+    this.socket.onclose = () => {
+      this.socket = null;
+      this.connectionListeners.forEach(listener => listener(false));
+      if (!this.closedByClient) {
+        this.scheduleReconnect();
+      }
+    };
+
+    this.socket.onerror = () => {
+      // onclose follows and handles the reconnect
+      if (this.socket) {
+        this.socket.close();
+      }
+    };
+  }
+
+  disconnect() {
+    this.closedByClient = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+
+  scheduleReconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+  }
+
+  send(message) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  resubscribe() {
+    if (this.subscribedToAll) {
+      this.send({ type: 'subscribe_workflows' });
+    }
+    if (this.workflowId) {
+      this.send({ type: 'subscribe_workflow', workflowId: this.workflowId });
+    }
+  }
+
+  subscribeAll() {
+    this.subscribedToAll = true;
+    this.send({ type: 'subscribe_workflows' });
+  }
+
+  unsubscribeAll() {
+    this.subscribedToAll = false;
+    this.send({ type: 'unsubscribe_workflows' });
+  }
+
+  subscribeWorkflow(workflowId) {
+    this.workflowId = workflowId;
+    this.send({ type: 'subscribe_workflow', workflowId });
+  }
+
+  unsubscribeWorkflow() {
+    this.workflowId = null;
+    this.send({ type: 'unsubscribe_workflow' });
+  }
+
+  onMessage(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  onConnectionChange(listener) {
+    this.connectionListeners.add(listener);
+    return () => this.connectionListeners.delete(listener);
+  }
+}
+
+export const workflowSocket = new WorkflowSocket();
@@ -0,0 +1,56 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import * as auditService from '../services/auditService';
+
+// Async thunks
+export const fetchAuditEntries = createAsyncThunk(
+  'audit/fetchAuditEntries',
+  async (filters = {}, { rejectWithValue }) => {
+    try {
+      // Drop empty filter fields so they are not sent as blank query params
+      const params = Object.fromEntries(
+        Object.entries(filters).filter(([, value]) => value !== '' && value != null)
+      );
+      const response = await auditService.getAuditEntries(params);
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.data) {
+        return rejectWithValue(error.response.data);
+      }
+      return rejectWithValue({ error: error.message });
+    }
+  }
+);
+
+const auditSlice = createSlice({
+  name: 'audit',
+  initialState: {
+    entries: [],
+    total: 0,
+    loading: false,
+    error: null
+  },
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchAuditEntries.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchAuditEntries.fulfilled, (state, action) => {
+        state.loading = false;
+        state.entries = action.payload.entries;
+        state.total = action.payload.total;
+      })
+      .addCase(fetchAuditEntries.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error || action.error.message;
+      });
+  }
+});
+
+export const { clearError } = auditSlice.actions;
+export default auditSlice.reducer;
@@ -10,6 +10,15 @@ export const fetchClusters = createAsyncThunk(
   }
 );
 
+// Deleted clusters are kept as tombstones for the history view
+export const fetchClusterHistory = createAsyncThunk(
+  'clusters/fetchClusterHistory',
+  async () => {
+    const response = await clusterService.getClusters('deleted');
+    return response.data;
+  }
+);
+
 export const createCluster = createAsyncThunk(
   'clusters/createCluster',
   async (clusterConfig, { rejectWithValue }) => {
@@ -25,19 +34,62 @@ export const createCluster = createAsyncThunk(
   }
 );
 
+// Health is what the backend last recorded unless refreshHealth asks for a recheck
 export const fetchCluster = createAsyncThunk(
   'clusters/fetchCluster',
-  async (clusterId) => {
-    const response = await clusterService.getCluster(clusterId);
+  async ({ clusterId, refreshHealth = false }) => {
+    const response = await clusterService.getCluster(clusterId, { refreshHealth });
     return response.data;
   }
 );
 
+export const fetchClusterResources = createAsyncThunk(
+  'clusters/fetchClusterResources',
+  async (clusterId, { rejectWithValue }) => {
+    try {
+      const response = await clusterService.getClusterResources(clusterId);
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.data) {
+        return rejectWithValue(error.response.data);
+      }
+      return rejectWithValue({ error: error.message });
+    }
+  }
+);
+
+// Errors come back as text too, since the kubeconfig is requested as text
+export const downloadKubeconfig = createAsyncThunk(
+  'clusters/downloadKubeconfig',
+  async ({ clusterId, access = 'user', ttlSeconds }, { rejectWithValue }) => {
+    try {
+      const response = await clusterService.getClusterKubeconfig(clusterId, { access, ttlSeconds });
+      return { clusterId, access, kubeconfig: response.data };
+    } catch (error) {
+      if (error.response && error.response.data) {
+        try {
+          return rejectWithValue(JSON.parse(error.response.data));
+        } catch (parseError) {
+          return rejectWithValue({ error: error.response.data });
+        }
+      }
+      return rejectWithValue({ error: error.message });
+    }
+  }
+);
+
 export const deleteCluster = createAsyncThunk(
   'clusters/deleteCluster',
-  async ({ clusterId, force = false, dryRun = true }) => {
-    const response = await clusterService.deleteCluster(clusterId, { force, dryRun });
-    return { clusterId, ...response.data };
+  async ({ clusterId, force = false, dryRun = true }, { rejectWithValue }) => {
+    try {
+      const response = await clusterService.deleteCluster(clusterId, { force, dryRun });
+      return { clusterId, ...response.data };
+    } catch (error) {
+      if (error.response && error.response.data) {
+        return rejectWithValue(error.response.data);
+      }
+      return rejectWithValue({ error: error.message });
+    }
   }
 );
 
@@ -45,7 +97,16 @@ const clustersSlice = createSlice({
   name: 'clusters',
   initialState: {
     list: [],
+    history: [],
+    historyLoading: false,
     current: null,
+    currentLoading: false,
+    // { clusterId, resources } from fetchClusterResources
+    resourceTree: null,
+    resourceTreeLoading: false,
+    resourceTreeError: null,
+    downloadingKubeconfig: false,
+    kubeconfigError: null,
     loading: false,
     error: null,
     creating: false,
@@ -57,6 +118,9 @@ const clustersSlice = createSlice({
     },
     clearError: (state) => {
       state.error = null;
+    },
+    clearKubeconfigError: (state) => {
+      state.kubeconfigError = null;
     }
   },
   extraReducers: (builder) => {
@@ -74,6 +138,18 @@ const clustersSlice = createSlice({
         state.loading = false;
         state.error = action.error.message;
       })
+      // Fetch deleted clusters
+      .addCase(fetchClusterHistory.pending, (state) => {
+        state.historyLoading = true;
+      })
+      .addCase(fetchClusterHistory.fulfilled, (state, action) => {
+        state.historyLoading = false;
+        state.history = action.payload.clusters;
+      })
+      .addCase(fetchClusterHistory.rejected, (state, action) => {
+        state.historyLoading = false;
+        state.error = action.error.message;
+      })
       // Create cluster
       .addCase(createCluster.pending, (state) => {
         state.creating = true;
@@ -100,32 +176,63 @@ const clustersSlice = createSlice({
       })
       // Fetch single cluster
       .addCase(fetchCluster.pending, (state) => {
-        state.loading = true;
+        state.currentLoading = true;
         state.error = null;
       })
       .addCase(fetchCluster.fulfilled, (state, action) => {
-        state.loading = false;
-        state.current = action.payload.cluster;
+        state.currentLoading = false;
+        const { cluster } = action.payload;
+        state.current = cluster;
+        state.list = state.list.map(existing => (existing.id === cluster.id ? cluster : existing));
       })
       .addCase(fetchCluster.rejected, (state, action) => {
-        state.loading = false;
+        state.currentLoading = false;
         state.error = action.error.message;
       })
+      // Fetch resource tree
+      .addCase(fetchClusterResources.pending, (state) => {
+        state.resourceTreeLoading = true;
+        state.resourceTreeError = null;
+      })
+      .addCase(fetchClusterResources.fulfilled, (state, action) => {
+        state.resourceTreeLoading = false;
+        state.resourceTree = action.payload;
+      })
+      .addCase(fetchClusterResources.rejected, (state, action) => {
+        state.resourceTreeLoading = false;
+        state.resourceTreeError = action.payload?.error || action.error.message;
+      })
+      // Download kubeconfig
+      .addCase(downloadKubeconfig.pending, (state) => {
+        state.downloadingKubeconfig = true;
+        state.kubeconfigError = null;
+      })
+      .addCase(downloadKubeconfig.fulfilled, (state) => {
+        state.downloadingKubeconfig = false;
+      })
+      .addCase(downloadKubeconfig.rejected, (state, action) => {
+        state.downloadingKubeconfig = false;
+        state.kubeconfigError = action.payload?.error || action.error.message;
+      })
       // Delete cluster
       .addCase(deleteCluster.pending, (state) => {
         state.deleting = true;
         state.error = null;
       })
+      // The cluster stays listed as 'deleting' until its deletion workflow finishes
       .addCase(deleteCluster.fulfilled, (state, action) => {
         state.deleting = false;
-        state.list = state.list.filter(cluster => cluster.id !== action.payload.clusterId);
+        const { cluster } = action.payload;
+        if (cluster) {
+          state.list = state.list.map(existing => (existing.id === cluster.id ? cluster : existing));
+        }
       })
       .addCase(deleteCluster.rejected, (state, action) => {
         state.deleting = false;
-        state.error = action.error.message;
+        state.error = action.payload?.error || action.error.message;
       });
   }
 });
 
-export const { clearCurrentCluster, clearError } = clustersSlice.actions;
+export const { clearCurrentCluster, clearError, clearKubeconfigError } = clustersSlice.actions;
 export default clustersSlice.reducer;
\ No newline at end of file
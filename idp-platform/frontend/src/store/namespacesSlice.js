@@ -1,4 +1,5 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { authHeaders } from '../services/auth';
 
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3001';
 
@@ -7,7 +8,7 @@ export const fetchNamespaces = createAsyncThunk(
   'namespaces/fetchNamespaces',
   async (_, { rejectWithValue }) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/namespaces`);
+      const response = await fetch(`${API_BASE_URL}/api/namespaces`, { headers: authHeaders() });
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
@@ -23,7 +24,7 @@ export const fetchNamespace = createAsyncThunk(
   'namespaces/fetchNamespace',
   async (namespaceName, { rejectWithValue }) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/namespaces/${namespaceName}`);
+      const response = await fetch(`${API_BASE_URL}/api/namespaces/${namespaceName}`, { headers: authHeaders() });
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
@@ -43,6 +44,7 @@ export const createNamespace = createAsyncThunk(
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders(),
         },
         body: JSON.stringify(namespaceData),
       });
@@ -68,6 +70,7 @@ export const updateNamespace = createAsyncThunk(
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders(),
         },
         body: JSON.stringify(updates),
       });
@@ -97,6 +100,7 @@ export const deleteNamespace = createAsyncThunk(
         `${API_BASE_URL}/api/namespaces/${name}?${queryParams.toString()}`,
         {
           method: 'DELETE',
+          headers: authHeaders(),
         }
       );
 
@@ -117,7 +121,7 @@ export const fetchNamespaceManifests = createAsyncThunk(
   'namespaces/fetchNamespaceManifests',
   async (namespaceName, { rejectWithValue }) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/namespaces/${namespaceName}/manifests`);
+      const response = await fetch(`${API_BASE_URL}/api/namespaces/${namespaceName}/manifests`, { headers: authHeaders() });
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
@@ -133,7 +137,7 @@ export const fetchNamespaceStatus = createAsyncThunk(
   'namespaces/fetchNamespaceStatus',
   async (namespaceName, { rejectWithValue }) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/namespaces/${namespaceName}/status`);
+      const response = await fetch(`${API_BASE_URL}/api/namespaces/${namespaceName}/status`, { headers: authHeaders() });
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
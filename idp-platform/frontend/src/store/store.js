@@ -4,6 +4,7 @@ import workflowsReducer from './workflowsSlice';
 import azureReducer from './azureSlice';
 import uiReducer from './uiSlice';
 import namespacesReducer from './namespacesSlice';
+import auditReducer from './auditSlice';
 
 export const store = configureStore({
   reducer: {
@@ -12,6 +13,7 @@ export const store = configureStore({
     azure: azureReducer,
     ui: uiReducer,
     namespaces: namespacesReducer,
+    audit: auditReducer,
   },
 });
 
@@ -1,11 +1,97 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import * as workflowService from '../services/workflowService';
 
+const ACTIVE_STATUSES = ['pending', 'running', 'aborting'];
+const FINISHED_STATUSES = ['succeeded', 'failed', 'aborted'];
+const ACTIVE_LIMIT = 200;
+const HISTORY_PAGE_SIZE = 20;
+
+// Drop unset filters so they are not sent as empty query parameters
+const toQuery = (filters) => Object.fromEntries(
+  Object.entries(filters).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+);
+
+// Client-side twin of the backend's list filters, for workflows pushed over the WebSocket
+const matchesWorkflowFilters = (workflow, filters) => {
+  const startTime = workflow.startTime ? new Date(workflow.startTime) : null;
+  return (!filters.type || workflow.type === filters.type)
+    && (!filters.workflowType || workflow.workflowType === filters.workflowType)
+    && (!filters.clusterId || workflow.clusterId === filters.clusterId)
+    && (!filters.namespaceName || workflow.namespaceName === filters.namespaceName)
+    && (!filters.from || (startTime && startTime >= new Date(filters.from)))
+    && (!filters.to || (startTime && startTime <= new Date(filters.to)));
+};
+
+const sortValue = (workflow, sortBy) => {
+  const startTime = workflow.startTime ? new Date(workflow.startTime).getTime() : null;
+  const endTime = workflow.endTime ? new Date(workflow.endTime).getTime() : null;
+  switch (sortBy) {
+    case 'endTime':
+      return endTime;
+    case 'duration':
+      return startTime !== null && endTime !== null ? endTime - startTime : null;
+    default:
+      return startTime;
+  }
+};
+
+// Same order as the backend: nulls last, then the sort value, then id
+const compareWorkflows = (a, b, { sortBy, order }) => {
+  const aValue = sortValue(a, sortBy);
+  const bValue = sortValue(b, sortBy);
+  if (aValue !== bValue) {
+    if (aValue === null) return 1;
+    if (bValue === null) return -1;
+    return order === 'asc' ? aValue - bValue : bValue - aValue;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+};
+
+// Insert at the workflow's sorted position. With more pages to load (hasMore) a workflow
+// sorting after the last loaded row belongs to a later page and is left for it.
+const insertSorted = (list, workflow, filters, hasMore) => {
+  const index = list.findIndex(w => compareWorkflows(workflow, w, filters) < 0);
+  if (index !== -1) {
+    list.splice(index, 0, workflow);
+  } else if (!hasMore) {
+    list.push(workflow);
+  }
+};
+
 // Async thunks
+// Active workflows and the first page of history, both narrowed by state.workflows.filters
 export const fetchWorkflows = createAsyncThunk(
   'workflows/fetchWorkflows',
-  async (filters = {}) => {
-    const response = await workflowService.getWorkflows(filters);
+  async (_, { getState }) => {
+    const filters = toQuery(getState().workflows.filters);
+    const [activeResponse, historyResponse] = await Promise.all([
+      workflowService.getWorkflows({ ...filters, status: ACTIVE_STATUSES.join(','), limit: ACTIVE_LIMIT }),
+      workflowService.getWorkflows({ ...filters, status: FINISHED_STATUSES.join(','), limit: HISTORY_PAGE_SIZE })
+    ]);
+    return { active: activeResponse.data, history: historyResponse.data };
+  }
+);
+
+export const fetchMoreWorkflowHistory = createAsyncThunk(
+  'workflows/fetchMoreWorkflowHistory',
+  async (_, { getState }) => {
+    const { filters, historyCursor } = getState().workflows;
+    const response = await workflowService.getWorkflows({
+      ...toQuery(filters),
+      status: FINISHED_STATUSES.join(','),
+      limit: HISTORY_PAGE_SIZE,
+      cursor: historyCursor
+    });
+    return response.data;
+  }
+);
+
+// Analytics for the workflow type and start-time range of the current filters
+export const fetchWorkflowStats = createAsyncThunk(
+  'workflows/fetchWorkflowStats',
+  async (_, { getState }) => {
+    const { type, from, to } = getState().workflows.filters;
+    const response = await workflowService.getWorkflowStats(toQuery({ type, from, to }));
     return response.data;
   }
 );
@@ -18,51 +104,158 @@ export const fetchWorkflow = createAsyncThunk(
   }
 );
 
+export const fetchWorkflowGraph = createAsyncThunk(
+  'workflows/fetchWorkflowGraph',
+  async (workflowId) => {
+    const response = await workflowService.getWorkflowGraph(workflowId);
+    return response.data;
+  }
+);
+
+// Re-query the open workflow's logs with the log viewer's level/since/text filters
+export const fetchWorkflowLogs = createAsyncThunk(
+  'workflows/fetchWorkflowLogs',
+  async ({ workflowId, ...query }) => {
+    const response = await workflowService.getWorkflow(workflowId, query);
+    return response.data;
+  }
+);
+
+// Without an offset the newest page is returned; "load earlier" passes the offset of the page before
+export const fetchStepLogs = createAsyncThunk(
+  'workflows/fetchStepLogs',
+  async ({ workflowId, stepName, offset, limit }) => {
+    const response = await workflowService.getStepLogs(workflowId, stepName, { offset, limit });
+    return response.data;
+  }
+);
+
 export const abortWorkflow = createAsyncThunk(
   'workflows/abortWorkflow',
-  async ({ workflowId, reason }) => {
-    const response = await workflowService.abortWorkflow(workflowId, reason);
-    return response.data;
+  async ({ workflowId, reason, mode }, { rejectWithValue }) => {
+    try {
+      const response = await workflowService.abortWorkflow(workflowId, reason, mode);
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.data) {
+        return rejectWithValue(error.response.data);
+      }
+      return rejectWithValue({ error: error.message });
+    }
   }
 );
 
 export const retryWorkflow = createAsyncThunk(
   'workflows/retryWorkflow',
-  async ({ workflowId, fromStep }) => {
-    const response = await workflowService.retryWorkflow(workflowId, fromStep);
-    return response.data;
+  async ({ workflowId, fromStep }, { rejectWithValue }) => {
+    try {
+      const response = await workflowService.retryWorkflow(workflowId, fromStep);
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.data) {
+        return rejectWithValue(error.response.data);
+      }
+      return rejectWithValue({ error: error.message });
+    }
   }
 );
 
+export const DEFAULT_WORKFLOW_FILTERS = {
+  type: '',
+  workflowType: '',
+  clusterId: '',
+  namespaceName: '',
+  from: '',
+  to: '',
+  sortBy: 'startTime',
+  order: 'desc'
+};
+
 const workflowsSlice = createSlice({
   name: 'workflows',
   initialState: {
     active: [],
     history: [],
+    historyTotal: 0,
+    historyCursor: null,
+    filters: DEFAULT_WORKFLOW_FILTERS,
     current: null,
     logs: [],
+    stepLogs: null,
+    graph: null,
+    stats: null,
+    statsLoading: false,
     loading: false,
-    error: null
+    error: null,
+    socketConnected: false
   },
   reducers: {
+    setWorkflowFilters: (state, action) => {
+      state.filters = { ...DEFAULT_WORKFLOW_FILTERS, ...action.payload };
+    },
     updateWorkflowStatus: (state, action) => {
-      const { workflowId, status } = action.payload;
-      const workflow = [...state.active, ...state.history].find(w => w.id === workflowId);
-      if (workflow) {
-        workflow.status = status;
+      const { workflowId, status, workflow: updated } = action.payload;
+      const wasInHistory = state.history.some(w => w.id === workflowId);
+      const existing = [...state.active, ...state.history].find(w => w.id === workflowId);
+      const workflow = { ...existing, ...updated, id: workflowId, status };
+      
+      // Rows already listed are updated (and move between active and history as their
+      // status changes); anything else only appears when it matches the current filters
+      if (existing || (updated && matchesWorkflowFilters(workflow, state.filters))) {
+        state.active = state.active.filter(w => w.id !== workflowId);
+        state.history = state.history.filter(w => w.id !== workflowId);
+        if (ACTIVE_STATUSES.includes(status)) {
+          insertSorted(state.active, workflow, state.filters, false);
+          if (wasInHistory) {
+            state.historyTotal -= 1;
+          }
+        } else {
+          insertSorted(state.history, workflow, state.filters, Boolean(state.historyCursor) && !wasInHistory);
+          if (!wasInHistory) {
+            state.historyTotal += 1;
+          }
+        }
       }
+      
       if (state.current && state.current.workflow.id === workflowId) {
-        state.current.workflow.status = status;
+        state.current.workflow = { ...state.current.workflow, ...updated, status };
+      }
+    },
+    updateWorkflowStep: (state, action) => {
+      const { workflowId, step } = action.payload;
+      if (state.current && state.current.workflow.id === workflowId) {
+        const index = state.current.steps.findIndex(s => s.id === step.id || s.name === step.name);
+        if (index !== -1) {
+          state.current.steps[index] = step;
+        } else {
+          state.current.steps.push(step);
+        }
       }
     },
+    setSocketConnected: (state, action) => {
+      state.socketConnected = action.payload;
+    },
     addWorkflowLog: (state, action) => {
       const { workflowId, log } = action.payload;
       if (state.current && state.current.workflow.id === workflowId) {
         state.current.logs.push(log);
       }
     },
+    addStepLog: (state, action) => {
+      const { workflowId, stepName, log } = action.payload;
+      const stepLogs = state.stepLogs;
+      if (stepLogs && stepLogs.workflowId === workflowId && stepLogs.stepName === stepName) {
+        stepLogs.logs.push(log);
+        stepLogs.total += 1;
+      }
+    },
+    clearStepLogs: (state) => {
+      state.stepLogs = null;
+    },
     clearCurrentWorkflow: (state) => {
       state.current = null;
+      state.stepLogs = null;
+      state.graph = null;
     },
     clearError: (state) => {
       state.error = null;
@@ -77,14 +270,25 @@ const workflowsSlice = createSlice({
       })
       .addCase(fetchWorkflows.fulfilled, (state, action) => {
         state.loading = false;
-        const workflows = action.payload.workflows;
-        state.active = workflows.filter(w => ['pending', 'running'].includes(w.status));
-        state.history = workflows.filter(w => ['succeeded', 'failed', 'aborted'].includes(w.status));
+        state.active = action.payload.active.workflows;
+        state.history = action.payload.history.workflows;
+        state.historyTotal = action.payload.history.total;
+        state.historyCursor = action.payload.history.nextCursor;
       })
       .addCase(fetchWorkflows.rejected, (state, action) => {
         state.loading = false;
         state.error = action.error.message;
       })
+      // Next page of history
+      .addCase(fetchMoreWorkflowHistory.fulfilled, (state, action) => {
+        const known = new Set(state.history.map(w => w.id));
+        state.history.push(...action.payload.workflows.filter(w => !known.has(w.id)));
+        state.historyTotal = action.payload.total;
+        state.historyCursor = action.payload.nextCursor;
+      })
+      .addCase(fetchMoreWorkflowHistory.rejected, (state, action) => {
+        state.error = action.error.message;
+      })
       // Fetch single workflow
       .addCase(fetchWorkflow.pending, (state) => {
         state.loading = true;
@@ -98,6 +302,67 @@ const workflowsSlice = createSlice({
         state.loading = false;
         state.error = action.error.message;
       })
+      // Fetch filtered workflow logs
+      .addCase(fetchWorkflowLogs.fulfilled, (state, action) => {
+        if (state.current && state.current.workflow.id === action.payload.workflow.id) {
+          state.current.logs = action.payload.logs;
+        }
+      })
+      .addCase(fetchWorkflowLogs.rejected, (state, action) => {
+        state.error = action.error.message;
+      })
+      // Fetch workflow stats
+      .addCase(fetchWorkflowStats.pending, (state) => {
+        state.statsLoading = true;
+      })
+      .addCase(fetchWorkflowStats.fulfilled, (state, action) => {
+        state.statsLoading = false;
+        state.stats = action.payload;
+      })
+      .addCase(fetchWorkflowStats.rejected, (state, action) => {
+        state.statsLoading = false;
+        state.error = action.error.message;
+      })
+      // Fetch workflow graph
+      .addCase(fetchWorkflowGraph.fulfilled, (state, action) => {
+        if (state.current && state.current.workflow.id === action.meta.arg) {
+          state.graph = action.payload;
+        }
+      })
+      .addCase(fetchWorkflowGraph.rejected, (state, action) => {
+        state.error = action.error.message;
+      })
+      // Fetch step logs
+      .addCase(fetchStepLogs.pending, (state, action) => {
+        const { workflowId, stepName } = action.meta.arg;
+        const sameStep = state.stepLogs?.workflowId === workflowId && state.stepLogs?.stepName === stepName;
+        state.stepLogs = sameStep
+          ? { ...state.stepLogs, loading: true }
+          : { workflowId, stepName, logs: [], total: 0, offset: 0, streaming: false, loading: true };
+      })
+      .addCase(fetchStepLogs.fulfilled, (state, action) => {
+        const { workflowId, stepName, offset } = action.meta.arg;
+        if (state.stepLogs?.workflowId !== workflowId || state.stepLogs?.stepName !== stepName) {
+          return;
+        }
+        const { logs, total, streaming } = action.payload;
+        // An explicit offset loads an earlier page in front of what is shown
+        const merged = offset === undefined ? logs : [...logs, ...state.stepLogs.logs];
+        state.stepLogs = {
+          ...state.stepLogs,
+          logs: merged,
+          total,
+          offset: action.payload.offset,
+          streaming,
+          loading: false
+        };
+      })
+      .addCase(fetchStepLogs.rejected, (state, action) => {
+        if (state.stepLogs) {
+          state.stepLogs.loading = false;
+        }
+        state.error = action.error.message;
+      })
       // Abort workflow
       .addCase(abortWorkflow.fulfilled, (state, action) => {
         const workflow = action.payload.workflow;
@@ -106,6 +371,9 @@ const workflowsSlice = createSlice({
           state.active[index] = workflow;
         }
       })
+      .addCase(abortWorkflow.rejected, (state, action) => {
+        state.error = action.payload?.error || action.error.message;
+      })
       // Retry workflow
       .addCase(retryWorkflow.fulfilled, (state, action) => {
         const workflow = action.payload.workflow;
@@ -114,14 +382,48 @@ const workflowsSlice = createSlice({
           state.history.splice(index, 1);
           state.active.push(workflow);
         }
+      })
+      .addCase(retryWorkflow.rejected, (state, action) => {
+        state.error = action.payload?.error || action.error.message;
       });
   }
 });
 
 export const { 
+  setWorkflowFilters,
   updateWorkflowStatus, 
+  updateWorkflowStep,
   addWorkflowLog, 
+  addStepLog,
+  clearStepLogs,
+  setSocketConnected,
   clearCurrentWorkflow, 
   clearError 
 } = workflowsSlice.actions;
+
+// Translate a /ws workflow_update message into the matching reducer
+export const applyWorkflowSocketMessage = (message) => (dispatch) => {
+  if (message.type !== 'workflow_update') {
+    return;
+  }
+  
+  const { workflowId, data } = message;
+  switch (data.event) {
+    case 'status':
+      dispatch(updateWorkflowStatus({ workflowId, status: data.status, workflow: data.workflow }));
+      break;
+    case 'step':
+      dispatch(updateWorkflowStep({ workflowId, step: data.step }));
+      break;
+    case 'log':
+      dispatch(addWorkflowLog({ workflowId, log: data.log }));
+      break;
+    case 'step_log':
+      dispatch(addStepLog({ workflowId, stepName: data.stepName, log: data.log }));
+      break;
+    default:
+      break;
+  }
+};
+
 export default workflowsSlice.reducer;
\ No newline at end of file